@@ -1,140 +1,267 @@
 'use strict';
 
-import OpenAI from 'openai';
-import { parseAndValidateLlmOutput } from '../utils/llmSchema.js';
-import { ProviderError, ProviderTimeoutError, ParseError } from '../utils/errors.js';
+import { resolveModel } from '../providers/registry.js';
+import { parseAndValidateLlmOutput, repairJsonText, formatValidationErrors } from '../utils/llmSchema.js';
+import { buildRepairPrompt } from '../utils/promptBuilder.js';
+import { calculateCost, estimateCallCost } from '../utils/costEstimator.js';
+import {
+  ProviderError, ProviderTimeoutError, FixtureNotFoundError, ParseError, CancelledError, BudgetExceededError,
+} from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
 /**
- * Unified OpenRouter Client
- * Handles all LLM calls through OpenRouter with OpenAI-compatible interface
+ * Wait for `ms`, resolving early if the signal is aborted
  */
-class OpenRouterClient {
-  constructor(config) {
-    if (!config.apiKey && (!config.apiKeys || config.apiKeys.length === 0)) {
-      throw new Error('OpenRouter API key or keys are required');
-    }
+function abortableDelay(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
 
-    this.apiKey = config.apiKey;
-    this.apiKeys = config.apiKeys || (config.apiKey ? [config.apiKey] : []);
-    this.baseURL = config.baseURL || 'https://openrouter.ai/api/v1';
+/**
+ * Unified LLM Client
+ * Routes each model to the provider adapter declared in the model catalog
+ * (OpenRouter, local OpenAI-compatible server, Anthropic) and applies the
+ * same timeouts, retries and schema validation regardless of backend.
+ */
+class OpenRouterClient {
+  /**
+   * @param {Object} [config]
+   * @param {number} [config.maxTokens=2000]
+   * @param {number} [config.temperature=0.7]
+   * @param {number} [config.timeoutMs=60000]
+   * @param {number} [config.maxRepairAttempts=2] - Re-asks allowed when structured output fails validation
+   * @param {function(string): { adapter: Object, apiModel: string }} [config.resolveModel] - Defaults to the provider registry
+   */
+  constructor(config = {}) {
     this.maxTokens = config.maxTokens || 2000;
+    this.temperature = config.temperature ?? 0.7;
     this.timeoutMs = config.timeoutMs || 60000;
-    this.modelKeyMap = config.modelKeyMap || {};
-    this.currentKeyIndex = 0;
-
-    // Initialize with primary key
-    // this._initializeClient(this.apiKey || this.apiKeys[0]);
+    this.maxRepairAttempts = config.maxRepairAttempts ?? 2;
+    this.resolveModel = config.resolveModel || resolveModel;
   }
 
   /**
-   * Initialize OpenAI client with a specific API key
+   * Look up the adapter for a model, surfacing configuration problems as provider errors
    * @private
    */
-  _getClient(apiKey) {
-    if (!this.clients) this.clients = new Map();
-    if (!this.clients.has(apiKey)) {
-      this.clients.set(apiKey, new OpenAI({
-        apiKey,
-        baseURL: this.baseURL,
-        defaultHeaders: {
-          'HTTP-Referer': 'http://localhost:3000',
-          'X-Title': 'Research Engine',
-        },
-      }));
+  _resolve(model) {
+    try {
+      return this.resolveModel(model);
+    } catch (err) {
+      throw new ProviderError(model, err.message, { status: null, originalError: 'ADAPTER_UNAVAILABLE' });
     }
-    return this.clients.get(apiKey);
+  }
+
+  /** @private */
+  _buildRequest(apiModel, systemPrompt, userPrompt, options) {
+    return {
+      model: apiModel,
+      systemPrompt,
+      userPrompt,
+      maxTokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature ?? this.temperature,
+      jsonMode: options.jsonMode,
+    };
   }
 
   /**
-   * Get the API key to use for a specific model
+   * Send one request through an adapter with the call's timeout applied
+   * (options.timeoutMs, else the client timeout).
+   * Aborting the caller's signal (options.signal) aborts the request too.
    * @private
    */
-  _getKeyForModel(model) {
-    // Check if model has a dedicated key in the map
-    if (this.modelKeyMap[model]) {
-      return this.modelKeyMap[model];
+  async _send(adapter, request, { signal, timeoutMs } = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs || this.timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      return await adapter.call({ ...request, signal: controller.signal });
+    } finally {
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
     }
-    // Fallback to primary single key
-    return this.apiKey || this.apiKeys[0];
   }
 
   /**
-   * Rotate to the next available API key (for fallback on quota failures)
+   * Validate structured output, repairing it when possible: first with the
+   * tolerant JSON fixer, then by re-asking the model with the validation
+   * errors (up to maxRepairAttempts times).
+   *
+   * Re-asks on a budgeted call must fit in the remaining budget.
+   *
    * @private
+   * @returns {Promise<Object>} { data, content, promptTokens, completionTokens, repairStage, repairAttempt, repairAttempts }
+   * @throws {ParseError} With `repairAttempts` and the tokens spent attached when every attempt fails
    */
-  _rotateKey() {
-    if (this.apiKeys.length <= 1) return this.apiKey;
-    this.currentKeyIndex = (this.currentKeyIndex + 1) % this.apiKeys.length;
-    return this.apiKeys[this.currentKeyIndex];
+  async _parseWithRepair(adapter, model, request, response, taskType, options) {
+    const validate = (text) => parseAndValidateLlmOutput(text, taskType, { categories: options.categories });
+    const repairAttempts = [];
+    let { content, promptTokens, completionTokens } = response;
+
+    const succeed = (data, validContent, repairStage, repairAttempt) => {
+      if (repairStage) {
+        logger.info(`Repaired invalid output from ${model}`, { repairStage, repairAttempt });
+      }
+      return {
+        data,
+        content: validContent,
+        promptTokens,
+        completionTokens,
+        repairStage,
+        repairAttempt,
+        repairAttempts,
+      };
+    };
+
+    let result = validate(content);
+    if (result.valid) return succeed(result.data, content, null, 0);
+    repairAttempts.push({ stage: 'initial', attempt: 0, rawResponse: content, errors: result.errors });
+
+    for (let reask = 0; ; reask++) {
+      // 1. Tolerant local fix — no extra tokens spent
+      const fixed = repairJsonText(content);
+      if (fixed !== null && fixed !== content) {
+        const fixedResult = validate(fixed);
+        if (fixedResult.valid) return succeed(fixedResult.data, fixed, 'fixer', reask);
+        repairAttempts.push({ stage: 'fixer', attempt: reask, rawResponse: fixed, errors: fixedResult.errors });
+        result = fixedResult;
+      }
+
+      if (reask >= this.maxRepairAttempts) break;
+
+      // 2. Re-ask the model with the validation errors
+      const errorLines = formatValidationErrors(result.errors);
+      const reaskRequest = {
+        ...request,
+        history: [
+          { role: 'assistant', content },
+          { role: 'user', content: buildRepairPrompt(errorLines) },
+        ],
+      };
+      if (options.budget && !options.budget.extend(options.reservation, estimateCallCost(model, reaskRequest).maxCostUsd)) {
+        logger.warn(`Schema validation failed for ${model}; not enough budget left to re-ask`);
+        break;
+      }
+      logger.warn(`Schema validation failed for ${model}, re-asking (${reask + 1}/${this.maxRepairAttempts})`, {
+        errors: errorLines.slice(0, 5),
+      });
+      const reply = await this._send(adapter, reaskRequest, options);
+      promptTokens += reply.promptTokens;
+      completionTokens += reply.completionTokens;
+      content = reply.content;
+
+      result = validate(content);
+      if (result.valid) return succeed(result.data, content, 'reask', reask + 1);
+      repairAttempts.push({
+        stage: 'reask',
+        attempt: reask + 1,
+        rawResponse: content,
+        errors: result.errors,
+        promptTokens: reply.promptTokens,
+        completionTokens: reply.completionTokens,
+      });
+    }
+
+    const err = new ParseError(model, JSON.stringify(result.errors), content);
+    err.validationErrors = result.errors;
+    err.repairAttempts = repairAttempts;
+    err.promptTokens = promptTokens;
+    err.completionTokens = completionTokens;
+    throw err;
   }
 
   /**
-   * Execute a single call to OpenRouter
+   * Execute a single model call
    *
-   * @param {string} model - Model identifier (e.g., 'deepseek/deepseek-chat')
+   * @param {string} model - Catalog model identifier (e.g., 'deepseek/deepseek-chat')
    * @param {string} systemPrompt - System context
    * @param {string} userPrompt - User request
-   * @param {string} taskType - 'research' or 'deepening' (for schema validation)
-   * @param {number} [maxRetries=2] - Number of retry attempts
-   * @returns {Promise<Object>} - Structured response from model
+   * @param {string} taskType - 'research', 'deepening', 'critique', 'judgment', 'synthesis' (for schema validation) or 'raw'
+   * @param {number} [maxRetries=2] - Number of retry attempts for transport errors
+   * @param {Object} [options] - Per-call overrides
+   * @param {number} [options.maxTokens] - Overrides the client's default max_tokens
+   * @param {number} [options.temperature] - Overrides the client's default temperature
+   * @param {number} [options.timeoutMs] - Overrides the client's per-request timeout
+   * @param {string[]} [options.categories] - Allowed idea categories when validating research output
+   * @param {AbortSignal} [options.signal] - Cancels the call (in-flight request, retries and re-asks)
+   * @param {import('../utils/costEstimator.js').CostBudget} [options.budget] - Shared spending cap;
+   *   the call is skipped when its worst-case cost does not fit
+   * @returns {Promise<Object>} - Structured response from model, with `costUsd` from the actual
+   *   token counts. Validated responses also carry repairStage (null | 'fixer' | 'reask'),
+   *   repairAttempt and repairAttempts (failed attempts)
+   * @throws {ParseError} When the output stays invalid after repair (with `repairAttempts`)
+   * @throws {CancelledError} When options.signal is aborted
+   * @throws {BudgetExceededError} When options.budget cannot cover the call
    */
-  async call(model, systemPrompt, userPrompt, taskType = 'research', maxRetries = 2) {
+  async call(model, systemPrompt, userPrompt, taskType = 'research', maxRetries = 2, options = {}) {
+    const { adapter, apiModel } = this._resolve(model);
+    const request = this._buildRequest(apiModel, systemPrompt, userPrompt, { ...options, jsonMode: taskType !== 'raw' });
+
+    const { budget } = options;
+    const reservation = budget ? await budget.reserve(estimateCallCost(model, request).maxCostUsd) : null;
+    if (budget && !reservation) {
+      logger.warn(`Skipping ${model}: worst-case cost exceeds the remaining budget`, { remainingUsd: budget.remainingUsd });
+      throw new BudgetExceededError(model, { remainingUsd: budget.remainingUsd });
+    }
+
+    let costUsd = 0;
+    try {
+      const result = await this._callWithRetries(adapter, model, request, taskType, maxRetries, { ...options, reservation });
+      costUsd = calculateCost(model, result.promptTokens, result.completionTokens);
+      return { ...result, costUsd };
+    } catch (err) {
+      // Invalid output was still paid for
+      costUsd = calculateCost(model, err.promptTokens, err.completionTokens);
+      err.costUsd = costUsd;
+      throw err;
+    } finally {
+      if (reservation) budget.settle(reservation, costUsd);
+    }
+  }
+
+  /**
+   * Retry loop behind call(): transport retries with backoff, then schema repair.
+   * @private
+   */
+  async _callWithRetries(adapter, model, request, taskType, maxRetries, options) {
+    const isRawMode = taskType === 'raw';
     let lastError;
-    let usedKeys = new Set();
-    let currentKey = this._getKeyForModel(model);
 
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+      if (options.signal?.aborted) throw new CancelledError(`[${model}] Request cancelled`);
       const start = Date.now();
 
       try {
-        const isRawMode = taskType === 'raw';
+        const response = await this._send(adapter, request, options);
 
-        const client = this._getClient(currentKey);
-        const response = await client.chat.completions.create(
-          {
-            model,
-            max_tokens: this.maxTokens,
-            temperature: 0.7,
-            ...(isRawMode ? {} : { response_format: { type: 'json_object' } }),
-            messages: [
-              { role: 'system', content: systemPrompt },
-              { role: 'user', content: userPrompt },
-            ],
-          },
-          { signal: controller.signal }
-        );
-
-        clearTimeout(timeout);
-
-        const content = response.choices[0].message.content;
-        const promptTokens = response.usage?.prompt_tokens || 0;
-        const completionTokens = response.usage?.completion_tokens || 0;
-        const latencyMs = Date.now() - start;
-
-        logger.debug(`OpenRouter call succeeded (${model})`, {
-          latencyMs,
-          tokens: promptTokens + completionTokens,
+        logger.debug(`LLM call succeeded (${model} via ${adapter.name})`, {
+          latencyMs: Date.now() - start,
+          tokens: response.promptTokens + response.completionTokens,
         });
 
         // Raw mode: return text output directly
         if (isRawMode) {
           return {
             model,
-            data: content,
-            promptTokens,
-            completionTokens,
-            latencyMs,
+            data: response.content,
+            promptTokens: response.promptTokens,
+            completionTokens: response.completionTokens,
+            latencyMs: Date.now() - start,
           };
         }
 
-        // Validate JSON output against schema for other task types
-        const { valid, data, errors } = parseAndValidateLlmOutput(content, taskType);
-        if (!valid) {
-          throw new ParseError(model, JSON.stringify(errors), content);
-        }
+        // Validate JSON output against schema for other task types, repairing if needed
+        const {
+          data, content, promptTokens, completionTokens, repairStage, repairAttempt, repairAttempts,
+        } = await this._parseWithRepair(adapter, model, request, response, taskType, options);
+        const latencyMs = Date.now() - start;
+        const repair = { repairStage, repairAttempt, repairAttempts };
 
         // Format response based on task type
         if (taskType === 'research') {
@@ -145,6 +272,7 @@ class OpenRouterClient {
             promptTokens,
             completionTokens,
             latencyMs,
+            ...repair,
           };
         } else if (taskType === 'deepening') {
           return {
@@ -153,63 +281,53 @@ class OpenRouterClient {
             promptTokens,
             completionTokens,
             latencyMs,
+            ...repair,
+          };
+        } else if (taskType === 'critique') {
+          return {
+            model,
+            critiques: data.critiques,
+            promptTokens,
+            completionTokens,
+            latencyMs,
+            ...repair,
           };
         }
 
-        return { model, data, promptTokens, completionTokens, latencyMs };
+        return { model, data, promptTokens, completionTokens, latencyMs, ...repair };
       } catch (err) {
-        clearTimeout(timeout);
-
-        // Handle timeout
-        if (err.name === 'AbortError' || err.code === 'ECONNABORTED') {
-          logger.warn(`OpenRouter timeout on ${model} (attempt ${attempt + 1})`, {
-            timeoutMs: this.timeoutMs,
-          });
-          if (attempt < maxRetries) {
-            const backoff = Math.pow(2, attempt) * 1000;
-            await new Promise((r) => setTimeout(r, backoff));
-            lastError = err;
-            continue;
-          }
-          throw new ProviderTimeoutError(model);
+        if (options.signal?.aborted) {
+          throw new CancelledError(`[${model}] Request cancelled`);
         }
 
-        // Handle HTTP status errors
-        const status = err.status || err.statusCode;
-
-        // Handle 402 (quota exceeded) - try next key if available
-        if (status === 402 && this.apiKeys.length > 1 && !usedKeys.has(currentKey)) {
-          usedKeys.add(currentKey);
-          currentKey = this._rotateKey();
-          logger.warn(
-            `OpenRouter quota exceeded for ${model} with current key, retrying with next key (attempt ${attempt + 1})`
-          );
-          const backoff = Math.pow(2, attempt) * 500;
-          await new Promise((r) => setTimeout(r, backoff));
-          lastError = err;
-          continue;
+        // Repair already re-asked the model; replay cache misses cannot be retried either
+        if (err instanceof ParseError || err instanceof FixtureNotFoundError) {
+          throw err;
         }
 
-        if ((status === 429 || status >= 500) && attempt < maxRetries) {
+        const { status, isTimeout, retryable, message } = adapter.mapError(err);
+
+        if (retryable && attempt < maxRetries) {
           const backoff = Math.pow(2, attempt) * 1000;
           logger.warn(
-            `OpenRouter request failed for ${model} (HTTP ${status}), retrying in ${backoff}ms`
+            isTimeout
+              ? `${adapter.name} timeout on ${model} (attempt ${attempt + 1}), retrying in ${backoff}ms`
+              : `${adapter.name} request failed for ${model} (HTTP ${status}), retrying in ${backoff}ms`,
+            { timeoutMs: options.timeoutMs || this.timeoutMs }
           );
-          await new Promise((r) => setTimeout(r, backoff));
+          await abortableDelay(backoff, options.signal);
           lastError = err;
           continue;
         }
 
-        // Handle parse errors - retry once
-        if (err instanceof ParseError && attempt < maxRetries) {
-          logger.warn(`Parse error for ${model}, retrying...`);
-          lastError = err;
-          continue;
+        if (isTimeout) {
+          throw new ProviderTimeoutError(model);
         }
 
         // Final error throw
-        throw new ProviderError(model, err.message || 'OpenRouter API call failed', {
+        throw new ProviderError(model, message, {
           status,
+          adapter: adapter.name,
           originalError: err.code,
         });
       }
@@ -218,19 +336,58 @@ class OpenRouterClient {
     throw lastError;
   }
 
+  /**
+   * Stream a single model call as text chunks.
+   * No retries or schema validation — callers get the text as it arrives.
+   *
+   * @param {string} model - Catalog model identifier
+   * @param {string} systemPrompt
+   * @param {string} userPrompt
+   * @param {Object} [options] - { maxTokens?, temperature?, jsonMode? }
+   * @returns {AsyncGenerator<Object>} { type: 'delta', text } chunks, then { type: 'done', content, promptTokens, completionTokens }
+   */
+  async *stream(model, systemPrompt, userPrompt, options = {}) {
+    const { adapter, apiModel } = this._resolve(model);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      yield* adapter.stream({
+        ...this._buildRequest(apiModel, systemPrompt, userPrompt, options),
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (err instanceof FixtureNotFoundError) {
+        throw err;
+      }
+      const { status, isTimeout, message } = adapter.mapError(err);
+      if (isTimeout) {
+        throw new ProviderTimeoutError(model);
+      }
+      throw new ProviderError(model, message, { status, adapter: adapter.name, originalError: err.code });
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
   /**
    * Execute calls to multiple models in parallel
    * Returns settled promises to handle partial failures gracefully
    *
-   * @param {string[]} models - Array of model IDs
+   * @param {Array<string|Object>} models - Model IDs or specs: { id, maxRetries?, ...call options }
    * @param {string} systemPrompt - System context
    * @param {string} userPrompt - User request
    * @param {string} taskType - 'research' or 'deepening'
+   * @param {Object} [hooks] - Optional per-model lifecycle callbacks
+   * @param {function(string): void} [hooks.onStart] - Called with the model ID before its request is sent
+   * @param {function(Object): void} [hooks.onSettled] - Called with each settled item as soon as it settles
    * @returns {Promise<Object[]>} - Array of settled results
    */
-  async callMultiple(models, systemPrompt, userPrompt, taskType = 'research') {
-    const promises = models.map((model) =>
-      this.call(model, systemPrompt, userPrompt, taskType)
+  async callMultiple(models, systemPrompt, userPrompt, taskType = 'research', hooks = {}) {
+    const promises = models.map((entry) => {
+      const { id: model, maxRetries, ...options } = typeof entry === 'string' ? { id: entry } : entry;
+      hooks.onStart?.(model);
+      return this.call(model, systemPrompt, userPrompt, taskType, maxRetries, options)
         .then((result) => ({
           model,
           status: 'fulfilled',
@@ -244,7 +401,11 @@ class OpenRouterClient {
             error,
           };
         })
-    );
+        .then((item) => {
+          hooks.onSettled?.(item);
+          return item;
+        });
+    });
 
     const settled = await Promise.all(promises);
     return settled;
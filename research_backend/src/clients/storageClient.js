@@ -0,0 +1,79 @@
+'use strict';
+
+import { StorageError } from '../utils/errors.js';
+
+/**
+ * Storage Service Client
+ * Downloads project files from the storage microservice (the Google Drive
+ * bridge in /storage), which serves them at GET /file/:fileId.
+ */
+class StorageClient {
+  /**
+   * @param {Object} config
+   * @param {string} config.baseURL - e.g. http://localhost:8000
+   * @param {number} [config.timeoutMs=30000]
+   * @param {number} [config.maxFileBytes=20971520] - Larger files are rejected
+   */
+  constructor(config) {
+    this.baseURL = config.baseURL;
+    this.timeoutMs = config.timeoutMs || 30000;
+    this.maxFileBytes = config.maxFileBytes || 20 * 1024 * 1024;
+  }
+
+  /**
+   * Download a file into memory.
+   *
+   * @param {string} fileId - Storage (Google Drive) file ID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the download
+   * @returns {Promise<{ buffer: Buffer, mimeType: string|null }>}
+   * @throws {StorageError}
+   */
+  async download(fileId, options = {}) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeoutMs);
+    const onAbort = () => controller.abort();
+    options.signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      return await this._download(fileId, controller.signal);
+    } catch (err) {
+      if (err instanceof StorageError) throw err;
+      const reason = timedOut ? `timed out after ${this.timeoutMs}ms` : err.message;
+      throw new StorageError(`Failed to download file ${fileId}: ${reason}`);
+    } finally {
+      clearTimeout(timeout);
+      options.signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /** @private */
+  async _download(fileId, signal) {
+    const res = await fetch(`${this.baseURL}/file/${encodeURIComponent(fileId)}`, { signal });
+
+    if (!res.ok) {
+      throw new StorageError(`Failed to download file ${fileId}: storage service returned HTTP ${res.status}`, {
+        status: res.status,
+      });
+    }
+
+    const declaredSize = parseInt(res.headers.get('content-length') || '0', 10);
+    if (declaredSize > this.maxFileBytes) {
+      await res.body?.cancel();
+      throw new StorageError(`File ${fileId} is too large (${declaredSize} bytes, limit ${this.maxFileBytes})`);
+    }
+
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (buffer.length > this.maxFileBytes) {
+      throw new StorageError(`File ${fileId} is too large (${buffer.length} bytes, limit ${this.maxFileBytes})`);
+    }
+
+    return { buffer, mimeType: res.headers.get('content-type') };
+  }
+}
+
+export default StorageClient;
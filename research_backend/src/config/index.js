@@ -1,6 +1,7 @@
 'use strict';
 
 import 'dotenv/config';
+import path from 'path';
 import { getResearchModels, modelConfig } from './models.js';
 
 /**
@@ -27,8 +28,16 @@ const requiredEnvVars = [
   'API_KEY',
 ];
 
-// Validate required env vars
-const missing = requiredEnvVars.filter((key) => !process.env[key]);
+// LLM record/replay fixtures: off | record | replay
+const llmFixtureMode = process.env.LLM_FIXTURE_MODE || 'off';
+if (!['off', 'record', 'replay'].includes(llmFixtureMode)) {
+  throw new Error(`Invalid LLM_FIXTURE_MODE "${llmFixtureMode}" (expected off, record or replay)`);
+}
+
+// Validate required env vars (replay runs offline, so no OpenRouter key is needed)
+const missing = requiredEnvVars
+  .filter((key) => !(llmFixtureMode === 'replay' && key === 'OPENROUTER_API_KEY'))
+  .filter((key) => !process.env[key]);
 if (missing.length > 0) {
   throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
 }
@@ -67,7 +76,10 @@ const config = {
     apiKeys: (process.env.OPENROUTER_API_KEYS || '').split(',').filter(Boolean).map((k) => k.trim()),
     baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
     maxTokens: parseInt(process.env.LLM_MAX_TOKENS || '2000', 10),
+    temperature: parseFloat(process.env.LLM_TEMPERATURE || '0.7'),
     timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '60000', 10),
+    // Re-asks sent back to a model whose JSON output fails schema validation
+    maxRepairAttempts: parseInt(process.env.LLM_REPAIR_ATTEMPTS || '2', 10),
 
     // Default fallback model
     defaultModel: process.env.DEFAULT_MODEL || modelConfig.default,
@@ -81,10 +93,99 @@ const config = {
     modelKeyMap: buildModelKeyMap(modelConfig.research, process.env.OPENROUTER_API_KEYS),
   },
 
+  // Native Anthropic API — used by catalog models with adapter: 'anthropic'
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY,
+    baseURL: process.env.ANTHROPIC_BASE_URL || undefined,
+  },
+
+  // Self-hosted OpenAI-compatible server (llama.cpp, vLLM, Ollama) — adapter: 'local'
+  localLlm: {
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    // Disable when the server rejects response_format: { type: 'json_object' }
+    jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false',
+  },
+
+  // Recorded LLM responses for offline development and CI (see providers/registry.js)
+  llmFixtures: {
+    mode: llmFixtureMode,
+    dir: path.resolve(process.env.LLM_FIXTURE_DIR || 'fixtures/llm'),
+  },
+
+  // Storage microservice (Google Drive bridge) that holds project files
+  storage: {
+    baseURL: (process.env.STORAGE_SERVICE_URL || 'http://localhost:8000').replace(/\/$/, ''),
+    timeoutMs: parseInt(process.env.STORAGE_TIMEOUT_MS || '30000', 10),
+    maxFileBytes: parseInt(process.env.STORAGE_MAX_FILE_BYTES || String(20 * 1024 * 1024), 10),
+  },
+
+  // Project files as research context: passage size and how much goes into the prompt
+  grounding: {
+    chunkChars: parseInt(process.env.GROUNDING_CHUNK_CHARS || '1200', 10),
+    chunkOverlap: parseInt(process.env.GROUNDING_CHUNK_OVERLAP || '200', 10),
+    maxPassages: parseInt(process.env.GROUNDING_MAX_PASSAGES || '6', 10),
+    maxContextChars: parseInt(process.env.GROUNDING_MAX_CONTEXT_CHARS || '6000', 10),
+  },
+
+  // Optional second round where each model critiques the other models' unique ideas
+  critique: {
+    enabled: process.env.CRITIQUE_ROUND_ENABLED === 'true',
+    maxIdeasPerCritic: parseInt(process.env.CRITIQUE_MAX_IDEAS || '20', 10),
+    maxTokens: parseInt(process.env.CRITIQUE_MAX_TOKENS || '3000', 10),
+  },
+
+  // Pairwise LLM-judge tournament over a session's unique ideas (POST /sessions/:id/rank)
+  ranking: {
+    judgeModel: process.env.RANKING_JUDGE_MODEL || process.env.DEFAULT_MODEL || modelConfig.default,
+    rounds: parseInt(process.env.RANKING_ROUNDS || '5', 10),
+    kFactor: parseFloat(process.env.RANKING_K_FACTOR || '32'),
+    initialRating: parseFloat(process.env.RANKING_INITIAL_RATING || '1000'),
+    concurrency: parseInt(process.env.RANKING_CONCURRENCY || '4', 10),
+    maxTokens: parseInt(process.env.RANKING_MAX_TOKENS || '500', 10),
+  },
+
+  // POST /sessions/:id/synthesize: 'extractive' keeps each cluster's most detailed fragment,
+  // 'abstractive' has a model write a developed idea per cluster
+  synthesis: {
+    mode: process.env.SYNTHESIS_MODE || 'extractive',
+    model: process.env.SYNTHESIS_MODEL || process.env.DEFAULT_MODEL || modelConfig.default,
+    maxTokens: parseInt(process.env.SYNTHESIS_MAX_TOKENS || '1500', 10),
+    concurrency: parseInt(process.env.SYNTHESIS_CONCURRENCY || '4', 10),
+  },
+
+  // Recurring research (research_schedules): ideas closer than this to an idea of an
+  // earlier run of the same schedule are not reported as new in the run's digest
+  schedules: {
+    noveltyThreshold: parseFloat(process.env.SCHEDULE_NOVELTY_THRESHOLD || '0.85'),
+    defaultTimezone: process.env.SCHEDULE_TIMEZONE || 'UTC',
+  },
+
+  // Embedding backend: 'openai' (OpenAI-compatible embeddings API, OpenRouter by default),
+  // 'local' (transformers.js sentence embedder loaded from disk) or 'hashed' (hashed TF-IDF, no model).
+  // When the backend fails, the whole call is retried on EMBEDDING_FALLBACK ('none' to fail instead).
+  // Every backend returns `dimensions`-long vectors, the size of the stored pgvector columns.
   embedding: {
+    backend: process.env.EMBEDDING_BACKEND || 'openai',
+    fallback: process.env.EMBEDDING_FALLBACK || 'hashed',
     model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
     dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '1536', 10),
     batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || '100', 10),
+    baseURL: process.env.EMBEDDING_BASE_URL || process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+    apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENROUTER_API_KEY,
+    local: {
+      // Directory holding <model>/ (config.json, tokenizer.json, onnx/model*.onnx); nothing is downloaded
+      modelPath: path.resolve(process.env.EMBEDDING_LOCAL_MODEL_PATH || 'models'),
+      model: process.env.EMBEDDING_LOCAL_MODEL || 'Xenova/all-MiniLM-L6-v2',
+      dtype: process.env.EMBEDDING_LOCAL_DTYPE || 'q8',
+    },
+    // Vectors are cached by sha256 of model, dimensions and normalized text (embedding_cache),
+    // optionally fronted by Redis so hot texts skip the database too
+    cache: {
+      enabled: process.env.EMBEDDING_CACHE !== 'false',
+      redis: process.env.EMBEDDING_CACHE_REDIS === 'true',
+      redisTtlSeconds: parseInt(process.env.EMBEDDING_CACHE_REDIS_TTL_SECONDS || String(7 * 24 * 3600), 10),
+    },
   },
 
   similarity: {
@@ -104,6 +205,12 @@ const config = {
     attempts: parseInt(process.env.JOB_ATTEMPTS || '2', 10),
     backoffMs: parseInt(process.env.JOB_BACKOFF_MS || '5000', 10),
   },
+
+  // Live progress events (SSE) — history kept in Redis for late subscribers
+  progress: {
+    historyTtlSeconds: parseInt(process.env.PROGRESS_HISTORY_TTL_SECONDS || '3600', 10),
+    heartbeatMs: parseInt(process.env.PROGRESS_HEARTBEAT_MS || '15000', 10),
+  },
 };
 
 export default config;
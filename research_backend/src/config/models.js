@@ -1,10 +1,36 @@
 'use strict';
 
+import 'dotenv/config';
+import { ValidationError } from '../utils/errors.js';
+
 /**
- * Model Configuration for OpenRouter
- * Contains all available models and their configurations
+ * Model Configuration
+ * Contains all available models and their configurations.
+ * `adapter` names the provider adapter that serves the model (see
+ * providers/registry.js); `apiModel` overrides the model name sent to the
+ * provider when it differs from the catalog ID. Models with
+ * `includeByDefault: false` are only used when selected explicitly.
  */
 
+// Upper bound accepted for per-request temperature overrides
+const MAX_TEMPERATURE = 2;
+
+// Self-hosted models served by an OpenAI-compatible endpoint (LOCAL_LLM_BASE_URL)
+const localModels = (process.env.LOCAL_LLM_MODELS || '')
+  .split(',')
+  .map((name) => name.trim())
+  .filter(Boolean)
+  .map((name) => ({
+    id: `local/${name}`,
+    apiModel: name,
+    name: `${name} (local)`,
+    provider: 'Local',
+    adapter: 'local',
+    includeByDefault: false,
+    maxTokens: parseInt(process.env.LOCAL_LLM_MAX_TOKENS || '4096', 10),
+    costPer1kTokens: { input: 0, output: 0 },
+  }));
+
 const modelConfig = {
   // Research models used for main research pipeline
   research: [
@@ -12,6 +38,7 @@ const modelConfig = {
       id: 'deepseek/deepseek-chat',
       name: 'DeepSeek Chat',
       provider: 'DeepSeek',
+      adapter: 'openrouter',
       maxTokens: 4096,
       costPer1kTokens: { input: 0.0005, output: 0.002 },
     },
@@ -19,6 +46,7 @@ const modelConfig = {
       id: 'perplexity/sonar',
       name: 'Perplexity Sonar',
       provider: 'Perplexity',
+      adapter: 'openrouter',
       maxTokens: 4096,
       costPer1kTokens: { input: 0.003, output: 0.015 },
     },
@@ -26,6 +54,7 @@ const modelConfig = {
       id: 'mistralai/mistral-large',
       name: 'Mistral Large',
       provider: 'Mistral',
+      adapter: 'openrouter',
       maxTokens: 4096,
       costPer1kTokens: { input: 0.004, output: 0.012 },
     },
@@ -33,6 +62,7 @@ const modelConfig = {
       id: 'meta-llama/llama-3-8b-instruct',
       name: 'Llama 3 8B Instruct',
       provider: 'Meta',
+      adapter: 'openrouter',
       maxTokens: 4096,
       costPer1kTokens: { input: 0.0002, output: 0.0003 },
     },
@@ -40,9 +70,20 @@ const modelConfig = {
       id: 'google/gemma-3-27b-it',
       name: 'Gemma 3 27B IT',
       provider: 'Google',
+      adapter: 'openrouter',
       maxTokens: 4096,
       costPer1kTokens: { input: 0.0001, output: 0.0002 },
     },
+    {
+      id: 'claude-3-5-sonnet-20240620',
+      name: 'Claude 3.5 Sonnet (Anthropic API)',
+      provider: 'Anthropic',
+      adapter: 'anthropic',
+      includeByDefault: false,
+      maxTokens: 4096,
+      costPer1kTokens: { input: 0.003, output: 0.015 },
+    },
+    ...localModels,
   ],
 
   // Deepening models used for idea expansion
@@ -51,12 +92,14 @@ const modelConfig = {
       id: 'deepseek/deepseek-chat',
       name: 'DeepSeek Chat',
       provider: 'DeepSeek',
+      adapter: 'openrouter',
       maxTokens: 4096,
     },
     {
       id: 'perplexity/sonar',
       name: 'Perplexity Sonar',
       provider: 'Perplexity',
+      adapter: 'openrouter',
       maxTokens: 4096,
     },
   ],
@@ -68,10 +111,13 @@ const modelConfig = {
 /**
  * Get research models based on config
  * Filters models based on comma-separated list from env or returns all
+ * default models (opt-in models must be listed explicitly)
  */
 function getResearchModels(envVar) {
   if (!envVar) {
-    return modelConfig.research.map((m) => m.id);
+    return modelConfig.research
+      .filter((m) => m.includeByDefault !== false)
+      .map((m) => m.id);
   }
 
   const modelIds = envVar.split(',').map((id) => id.trim());
@@ -80,6 +126,59 @@ function getResearchModels(envVar) {
   );
 }
 
+/**
+ * Resolve a per-request model selection into model specs.
+ * Entries may be model IDs or { id, maxTokens?, temperature? } objects and must
+ * reference models from modelConfig.research. Without a selection, the models
+ * from RESEARCH_MODELS (or all research models) are used.
+ *
+ * @param {Array<string|Object>} [selection]
+ * @returns {Array<{ id: string, maxTokens?: number, temperature?: number }>}
+ * @throws {ValidationError} When the selection is malformed or references unknown models
+ */
+function resolveModelSelection(selection) {
+  if (selection === undefined || selection === null) {
+    return getResearchModels(process.env.RESEARCH_MODELS).map((id) => ({ id }));
+  }
+
+  if (!Array.isArray(selection) || selection.length === 0) {
+    throw new ValidationError('models must be a non-empty array');
+  }
+
+  const seen = new Set();
+  return selection.map((entry, idx) => {
+    const spec = typeof entry === 'string' ? { id: entry } : entry;
+    if (!spec || typeof spec !== 'object' || typeof spec.id !== 'string') {
+      throw new ValidationError(`models[${idx}] must be a model ID or { id, maxTokens?, temperature? }`);
+    }
+
+    const meta = modelConfig.research.find((m) => m.id === spec.id);
+    if (!meta) {
+      throw new ValidationError(`models[${idx}]: unknown research model "${spec.id}"`, {
+        available: modelConfig.research.map((m) => m.id),
+      });
+    }
+    if (seen.has(spec.id)) {
+      throw new ValidationError(`models[${idx}]: "${spec.id}" is listed more than once`);
+    }
+    seen.add(spec.id);
+
+    const { maxTokens, temperature } = spec;
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > meta.maxTokens)) {
+      throw new ValidationError(`models[${idx}].maxTokens must be an integer between 1 and ${meta.maxTokens}`);
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > MAX_TEMPERATURE)) {
+      throw new ValidationError(`models[${idx}].temperature must be a number between 0 and ${MAX_TEMPERATURE}`);
+    }
+
+    return {
+      id: spec.id,
+      ...(maxTokens !== undefined && { maxTokens }),
+      ...(temperature !== undefined && { temperature }),
+    };
+  });
+}
+
 /**
  * Get model metadata by model ID
  */
@@ -91,5 +190,6 @@ function getModelMetadata(modelId) {
 export {
   modelConfig,
   getResearchModels,
+  resolveModelSelection,
   getModelMetadata,
 };
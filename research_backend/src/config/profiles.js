@@ -0,0 +1,72 @@
+'use strict';
+
+import config from './index.js';
+import { ValidationError } from '../utils/errors.js';
+
+/**
+ * Research Execution Profiles
+ * A profile decides how much work a research run does: which models it calls
+ * when the request does not pick them, how often transport errors are retried
+ * and how long each model call may take, whether ideas are embedded and
+ * clustered, and the similarity thresholds for clustering and de-duplication.
+ *
+ * `models`: 'default' (the default model), 'configured' (RESEARCH_MODELS, or
+ * every default research model) or an array of catalog model IDs.
+ * `maxModels` caps the model list, including a per-request selection.
+ * Clustering (and with it de-duplication) needs embeddings.
+ */
+
+const { timeoutMs } = config.openRouter;
+
+const executionProfiles = {
+  fast: {
+    description: 'One model, no retries, no embeddings or clustering',
+    models: 'default',
+    maxModels: 1,
+    maxRetries: 0,
+    timeoutMs: Math.min(timeoutMs, 30000),
+    embeddings: false,
+    clustering: false,
+    similarity: null,
+  },
+  balanced: {
+    description: 'Configured models with clustering and de-duplication',
+    models: 'configured',
+    maxModels: null,
+    maxRetries: 2,
+    timeoutMs,
+    embeddings: true,
+    clustering: true,
+    similarity: { ...config.similarity },
+  },
+  thorough: {
+    description: 'Configured models, more retries and time, broader clusters and stricter de-duplication',
+    models: 'configured',
+    maxModels: null,
+    maxRetries: 4,
+    timeoutMs: Math.max(timeoutMs, 120000),
+    embeddings: true,
+    clustering: true,
+    similarity: { clusterThreshold: 0.75, dedupThreshold: 0.9 },
+  },
+};
+
+const defaultProfileName = process.env.RESEARCH_PROFILE || 'balanced';
+
+/**
+ * Look up an execution profile by name.
+ * @param {string} [name] - Defaults to RESEARCH_PROFILE (else 'balanced')
+ * @returns {Object} Profile settings with its `name`
+ * @throws {ValidationError} When no profile has that name
+ */
+function resolveExecutionProfile(name = defaultProfileName) {
+  const profile = executionProfiles[name];
+  if (!profile) {
+    throw new ValidationError(`Unknown execution profile "${name}"`, {
+      available: Object.keys(executionProfiles),
+    });
+  }
+  return { name, ...profile };
+}
+
+export { executionProfiles, resolveExecutionProfile };
@@ -2,38 +2,36 @@
 
 import * as ideaRepository from '../repositories/ideaRepository.js';
 import * as sessionRepository from '../services/sessionRepository.js';
+import { resolveIdea } from '../services/researchService.js';
+import { generateEmbeddings, buildIdeaEmbeddingText } from '../services/embeddingService.js';
 import { AppError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Save an idea (like/bookmark)
+ * Body: { ideaId } - a synthesized idea id (from POST /sessions/:id/synthesize) or a pipeline idea id.
+ * The saved content is read from the stored idea; an optional sessionId must match the idea's session.
+ * The saved idea is embedded for GET /search/ideas.
  */
 export async function saveIdea(req, res, next) {
     try {
         const userId = req.user?.id || req.userId;
-        const {
-            sessionId,
-            ideaId,
-            title,
-            description,
-            strategicThesis,
-            mechanism,
-            implementationFramework,
-            ideaType,
-            derivedFromModels,
-            supportCount,
-            confidence,
-        } = req.body;
+        const { ideaId, sessionId } = req.body;
 
         // Validate required fields
-        if (!sessionId || !ideaId || !title || !ideaType) {
-            throw new AppError('Missing required fields: sessionId, ideaId, title, ideaType', 400);
+        if (typeof ideaId !== 'string' || !UUID_PATTERN.test(ideaId)) {
+            throw new AppError('ideaId must be the UUID of a synthesized or research idea', 400, 'VALIDATION_ERROR');
         }
 
-        // Verify session exists and belongs to user
-        const session = await sessionRepository.getSessionById(sessionId);
-        if (!session) {
-            throw new AppError('Session not found', 404);
+        const idea = await resolveIdea(ideaId);
+        if (sessionId && sessionId !== idea.sessionId) {
+            throw new AppError('Idea does not belong to this session', 400, 'IDEA_SESSION_MISMATCH');
         }
+
+        // Verify session exists and belongs to user
+        const session = await sessionRepository.getSessionById(idea.sessionId);
         if (session.user_id && session.user_id !== userId) {
             throw new AppError('Unauthorized access to session', 403);
         }
@@ -46,25 +44,35 @@ export async function saveIdea(req, res, next) {
 
         // Save the idea
         const saved = await ideaRepository.create(userId, {
-            sessionId,
+            sessionId: idea.sessionId,
             ideaId,
-            title,
-            description: description || '',
-            strategicThesis: strategicThesis || '',
-            mechanism: mechanism || '',
-            implementationFramework: implementationFramework || {},
-            ideaType,
-            derivedFromModels: derivedFromModels || [],
-            supportCount: supportCount || 0,
-            confidence: confidence || 0,
+            title: idea.title.slice(0, 255),
+            description: idea.description || '',
+            strategicThesis: idea.strategicThesis || '',
+            mechanism: idea.mechanism || '',
+            implementationFramework: idea.implementationFramework || {},
+            ideaType: idea.ideaType,
+            derivedFromModels: idea.derivedFromModels || [],
+            supportCount: idea.supportCount || 0,
+            confidence: idea.confidence || 0,
         });
 
+        // Embed the saved idea for semantic search; the idea stays saved when this fails
+        try {
+            const { embeddings, model } = await generateEmbeddings([buildIdeaEmbeddingText(idea)]);
+            await ideaRepository.setEmbedding(saved.id, embeddings[0], model);
+        } catch (err) {
+            logger.warn('Failed to embed saved idea', { savedIdeaId: saved.id, error: err.message });
+        }
+
         res.status(201).json({
             success: true,
             data: {
                 id: saved.id,
                 ideaId: saved.idea_id,
+                sessionId: saved.session_id,
                 title: saved.title,
+                ideaSource: idea.source,
                 savedAt: saved.saved_at,
             },
         });
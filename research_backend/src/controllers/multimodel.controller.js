@@ -1,11 +1,14 @@
 'use strict';
 
 import { body, param } from 'express-validator';
-import { runMultiModelResearch } from '../services/researchService.js';
+import { runMultiModelResearch, estimateMultiModelCost } from '../services/researchService.js';
+import { resolveModelSelection } from '../config/models.js';
+import { publishProgress } from '../services/progressService.js';
 import { validateRequest } from '../middleware/validate.js';
 import { AppError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 import repo from '../services/sessionRepository.js';
+import templateRepo from '../services/templateRepository.js';
 import rawOutputRepo from '../services/rawOutputRepository.js';
 
 // Validation chain for multi-model research
@@ -16,28 +19,89 @@ const validateMultiModelBody = [
         .trim()
         .isLength({ min: 10, max: 5000 })
         .withMessage('input must be between 10 and 5000 characters'),
+    body('models')
+        .optional()
+        .custom((models) => {
+            resolveModelSelection(models);
+            return true;
+        }),
+    body('sessionId')
+        .optional()
+        .isUUID(4)
+        .withMessage('sessionId must be a valid UUID v4'),
+    body('templateId')
+        .optional()
+        .isUUID()
+        .withMessage('templateId must be a valid UUID'),
+    body('templateVariables')
+        .optional()
+        .isObject()
+        .withMessage('templateVariables must be an object'),
+    body('maxCostUsd')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('maxCostUsd must be a positive number (USD)')
+        .toFloat(),
     validateRequest,
 ];
 
+/**
+ * POST /api/v1/multimodel/estimate
+ * Dry run: estimate the token cost of a multi-model request without calling any model.
+ */
+async function estimateMultiModel(req, res, next) {
+    try {
+        const { input, templateId, templateVariables, maxCostUsd } = req.body;
+        const models = req.body.models ? resolveModelSelection(req.body.models) : undefined;
+        const template = templateId
+            ? await templateRepo.loadRenderedTemplate({ id: templateId }, templateVariables)
+            : null;
+
+        const estimate = await estimateMultiModelCost(input, { models, template, maxCostUsd });
+
+        res.status(200).json({ success: true, data: { estimate } });
+    } catch (err) {
+        next(err);
+    }
+}
+
 /**
  * POST /api/v1/multimodel
  * Execute all configured models in parallel, store raw outputs, and return structured results.
  * Creates a session to track the research and enables synthesis endpoint to work with stored data.
+ * Clients may pass their own `sessionId` so they can open GET /research/:sessionId/events
+ * and receive per-model progress while this request is still running, or cancel it with
+ * POST /research/:sessionId/cancel.
  */
 async function executeMultiModel(req, res, next) {
+    let sessionId = req.body.sessionId || null;
+    let sessionCreated = false;
     try {
-        const { input } = req.body;
+        const { input, templateId, templateVariables, maxCostUsd } = req.body;
+        const models = req.body.models ? resolveModelSelection(req.body.models) : undefined;
+        const template = templateId
+            ? await templateRepo.loadRenderedTemplate({ id: templateId }, templateVariables)
+            : null;
 
         logger.info('Multi-model research request received', { inputLength: input.length });
 
         // Step 1: Create a session to track all outputs
-        const session = await repo.createSession(input, { type: 'multimodel' });
-        const sessionId = session.id;
+        const session = await repo.createSession(input, { type: 'multimodel' }, sessionId);
+        sessionId = session.id;
+        sessionCreated = true;
         logger.debug('Session created', { sessionId });
 
         // Step 2: Run all models in parallel
         const startTime = Date.now();
-        const result = await runMultiModelResearch(input);
+        await repo.updateSessionStatus(sessionId, 'processing');
+        const result = await runMultiModelResearch(input, {
+            sessionId, models, template, templateVariables, maxCostUsd,
+        });
+        await repo.updateSessionMetadata(sessionId, {
+            models: result.models,
+            cost: result.cost,
+            ...(result.template && { template: result.template }),
+        });
         const duration = Date.now() - startTime;
 
         // Step 3: Store raw outputs in database
@@ -58,6 +122,17 @@ async function executeMultiModel(req, res, next) {
             // Don't fail the request; just log warning
         }
 
+        // A cancelled session keeps whatever outputs arrived before the cancel
+        const finalStatus = result.cancelled
+            ? 'cancelled'
+            : result.successCount > 0 ? 'completed' : 'failed';
+        await repo.updateSessionStatus(sessionId, finalStatus);
+        await publishProgress(sessionId, {
+            stage: finalStatus,
+            progress: 100,
+            summary: { successCount: result.successCount, failureCount: result.failureCount },
+        });
+
         logger.info('Multi-model research completed', {
             duration,
             successCount: result.successCount,
@@ -75,6 +150,16 @@ async function executeMultiModel(req, res, next) {
         });
     } catch (err) {
         logger.error('Multi-model research failed', { error: err.message });
+        // Client errors (duplicate sessionId, unknown template, bad variables) pass through as-is
+        if (err.statusCode < 500) return next(err);
+        if (sessionCreated) {
+            try {
+                await repo.updateSessionStatus(sessionId, 'failed');
+            } catch (dbErr) {
+                logger.error('Failed to update session status to failed', { sessionId, error: dbErr.message });
+            }
+        }
+        await publishProgress(sessionId, { stage: 'failed', progress: 100, error: err.message });
         return next(new AppError(err.message, 500, 'MULTIMODEL_RESEARCH_FAILED'));
     }
 }
@@ -82,4 +167,5 @@ async function executeMultiModel(req, res, next) {
 export {
     validateMultiModelBody,
     executeMultiModel,
+    estimateMultiModel,
 };
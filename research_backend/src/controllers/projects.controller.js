@@ -3,6 +3,7 @@
 import { body, param } from 'express-validator';
 import { query, withTransaction } from '../db/pool.js';
 import { validateRequest } from '../middleware/validate.js';
+import config from '../config/index.js';
 import { NotFoundError, ValidationError, AuthenticationError } from '../utils/errors.js';
 
 const validateCreateProject = [
@@ -245,7 +246,7 @@ async function deleteProjectFile(req, res, next) {
         const googleFileId = removed.rows[0].google_file_id;
         if (googleFileId) {
             // Delete the actual file from Google Drive via the storage microservice
-            fetch(`http://localhost:8000/file/${googleFileId}`, { method: 'DELETE' })
+            fetch(`${config.storage.baseURL}/file/${googleFileId}`, { method: 'DELETE' })
                 .catch(err => console.error('Failed to notify storage service of deletion:', err));
         }
 
@@ -292,6 +293,7 @@ async function renameProjectFile(req, res, next) {
 }
 
 export {
+    ensureProjectMembership,
     validateCreateProject,
     validateProjectIdParam,
     validateInviteMember,
@@ -1,17 +1,26 @@
 'use strict';
 
 import { body, param, query } from 'express-validator';
-import { runResearchPipeline, deepenIdea } from '../services/researchService.js';
-import { addResearchJob, getJobStatus } from '../queue/researchQueue.js';
+import { runResearchPipeline, deepenIdea, estimateResearchCost } from '../services/researchService.js';
+import { addResearchJob, getJobStatus, cancelResearchJob as cancelQueuedJob } from '../queue/researchQueue.js';
 import repo from '../services/sessionRepository.js';
+import templateRepo from '../services/templateRepository.js';
+import { getProgressHistory, subscribeProgress, isTerminalStage, publishProgress } from '../services/progressService.js';
+import { requestCancel } from '../services/cancellationService.js';
+import config from '../config/index.js';
+import { resolveModelSelection } from '../config/models.js';
+import { executionProfiles } from '../config/profiles.js';
 import { validateRequest } from '../middleware/validate.js';
-import { NotFoundError, AppError } from '../utils/errors.js';
+import { loadProjectFiles } from '../services/groundingService.js';
+import { ensureProjectMembership } from './projects.controller.js';
+import { detectFormat, SUPPORTED_EXTENSIONS } from '../utils/textExtractor.js';
+import { NotFoundError, AppError, ValidationError, AuthenticationError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
 // ─────────────────────────────────────────────
 // Validation chains
 // ─────────────────────────────────────────────
-const validateResearchBody = [
+const researchBodyChains = [
     body('problemStatement')
         .isString()
         .withMessage('problemStatement must be a string')
@@ -22,9 +31,60 @@ const validateResearchBody = [
         .optional()
         .isObject()
         .withMessage('metadata must be an object'),
+    body(['metadata.fast', 'metadata.critique'])
+        .optional()
+        .isBoolean()
+        .withMessage('metadata.fast and metadata.critique must be booleans')
+        .toBoolean(),
+    body('models')
+        .optional()
+        .custom((models) => {
+            resolveModelSelection(models);
+            return true;
+        }),
+    body('profile')
+        .optional()
+        .isIn(Object.keys(executionProfiles))
+        .withMessage(`profile must be one of: ${Object.keys(executionProfiles).join(', ')}`),
+    body('templateId')
+        .optional()
+        .isUUID()
+        .withMessage('templateId must be a valid UUID'),
+    body('templateVariables')
+        .optional()
+        .isObject()
+        .withMessage('templateVariables must be an object'),
+    body('maxCostUsd')
+        .optional()
+        .isFloat({ gt: 0 })
+        .withMessage('maxCostUsd must be a positive number (USD)')
+        .toFloat(),
+];
+
+const validateResearchBody = [...researchBodyChains, validateRequest];
+
+const validateProjectResearch = [
+    param('id').isInt({ min: 1 }).withMessage('project id must be a positive integer'),
+    ...researchBodyChains,
+    body('fileIds')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('fileIds must be an array of 1-20 project file IDs'),
+    body('fileIds.*')
+        .isInt({ min: 1 })
+        .withMessage('fileIds must contain positive integers')
+        .toInt(),
     validateRequest,
 ];
 
+const validateForkSession = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    ...researchBodyChains,
+    validateRequest,
+];
+
+// Request options a fork inherits from its parent's metadata unless the fork overrides them
+const FORKED_OPTIONS = ['fast', 'critique'];
+
 const validateDeepenParams = [
     param('sessionId').isUUID().withMessage('sessionId must be a valid UUID'),
     param('ideaId').isUUID().withMessage('ideaId must be a valid UUID'),
@@ -49,6 +109,28 @@ const validateSessionParam = [
     validateRequest,
 ];
 
+/**
+ * Pin the referenced template to its current version and check the variables
+ * up front, so a bad request fails here instead of inside the worker.
+ * @returns {Promise<{ id: string, version: number }|undefined>}
+ */
+async function pinTemplate(templateId, templateVariables) {
+    if (!templateId) return undefined;
+    const template = await templateRepo.loadRenderedTemplate({ id: templateId }, templateVariables);
+    return { id: template.id, version: template.version };
+}
+
+/**
+ * Cancel a session's run: abort in-flight provider requests wherever the run
+ * executes, then mark the session cancelled. Results stored so far are kept.
+ * @param {string} sessionId
+ */
+async function cancelSessionRun(sessionId) {
+    await requestCancel(sessionId);
+    await repo.updateSessionStatus(sessionId, 'cancelled');
+    await publishProgress(sessionId, { stage: 'cancelled', progress: 100 });
+}
+
 // ─────────────────────────────────────────────
 // Controllers
 // ─────────────────────────────────────────────
@@ -60,7 +142,9 @@ const validateSessionParam = [
  */
 async function runResearch(req, res, next) {
     try {
-        const { problemStatement, metadata = {} } = req.body;
+        const { problemStatement, metadata = {}, profile, templateId, templateVariables, maxCostUsd } = req.body;
+        const models = req.body.models ? resolveModelSelection(req.body.models) : undefined;
+        const template = await pinTemplate(templateId, templateVariables);
         // Option B: create a session and enqueue work — return sessionId immediately
         logger.info('Creating session and enqueuing research job', {
             problemLength: problemStatement.length,
@@ -78,10 +162,16 @@ async function runResearch(req, res, next) {
 
         const { jobId } = await addResearchJob(problemStatement, {
             ...metadata,
+            profile,
+            models,
+            template,
+            templateVariables,
+            maxCostUsd,
             sessionId: session.id,
             source: 'api-queue',
             requestIp: req.ip,
         });
+        await repo.updateSessionMetadata(session.id, { jobId });
 
         res.status(202).json({
             success: true,
@@ -90,6 +180,7 @@ async function runResearch(req, res, next) {
                 jobId,
                 message: 'Session created and research job enqueued. Poll GET /api/v1/research/:sessionId for status.',
                 pollUrl: `/api/v1/research/${session.id}`,
+                eventsUrl: `/api/v1/research/${session.id}/events`,
             },
         });
     } catch (err) {
@@ -97,6 +188,32 @@ async function runResearch(req, res, next) {
     }
 }
 
+/**
+ * POST /api/v1/research/estimate
+ * Dry run: estimate the token cost of a research request without calling any model.
+ * Takes the same body as POST /research.
+ */
+async function estimateResearch(req, res, next) {
+    try {
+        const { problemStatement, metadata = {}, profile, templateId, templateVariables, maxCostUsd } = req.body;
+        const models = req.body.models ? resolveModelSelection(req.body.models) : undefined;
+        const template = await pinTemplate(templateId, templateVariables);
+
+        const estimate = await estimateResearchCost(problemStatement, {
+            profile,
+            fast: metadata.fast,
+            models,
+            template,
+            templateVariables,
+            maxCostUsd,
+        });
+
+        res.status(200).json({ success: true, data: { estimate } });
+    } catch (err) {
+        next(err);
+    }
+}
+
 /**
  * GET /api/v1/research/:sessionId
  * Return session status and (when available) the latest LLM response / ideas.
@@ -108,7 +225,7 @@ async function getSessionStatus(req, res, next) {
 
         // If session is completed, try to include latest LLM response (fast-path friendly)
         let latestResponse = null;
-        if (session.status === 'completed' || session.status === 'failed' || session.status === 'processing') {
+        if (['completed', 'failed', 'processing', 'cancelled'].includes(session.status)) {
             try {
                 latestResponse = await repo.getLatestLlmResponse(sessionId);
             } catch (e) {
@@ -135,20 +252,182 @@ async function getSessionStatus(req, res, next) {
  */
 async function runResearchAsync(req, res, next) {
     try {
-        const { problemStatement, metadata = {} } = req.body;
+        const { problemStatement, metadata = {}, profile, templateId, templateVariables, maxCostUsd } = req.body;
+        const models = req.body.models ? resolveModelSelection(req.body.models) : undefined;
+        const template = await pinTemplate(templateId, templateVariables);
+
+        // Create the session up front so clients can stream its progress events
+        const session = await repo.createSession(problemStatement, {
+            ...metadata,
+            source: 'api-async',
+            requestIp: req.ip,
+        });
 
         const { jobId } = await addResearchJob(problemStatement, {
             ...metadata,
+            profile,
+            models,
+            template,
+            templateVariables,
+            maxCostUsd,
+            sessionId: session.id,
             source: 'api-async',
             requestIp: req.ip,
         });
+        await repo.updateSessionMetadata(session.id, { jobId });
 
         res.status(202).json({
             success: true,
             data: {
                 jobId,
+                sessionId: session.id,
                 message: 'Research job enqueued. Poll /api/v1/research/job/:jobId for status.',
                 pollUrl: `/api/v1/research/job/${jobId}`,
+                eventsUrl: `/api/v1/research/${session.id}/events`,
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * POST /api/v1/projects/:id/research
+ * Async research grounded in project files — enqueues a job like POST /research/async.
+ * The worker downloads the selected files, ranks their passages against the problem
+ * statement and adds the best ones to the prompt. Requires project membership (JWT).
+ */
+async function runProjectResearch(req, res, next) {
+    try {
+        const projectId = parseInt(req.params.id, 10);
+        const { problemStatement, metadata = {}, profile, templateId, templateVariables, maxCostUsd } = req.body;
+        const fileIds = [...new Set(req.body.fileIds)];
+
+        await ensureProjectMembership(projectId, req.user.id);
+        // Fail fast on unknown or unreadable files instead of inside the worker
+        const files = await loadProjectFiles(projectId, fileIds);
+        const unsupported = files.filter((f) => !detectFormat({ fileName: f.file_name, mimeType: f.mime_type }));
+        if (unsupported.length > 0) {
+            throw new ValidationError(
+                `Unsupported file types: ${unsupported.map((f) => f.file_name).join(', ')} ` +
+                `(supported: ${SUPPORTED_EXTENSIONS.join(', ')})`
+            );
+        }
+
+        const models = req.body.models ? resolveModelSelection(req.body.models) : undefined;
+        const template = await pinTemplate(templateId, templateVariables);
+        const grounding = { projectId, fileIds };
+
+        const session = await repo.createSession(problemStatement, {
+            ...metadata,
+            grounding,
+            source: 'project',
+            requestIp: req.ip,
+        });
+
+        const { jobId } = await addResearchJob(problemStatement, {
+            ...metadata,
+            profile,
+            models,
+            template,
+            templateVariables,
+            maxCostUsd,
+            grounding,
+            sessionId: session.id,
+            source: 'project',
+            requestIp: req.ip,
+        });
+        await repo.updateSessionMetadata(session.id, { jobId });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                jobId,
+                sessionId: session.id,
+                message: 'Research job enqueued with project file context.',
+                pollUrl: `/api/v1/research/job/${jobId}`,
+                eventsUrl: `/api/v1/research/${session.id}/events`,
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * POST /api/v1/sessions/:id/fork
+ * Rerun a session with an edited problem statement, as an async job like POST /research/async.
+ * The fork keeps the parent's execution profile, models, template version and variables, budget,
+ * project files and options unless the body overrides them, and is linked to the parent (parent_session_id).
+ */
+async function forkSession(req, res, next) {
+    try {
+        const parent = await repo.getSessionById(req.params.id);
+        const inherited = parent.metadata || {};
+        const { problemStatement, metadata = {}, templateId, templateVariables } = req.body;
+
+        const profile = req.body.profile ?? inherited.profile?.name;
+        const models = req.body.models ? resolveModelSelection(req.body.models) : inherited.models;
+
+        let template;
+        let forkVariables;
+        if (templateId) {
+            template = await pinTemplate(templateId, templateVariables);
+            forkVariables = templateVariables;
+        } else if (inherited.template) {
+            // Same version the parent ran with; fails here if it has since been deleted
+            forkVariables = templateVariables || inherited.template.variables;
+            const pinned = await templateRepo.loadRenderedTemplate(inherited.template, forkVariables);
+            template = { id: pinned.id, version: pinned.version };
+        }
+
+        const maxCostUsd = req.body.maxCostUsd ?? inherited.cost?.maxCostUsd ?? undefined;
+        let grounding;
+        if (inherited.grounding) {
+            // Rereading project files needs the same membership as POST /projects/:id/research
+            if (!req.user) {
+                throw new AuthenticationError('Forking a session grounded in project files requires a JWT');
+            }
+            await ensureProjectMembership(inherited.grounding.projectId, req.user.id);
+            grounding = { projectId: inherited.grounding.projectId, fileIds: inherited.grounding.fileIds };
+        }
+        const options = {
+            ...Object.fromEntries(FORKED_OPTIONS.filter((key) => key in inherited).map((key) => [key, inherited[key]])),
+            ...metadata,
+        };
+
+        const session = await repo.createSession(problemStatement, {
+            ...options,
+            ...(grounding && { grounding }),
+            forkedFrom: parent.id,
+            source: 'fork',
+            requestIp: req.ip,
+        }, null, parent.id);
+
+        const { jobId } = await addResearchJob(problemStatement, {
+            ...options,
+            profile,
+            models,
+            template,
+            templateVariables: forkVariables,
+            maxCostUsd,
+            grounding,
+            sessionId: session.id,
+            source: 'fork',
+            requestIp: req.ip,
+        });
+        await repo.updateSessionMetadata(session.id, { jobId });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                jobId,
+                sessionId: session.id,
+                parentSessionId: parent.id,
+                message: 'Forked session created and research job enqueued.',
+                pollUrl: `/api/v1/research/job/${jobId}`,
+                eventsUrl: `/api/v1/research/${session.id}/events`,
+                lineageUrl: `/api/v1/sessions/${session.id}/lineage`,
             },
         });
     } catch (err) {
@@ -178,6 +457,153 @@ async function getResearchJobStatus(req, res, next) {
     }
 }
 
+/**
+ * DELETE /api/v1/research/job/:jobId
+ * Cancel an async research job. Queued jobs are removed; running jobs abort their
+ * pending model requests. Either way the job's session ends up `cancelled`.
+ */
+async function cancelResearchJob(req, res, next) {
+    try {
+        const { jobId } = req.params;
+        const job = await cancelQueuedJob(jobId);
+
+        if (!job) {
+            return next(new NotFoundError(`Job ${jobId} not found`));
+        }
+        if (job.state === 'completed' || job.state === 'failed') {
+            return next(new AppError(`Job ${jobId} has already finished (${job.state})`, 409, 'JOB_FINISHED'));
+        }
+
+        if (job.sessionId) await cancelSessionRun(job.sessionId);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                jobId,
+                sessionId: job.sessionId,
+                previousState: job.state,
+                removedFromQueue: job.removed,
+                status: 'cancelled',
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * POST /api/v1/research/:sessionId/cancel
+ * Cancel a pending or running session (queued, async or multimodel).
+ * Provider responses that already arrived stay stored on the session.
+ */
+async function cancelSession(req, res, next) {
+    try {
+        const { sessionId } = req.params;
+        const session = await repo.getSessionById(sessionId);
+
+        if (session.status === 'completed' || session.status === 'failed') {
+            return next(new AppError(`Session ${sessionId} has already finished (${session.status})`, 409, 'SESSION_FINISHED'));
+        }
+
+        if (session.status !== 'cancelled') {
+            // Drop the queued job too, so a worker never picks it up
+            const jobId = session.metadata?.jobId;
+            if (jobId) await cancelQueuedJob(jobId);
+            await cancelSessionRun(sessionId);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { sessionId, previousStatus: session.status, status: 'cancelled' },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/research/:sessionId/events
+ * Server-Sent Events stream of pipeline progress for a session.
+ * Replays events already emitted (honouring Last-Event-ID), then streams live
+ * events until a terminal stage (completed/failed/cancelled) or client disconnect.
+ */
+async function streamSessionEvents(req, res, next) {
+    const { sessionId } = req.params;
+    let session;
+    try {
+        session = await repo.getSessionById(sessionId);
+    } catch (err) {
+        return next(err);
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let lastSeq = parseInt(req.get('Last-Event-ID') || '0', 10) || 0;
+    let closed = false;
+    let replaying = true;
+    const buffered = [];
+    let unsubscribe = null;
+    let heartbeat = null;
+
+    const cleanup = async () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        if (unsubscribe) await unsubscribe();
+    };
+
+    const finish = async () => {
+        await cleanup();
+        res.end();
+    };
+
+    const send = (event) => {
+        if (closed || event.seq <= lastSeq) return;
+        lastSeq = event.seq;
+        res.write(`id: ${event.seq}\nevent: progress\ndata: ${JSON.stringify(event)}\n\n`);
+        res.flush?.();
+        if (isTerminalStage(event.stage)) finish();
+    };
+
+    req.on('close', cleanup);
+
+    try {
+        // Subscribe before replaying so nothing emitted in between is lost
+        unsubscribe = await subscribeProgress(sessionId, (event) => {
+            if (replaying) buffered.push(event);
+            else send(event);
+        });
+
+        const history = await getProgressHistory(sessionId);
+        history.forEach(send);
+        replaying = false;
+        buffered.forEach(send);
+
+        if (closed) return;
+
+        // History may have expired for sessions that finished long ago
+        if (isTerminalStage(session.status) && !history.some((e) => isTerminalStage(e.stage))) {
+            send({ sessionId, seq: lastSeq + 1, stage: session.status, progress: 100 });
+            return;
+        }
+
+        heartbeat = setInterval(() => {
+            res.write(': ping\n\n');
+            res.flush?.();
+        }, config.progress.heartbeatMs);
+    } catch (err) {
+        logger.error('Progress stream failed', { sessionId, error: err.message });
+        res.write(`event: error\ndata: ${JSON.stringify({ message: 'Progress stream unavailable' })}\n\n`);
+        await finish();
+    }
+}
+
 /**
  * POST /api/v1/research/:sessionId/deepen/:ideaId
  * Deepen a specific idea from a completed research session.
@@ -201,10 +627,18 @@ async function deepenResearchIdea(req, res, next) {
 export {
     runResearch,
     runResearchAsync,
+    runProjectResearch,
+    forkSession,
+    estimateResearch,
     getResearchJobStatus,
+    cancelResearchJob,
     getSessionStatus,
+    cancelSession,
+    streamSessionEvents,
     deepenResearchIdea,
     validateResearchBody,
+    validateProjectResearch,
+    validateForkSession,
     validateDeepenParams,
     validateJobParam,
     validateSessionParam,
@@ -0,0 +1,271 @@
+'use strict';
+
+import { body, param, query } from 'express-validator';
+import scheduleRepo from '../services/scheduleRepository.js';
+import templateRepo from '../services/templateRepository.js';
+import { assertValidCron, getNextRunAt, syncScheduleJob } from '../services/scheduleService.js';
+import { removeScheduleJob } from '../queue/researchQueue.js';
+import { resolveModelSelection } from '../config/models.js';
+import { executionProfiles } from '../config/profiles.js';
+import config from '../config/index.js';
+import { validateRequest } from '../middleware/validate.js';
+
+// ─────────────────────────────────────────────
+// Validation chains
+// ─────────────────────────────────────────────
+
+// Research request fields a schedule stores in `options` and replays on every run
+const OPTION_FIELDS = ['profile', 'models', 'templateId', 'templateVariables', 'maxCostUsd', 'metadata'];
+
+function scheduleFieldChains({ requireAll }) {
+    const required = (chain) => (requireAll ? chain : chain.optional());
+    return [
+        required(body('name')).isString().withMessage('name must be a string').trim()
+            .isLength({ min: 1, max: 255 }).withMessage('name is required (1-255 chars)'),
+        required(body('problemStatement')).isString().withMessage('problemStatement must be a string').trim()
+            .isLength({ min: 20, max: 5000 }).withMessage('problemStatement must be between 20 and 5000 characters'),
+        required(body('cron')).isString().withMessage('cron must be a cron expression, e.g. "0 9 * * 1"').trim()
+            .isLength({ min: 1, max: 100 }).withMessage('cron must be at most 100 characters'),
+        body('timezone').optional().isString().withMessage('timezone must be an IANA time zone, e.g. "Europe/Berlin"'),
+        body('enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be a boolean'),
+        body('profile')
+            .optional()
+            .isIn(Object.keys(executionProfiles))
+            .withMessage(`profile must be one of: ${Object.keys(executionProfiles).join(', ')}`),
+        body('models')
+            .optional()
+            .custom((models) => {
+                resolveModelSelection(models);
+                return true;
+            }),
+        body('templateId').optional({ nullable: true }).isUUID().withMessage('templateId must be a valid UUID'),
+        body('templateVariables').optional().isObject().withMessage('templateVariables must be an object'),
+        body('maxCostUsd')
+            .optional({ nullable: true })
+            .isFloat({ gt: 0 })
+            .withMessage('maxCostUsd must be a positive number (USD)')
+            .toFloat(),
+        body('metadata').optional().isObject().withMessage('metadata must be an object'),
+    ];
+}
+
+const validateCreateSchedule = [...scheduleFieldChains({ requireAll: true }), validateRequest];
+
+const validateUpdateSchedule = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    ...scheduleFieldChains({ requireAll: false }),
+    validateRequest,
+];
+
+const validateScheduleId = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    validateRequest,
+];
+
+const validateRunsQuery = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer'),
+    validateRequest,
+];
+
+const validateRunParams = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    param('runId').isUUID().withMessage('runId must be a valid UUID'),
+    validateRequest,
+];
+
+const validateListQuery = [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer'),
+    query('enabled').optional().isIn(['true', 'false']).withMessage('enabled must be true or false'),
+    validateRequest,
+];
+
+/**
+ * Research options from the request body, checked the way POST /research checks them:
+ * models are resolved against the catalog and the template must render with its variables.
+ * @param {Object} reqBody
+ * @param {Object} [current] - Options of the schedule being updated
+ * @returns {Promise<Object>}
+ */
+async function buildScheduleOptions(reqBody, current = {}) {
+    const options = { ...current };
+    for (const field of OPTION_FIELDS.filter((f) => reqBody[f] !== undefined)) {
+        options[field] = reqBody[field];
+    }
+    if (reqBody.models !== undefined) options.models = resolveModelSelection(reqBody.models);
+    if (options.templateId) {
+        await templateRepo.loadRenderedTemplate({ id: options.templateId }, options.templateVariables);
+    }
+    return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null));
+}
+
+const withNextRun = (schedule) => ({ ...schedule, nextRunAt: getNextRunAt(schedule) });
+
+// ─────────────────────────────────────────────
+// Controllers
+// ─────────────────────────────────────────────
+
+/**
+ * GET /api/v1/schedules
+ * List research schedules with pagination.
+ */
+async function listSchedules(req, res, next) {
+    try {
+        const limit = parseInt(req.query.limit || '20', 10);
+        const offset = parseInt(req.query.offset || '0', 10);
+        const enabled = req.query.enabled === undefined ? undefined : req.query.enabled === 'true';
+        const { schedules, total } = await scheduleRepo.listSchedules({ limit, offset, enabled });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                schedules: schedules.map(withNextRun),
+                pagination: { total, limit, offset, hasMore: offset + limit < total },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * POST /api/v1/schedules
+ * Create a schedule and register it with the queue (when enabled).
+ */
+async function createSchedule(req, res, next) {
+    try {
+        const timezone = req.body.timezone || config.schedules.defaultTimezone;
+        assertValidCron(req.body.cron, timezone);
+        const options = await buildScheduleOptions(req.body);
+
+        const schedule = await scheduleRepo.createSchedule({
+            name: req.body.name,
+            problemStatement: req.body.problemStatement,
+            cronExpression: req.body.cron,
+            timezone,
+            enabled: req.body.enabled,
+            options,
+        });
+        await syncScheduleJob(schedule);
+
+        res.status(201).json({ success: true, data: { schedule: withNextRun(schedule) } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/schedules/:id
+ * Get a schedule with its next run time.
+ */
+async function getSchedule(req, res, next) {
+    try {
+        const schedule = await scheduleRepo.getSchedule(req.params.id);
+
+        res.status(200).json({ success: true, data: { schedule: withNextRun(schedule) } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * PATCH /api/v1/schedules/:id
+ * Update a schedule. Research options not in the body keep their values; send null
+ * to clear templateId or maxCostUsd. The queue registration follows cron, timezone and enabled.
+ */
+async function updateSchedule(req, res, next) {
+    try {
+        const current = await scheduleRepo.getSchedule(req.params.id);
+        const cronExpression = req.body.cron ?? current.cronExpression;
+        const timezone = req.body.timezone ?? current.timezone;
+        assertValidCron(cronExpression, timezone);
+        const options = await buildScheduleOptions(req.body, current.options);
+
+        const schedule = await scheduleRepo.updateSchedule(req.params.id, {
+            name: req.body.name,
+            problemStatement: req.body.problemStatement,
+            cronExpression,
+            timezone,
+            enabled: req.body.enabled,
+            options,
+        });
+        await syncScheduleJob(schedule);
+
+        res.status(200).json({ success: true, data: { schedule: withNextRun(schedule) } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * DELETE /api/v1/schedules/:id
+ * Delete a schedule and its run history; sessions it created are kept.
+ */
+async function deleteSchedule(req, res, next) {
+    try {
+        await scheduleRepo.deleteSchedule(req.params.id);
+        await removeScheduleJob(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: { message: `Schedule ${req.params.id} deleted` },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/schedules/:id/runs
+ * A schedule's runs, newest first, with their new/total idea counts.
+ */
+async function listScheduleRuns(req, res, next) {
+    try {
+        const limit = parseInt(req.query.limit || '20', 10);
+        const offset = parseInt(req.query.offset || '0', 10);
+        await scheduleRepo.getSchedule(req.params.id);
+        const { runs, total } = await scheduleRepo.listScheduleRuns(req.params.id, { limit, offset });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                runs,
+                pagination: { total, limit, offset, hasMore: offset + limit < total },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/schedules/:id/runs/:runId
+ * One run with its "what's new" digest.
+ */
+async function getScheduleRun(req, res, next) {
+    try {
+        const run = await scheduleRepo.getScheduleRun(req.params.id, req.params.runId);
+
+        res.status(200).json({ success: true, data: { run } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export {
+    validateCreateSchedule,
+    validateUpdateSchedule,
+    validateScheduleId,
+    validateRunsQuery,
+    validateRunParams,
+    validateListQuery,
+    listSchedules,
+    createSchedule,
+    getSchedule,
+    updateSchedule,
+    deleteSchedule,
+    listScheduleRuns,
+    getScheduleRun,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+import { query } from 'express-validator';
+import { searchIdeas as runIdeaSearch } from '../services/searchService.js';
+import { validateRequest } from '../middleware/validate.js';
+
+// ─────────────────────────────────────────────
+// Validation chains
+// ─────────────────────────────────────────────
+
+const SEARCH_SCOPES = ['all', 'sessions', 'library'];
+
+const validateIdeaSearch = [
+    query('q').isString().withMessage('q is required').trim()
+        .isLength({ min: 2, max: 1000 }).withMessage('q must be between 2 and 1000 characters'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50'),
+    query('scope').optional().isIn(SEARCH_SCOPES).withMessage(`scope must be one of: ${SEARCH_SCOPES.join(', ')}`),
+    query('minScore').optional().isFloat({ min: -1, max: 1 }).withMessage('minScore must be between -1 and 1'),
+    validateRequest,
+];
+
+// ─────────────────────────────────────────────
+// Controllers
+// ─────────────────────────────────────────────
+
+/**
+ * GET /api/v1/search/ideas?q=
+ * Ideas nearest in meaning to the query, across research sessions and the caller's library,
+ * with their cosine similarity (`score`) and session context.
+ */
+async function searchIdeas(req, res, next) {
+    try {
+        const result = await runIdeaSearch(req.query.q, {
+            userId: req.user.id,
+            limit: parseInt(req.query.limit || '10', 10),
+            scope: req.query.scope || 'all',
+            minScore: req.query.minScore === undefined ? 0 : parseFloat(req.query.minScore),
+        });
+
+        res.status(200).json({ success: true, data: result });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export { validateIdeaSearch, searchIdeas };
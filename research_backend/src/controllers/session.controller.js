@@ -1,9 +1,11 @@
 'use strict';
 
-import { param, query } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import repo from '../services/sessionRepository.js';
+import { addRankingJob } from '../queue/researchQueue.js';
 import { validateRequest } from '../middleware/validate.js';
-import { NotFoundError } from '../utils/errors.js';
+import config from '../config/index.js';
+import { AppError, NotFoundError } from '../utils/errors.js';
 
 // ─────────────────────────────────────────────
 // Validation chains
@@ -24,8 +26,33 @@ const validateListQuery = [
         .withMessage('offset must be a non-negative integer'),
     query('status')
         .optional()
-        .isIn(['pending', 'processing', 'completed', 'failed'])
-        .withMessage('status must be one of: pending, processing, completed, failed'),
+        .isIn(['pending', 'processing', 'completed', 'failed', 'cancelled'])
+        .withMessage('status must be one of: pending, processing, completed, failed, cancelled'),
+    validateRequest,
+];
+
+const validateIdeasQuery = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    query('sort')
+        .optional()
+        .isIn(['confidence', 'rank'])
+        .withMessage('sort must be one of: confidence, rank'),
+    validateRequest,
+];
+
+const validateRankRequest = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    body('judgeModel')
+        .optional()
+        .isString()
+        .trim()
+        .notEmpty()
+        .withMessage('judgeModel must be a model ID'),
+    body('rounds')
+        .optional()
+        .isInt({ min: 1, max: 20 })
+        .withMessage('rounds must be between 1 and 20')
+        .toInt(),
     validateRequest,
 ];
 
@@ -85,7 +112,9 @@ async function getSession(req, res, next) {
 
 /**
  * GET /api/v1/sessions/:id/ideas
- * Get all ideas for a session (including duplicates).
+ * Get all ideas for a session (including duplicates), each with its critique
+ * consensus score and tournament rank. `?critiques=true` also attaches the
+ * individual critiques; `?sort=rank` returns the tournament order.
  */
 async function getSessionIdeas(req, res, next) {
     try {
@@ -94,7 +123,17 @@ async function getSessionIdeas(req, res, next) {
 
         // Verify session exists first
         await repo.getSessionById(id);
-        const ideas = await repo.getSessionIdeas(id, uniqueOnly);
+        let ideas = await repo.getSessionIdeas(id, uniqueOnly, { sort: req.query.sort });
+
+        if (req.query.critiques === 'true') {
+            const critiques = await repo.getSessionCritiques(id);
+            ideas = ideas.map((idea) => ({
+                ...idea,
+                critiques: critiques
+                    .filter((c) => c.idea_id === idea.id)
+                    .map(({ idea_id: _ideaId, ...critique }) => critique),
+            }));
+        }
 
         res.status(200).json({
             success: true,
@@ -105,6 +144,75 @@ async function getSessionIdeas(req, res, next) {
     }
 }
 
+/**
+ * GET /api/v1/sessions/:id/lineage
+ * The fork tree a session belongs to (root ancestor and all its descendants),
+ * as a flat list linked by parent_session_id.
+ */
+async function getSessionLineage(req, res, next) {
+    try {
+        const sessions = await repo.getSessionLineage(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: { rootId: sessions[0].id, sessions, count: sessions.length },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * POST /api/v1/sessions/:id/rank
+ * Enqueue a pairwise judge tournament over a completed session's unique ideas.
+ * Poll the job like an async research job.
+ */
+async function rankSession(req, res, next) {
+    try {
+        const { id } = req.params;
+        const { judgeModel, rounds } = req.body;
+        const session = await repo.getSessionById(id);
+
+        if (session.status !== 'completed') {
+            return next(new AppError(`Session ${id} is not completed (${session.status})`, 409, 'SESSION_NOT_COMPLETED'));
+        }
+
+        const { jobId } = await addRankingJob(id, { judgeModel, rounds });
+
+        res.status(202).json({
+            success: true,
+            data: {
+                sessionId: id,
+                jobId,
+                judgeModel: judgeModel || config.ranking.judgeModel,
+                message: 'Ranking job enqueued. Poll /api/v1/research/job/:jobId for status.',
+                pollUrl: `/api/v1/research/job/${jobId}`,
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/sessions/:id/ranking
+ * Latest ranking tournament summary plus every judged match with the judge's reasoning.
+ */
+async function getSessionRanking(req, res, next) {
+    try {
+        const { id } = req.params;
+        const session = await repo.getSessionById(id);
+        const judgments = await repo.getSessionJudgments(id);
+
+        res.status(200).json({
+            success: true,
+            data: { ranking: session.metadata?.ranking || null, judgments, count: judgments.length },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
 /**
  * DELETE /api/v1/sessions/:id
  * Soft-delete a session.
@@ -127,7 +235,12 @@ export {
     listSessions,
     getSession,
     getSessionIdeas,
+    getSessionLineage,
+    rankSession,
+    getSessionRanking,
     deleteSession,
     validateSessionId,
     validateListQuery,
+    validateIdeasQuery,
+    validateRankRequest,
 };
@@ -1,17 +1,37 @@
 'use strict';
 
-import { param, query } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { validateRequest } from '../middleware/validate.js';
 import { AppError, NotFoundError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 import rawOutputRepo from '../services/rawOutputRepository.js';
-import SynthesisEngine from '../services/synthesisEngine.js';
+import repo from '../services/sessionRepository.js';
+import synthesisRepo from '../services/synthesisRepository.js';
+import SynthesisEngine, { ENGINE_VERSION } from '../services/synthesisEngine.js';
 
 /**
  * Validation chain for synthesis endpoint
  */
 const validateSynthesisParams = [
     param('sessionId').isUUID().withMessage('sessionId must be a valid UUID'),
+    body('mode')
+        .optional()
+        .isIn(['extractive', 'abstractive'])
+        .withMessage('mode must be one of: extractive, abstractive'),
+    body('model').optional().isString().trim().notEmpty().withMessage('model must be a non-empty string'),
+    validateRequest,
+];
+
+const validateSynthesesQuery = [
+    param('sessionId').isUUID().withMessage('sessionId must be a valid UUID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer'),
+    validateRequest,
+];
+
+const validateSynthesisId = [
+    param('sessionId').isUUID().withMessage('sessionId must be a valid UUID'),
+    param('synthesisId').isUUID().withMessage('synthesisId must be a valid UUID'),
     validateRequest,
 ];
 
@@ -19,13 +39,17 @@ const validateSynthesisParams = [
  * POST /api/v1/sessions/:sessionId/synthesize
  * Synthesize raw model outputs into strategic ideas using the advanced research intelligence engine.
  * Requires a sessionId from a prior multimodel request.
+ * Body (optional): mode 'extractive' | 'abstractive' (default SYNTHESIS_MODE), model (default SYNTHESIS_MODEL).
+ * Every run is stored in session_syntheses; the response carries its synthesisId and runNumber,
+ * and every unique idea its synthesized_ideas `id` (accepted by /ideas/save and /research/:id/deepen).
  */
 async function synthesizeSession(req, res, next) {
     try {
         const { sessionId } = req.params;
         const { includeRaw } = req.query;
+        const { mode, model } = req.body;
 
-        logger.info('Synthesis request received', { sessionId, includeRaw });
+        logger.info('Synthesis request received', { sessionId, includeRaw, mode });
 
         // Step 1: Retrieve stored raw outputs
         const rawOutputs = await rawOutputRepo.getSuccessfulOutputsBySessionId(sessionId);
@@ -41,18 +65,28 @@ async function synthesizeSession(req, res, next) {
         logger.debug('Raw outputs retrieved', { sessionId, count: rawOutputs.length });
 
         // Step 2: Initialize synthesis engine and synthesize
-        const engine = new SynthesisEngine();
-        const synthesized = engine.synthesize(rawOutputs);
+        const session = await repo.getSessionById(sessionId);
+        const engine = new SynthesisEngine({ mode, model });
+        const synthesized = await engine.synthesize(rawOutputs, { problemStatement: session.problem_statement });
 
         logger.info('Synthesis complete', {
             sessionId,
             uniqueIdeas: synthesized.uniqueIdeas.length,
         });
 
-        // Step 3: Build response
+        // Step 3: Store the run; this assigns the ideas their IDs
+        const stored = await synthesisRepo.saveSynthesis(sessionId, {
+            engineVersion: ENGINE_VERSION,
+            parameters: engine.parameters,
+            result: synthesized,
+        });
+
+        // Step 4: Build response
         const response = {
             sessionId,
-            ...synthesized,
+            synthesisId: stored.id,
+            runNumber: stored.runNumber,
+            ...stored.result,
         };
 
         // Optionally include raw outputs
@@ -71,8 +105,53 @@ async function synthesizeSession(req, res, next) {
         });
     } catch (err) {
         logger.error('Synthesis failed', { error: err.message });
+        if (err instanceof NotFoundError) return next(err);
         return next(new AppError(err.message, 500, 'SYNTHESIS_FAILED'));
     }
 }
 
-export { validateSynthesisParams, synthesizeSession };
+/**
+ * GET /api/v1/sessions/:sessionId/syntheses
+ * Stored synthesis runs of a session, newest first (parameters and engine version, no results).
+ */
+async function listSessionSyntheses(req, res, next) {
+    try {
+        const limit = parseInt(req.query.limit || '20', 10);
+        const offset = parseInt(req.query.offset || '0', 10);
+        await repo.getSessionById(req.params.sessionId);
+        const { syntheses, total } = await synthesisRepo.listSyntheses(req.params.sessionId, { limit, offset });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                syntheses,
+                pagination: { total, limit, offset, hasMore: offset + limit < total },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/sessions/:sessionId/syntheses/:synthesisId
+ * One stored synthesis run. `result` has the same shape as the synthesize response.
+ */
+async function getSessionSynthesis(req, res, next) {
+    try {
+        const synthesis = await synthesisRepo.getSynthesis(req.params.sessionId, req.params.synthesisId);
+
+        res.status(200).json({ success: true, data: { synthesis } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export {
+    validateSynthesisParams,
+    validateSynthesesQuery,
+    validateSynthesisId,
+    synthesizeSession,
+    listSessionSyntheses,
+    getSessionSynthesis,
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+import { body, param, query } from 'express-validator';
+import templateRepo from '../services/templateRepository.js';
+import { getTemplateVariableRefs } from '../utils/promptBuilder.js';
+import { validateRequest } from '../middleware/validate.js';
+import { ValidationError } from '../utils/errors.js';
+
+// ─────────────────────────────────────────────
+// Validation chains
+// ─────────────────────────────────────────────
+const CATEGORY_PATTERN = /^[a-z][a-z0-9_-]{0,49}$/;
+const VARIABLE_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+function validateVariables(variables) {
+    if (!Array.isArray(variables) || variables.length > 20) {
+        throw new Error('variables must be an array of at most 20 entries');
+    }
+    const names = new Set();
+    variables.forEach((v, idx) => {
+        if (!v || typeof v !== 'object' || !VARIABLE_NAME_PATTERN.test(v.name || '')) {
+            throw new Error(`variables[${idx}].name must be an identifier (letters, digits, underscore)`);
+        }
+        if (names.has(v.name)) {
+            throw new Error(`variables[${idx}]: "${v.name}" is declared more than once`);
+        }
+        if (v.description !== undefined && typeof v.description !== 'string') {
+            throw new Error(`variables[${idx}].description must be a string`);
+        }
+        if (v.default !== undefined && typeof v.default !== 'string') {
+            throw new Error(`variables[${idx}].default must be a string`);
+        }
+        names.add(v.name);
+    });
+    return true;
+}
+
+function templateFieldChains({ requireName }) {
+    const name = body('name').isString().withMessage('name must be a string').trim()
+        .isLength({ min: 1, max: 255 }).withMessage('name is required (1-255 chars)');
+    return [
+        requireName ? name : name.optional(),
+        body('description').optional({ nullable: true }).isString().isLength({ max: 2000 })
+            .withMessage('description must be a string (max 2000 chars)'),
+        body('ideaCount').optional().isInt({ min: 1, max: 10 })
+            .withMessage('ideaCount must be an integer between 1 and 10'),
+        body('persona').optional({ nullable: true }).isString().isLength({ max: 2000 })
+            .withMessage('persona must be a string (max 2000 chars)'),
+        body('tone').optional({ nullable: true }).isString().isLength({ max: 255 })
+            .withMessage('tone must be a string (max 255 chars)'),
+        body('categories').optional().isArray({ min: 1, max: 12 })
+            .withMessage('categories must be an array of 1-12 entries'),
+        body('categories.*').matches(CATEGORY_PATTERN)
+            .withMessage('categories must be lowercase identifiers (a-z, 0-9, _ or -)'),
+        body('extraInstructions').optional({ nullable: true }).isString().isLength({ max: 5000 })
+            .withMessage('extraInstructions must be a string (max 5000 chars)'),
+        body('variables').optional().custom(validateVariables),
+    ];
+}
+
+const validateCreateTemplate = [...templateFieldChains({ requireName: true }), validateRequest];
+
+const validateUpdateTemplate = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    ...templateFieldChains({ requireName: false }),
+    validateRequest,
+];
+
+const validateTemplateId = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    query('version').optional().isInt({ min: 1 }).withMessage('version must be a positive integer'),
+    validateRequest,
+];
+
+const validateListQuery = [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('offset must be a non-negative integer'),
+    validateRequest,
+];
+
+/**
+ * Every {{variable}} used in the template text must be declared in `variables`.
+ * @throws {ValidationError}
+ */
+function assertVariablesDeclared(template) {
+    const declared = new Set((template.variables || []).map((v) => v.name));
+    const undeclared = getTemplateVariableRefs(template).filter((name) => !declared.has(name));
+    if (undeclared.length > 0) {
+        throw new ValidationError(`Undeclared template variables: ${undeclared.join(', ')}`);
+    }
+}
+
+function pickTemplateFields(reqBody) {
+    const fields = ['name', 'description', 'ideaCount', 'persona', 'tone', 'categories', 'extraInstructions', 'variables'];
+    return Object.fromEntries(fields.filter((f) => reqBody[f] !== undefined).map((f) => [f, reqBody[f]]));
+}
+
+// ─────────────────────────────────────────────
+// Controllers
+// ─────────────────────────────────────────────
+
+/**
+ * GET /api/v1/templates
+ * List templates (current versions) with pagination.
+ */
+async function listTemplates(req, res, next) {
+    try {
+        const limit = parseInt(req.query.limit || '20', 10);
+        const offset = parseInt(req.query.offset || '0', 10);
+        const { templates, total } = await templateRepo.listTemplates({ limit, offset });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                templates,
+                pagination: { total, limit, offset, hasMore: offset + limit < total },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * POST /api/v1/templates
+ * Create a template (version 1).
+ */
+async function createTemplate(req, res, next) {
+    try {
+        const fields = pickTemplateFields(req.body);
+        assertVariablesDeclared(fields);
+        const template = await templateRepo.createTemplate(fields);
+
+        res.status(201).json({ success: true, data: { template } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/templates/:id
+ * Get a template at its current version, or `?version=N`.
+ */
+async function getTemplate(req, res, next) {
+    try {
+        const version = req.query.version ? parseInt(req.query.version, 10) : null;
+        const template = await templateRepo.getTemplate(req.params.id, version);
+
+        res.status(200).json({ success: true, data: { template } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * GET /api/v1/templates/:id/versions
+ * All versions of a template, newest first.
+ */
+async function listTemplateVersions(req, res, next) {
+    try {
+        const versions = await templateRepo.listTemplateVersions(req.params.id);
+
+        res.status(200).json({ success: true, data: { versions } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * PATCH /api/v1/templates/:id
+ * Update a template. Prompt setting changes create a new version.
+ */
+async function updateTemplate(req, res, next) {
+    try {
+        const patch = pickTemplateFields(req.body);
+        const current = await templateRepo.getTemplate(req.params.id);
+        assertVariablesDeclared({ ...current, ...patch });
+        const template = await templateRepo.updateTemplate(req.params.id, patch);
+
+        res.status(200).json({ success: true, data: { template } });
+    } catch (err) {
+        next(err);
+    }
+}
+
+/**
+ * DELETE /api/v1/templates/:id
+ * Delete a template and its versions.
+ */
+async function deleteTemplate(req, res, next) {
+    try {
+        await templateRepo.deleteTemplate(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: { message: `Template ${req.params.id} deleted` },
+        });
+    } catch (err) {
+        next(err);
+    }
+}
+
+export {
+    validateCreateTemplate,
+    validateUpdateTemplate,
+    validateTemplateId,
+    validateListQuery,
+    listTemplates,
+    createTemplate,
+    getTemplate,
+    listTemplateVersions,
+    updateTemplate,
+    deleteTemplate,
+};
@@ -0,0 +1,27 @@
+-- 003_prompt_templates.sql
+-- User-defined research prompt templates. Every edit creates a new immutable
+-- version so sessions can record exactly which prompt produced them.
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    current_version INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS prompt_template_versions (
+    template_id UUID NOT NULL REFERENCES prompt_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    idea_count INTEGER NOT NULL DEFAULT 5 CHECK (idea_count BETWEEN 1 AND 10),
+    persona TEXT,
+    tone VARCHAR(255),
+    categories JSONB NOT NULL,
+    extra_instructions TEXT,
+    variables JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (template_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS prompt_templates_name_idx ON prompt_templates(name);
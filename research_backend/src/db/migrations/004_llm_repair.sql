@@ -0,0 +1,10 @@
+-- 004_llm_repair.sql
+-- Record JSON repair / re-ask attempts for structured LLM output, so we can see
+-- which models keep breaking the schema.
+
+ALTER TABLE llm_responses
+  ADD COLUMN IF NOT EXISTS attempt_stage VARCHAR(20),      -- initial | fixer | reask | final (NULL = first answer was valid)
+  ADD COLUMN IF NOT EXISTS attempt_number INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS validation_errors JSONB;
+
+CREATE INDEX IF NOT EXISTS llm_responses_model_stage_idx ON llm_responses (model, attempt_stage);
@@ -0,0 +1,22 @@
+-- 005_session_cancel.sql
+-- Allow the 'cancelled' session status. Drops any existing status CHECK on
+-- research_sessions and replaces it with one that includes the new value.
+
+DO $$
+DECLARE
+  con RECORD;
+BEGIN
+  FOR con IN
+    SELECT conname
+    FROM pg_constraint
+    WHERE conrelid = 'research_sessions'::regclass
+      AND contype = 'c'
+      AND pg_get_constraintdef(oid) ILIKE '%status%'
+  LOOP
+    EXECUTE format('ALTER TABLE research_sessions DROP CONSTRAINT %I', con.conname);
+  END LOOP;
+END $$;
+
+ALTER TABLE research_sessions
+  ADD CONSTRAINT research_sessions_status_check
+  CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled'));
@@ -0,0 +1,18 @@
+-- 006_critiques.sql
+-- Cross-model critique round: after generation each model reviews the other
+-- models' unique ideas. One row per (idea, critic model); the per-idea
+-- consensus score is the average over critics.
+
+CREATE TABLE IF NOT EXISTS critiques (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES research_sessions(id) ON DELETE CASCADE,
+    idea_id UUID NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+    critic_model VARCHAR(255) NOT NULL,
+    strengths JSONB NOT NULL DEFAULT '[]'::jsonb,
+    flaws JSONB NOT NULL DEFAULT '[]'::jsonb,
+    score NUMERIC(4, 3) NOT NULL CHECK (score BETWEEN 0 AND 1),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (idea_id, critic_model)
+);
+
+CREATE INDEX IF NOT EXISTS critiques_session_idx ON critiques(session_id);
@@ -0,0 +1,32 @@
+-- 007_idea_rankings.sql
+-- Pairwise LLM-judge tournament over a session's unique ideas. Every judged
+-- match is kept with the judge's reasoning; idea_rankings holds the final
+-- Elo rating and rank. Re-ranking a session replaces both.
+
+CREATE TABLE IF NOT EXISTS idea_rankings (
+    idea_id UUID PRIMARY KEY REFERENCES ideas(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES research_sessions(id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    rating NUMERIC(7, 2) NOT NULL,
+    wins INTEGER NOT NULL DEFAULT 0,
+    losses INTEGER NOT NULL DEFAULT 0,
+    ties INTEGER NOT NULL DEFAULT 0,
+    judge_model VARCHAR(255) NOT NULL,
+    ranked_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idea_rankings_session_idx ON idea_rankings(session_id, rank);
+
+CREATE TABLE IF NOT EXISTS idea_judgments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES research_sessions(id) ON DELETE CASCADE,
+    round INTEGER NOT NULL,
+    idea_a_id UUID NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+    idea_b_id UUID NOT NULL REFERENCES ideas(id) ON DELETE CASCADE,
+    winner_id UUID REFERENCES ideas(id) ON DELETE CASCADE, -- NULL = tie
+    reasoning TEXT NOT NULL,
+    judge_model VARCHAR(255) NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idea_judgments_session_idx ON idea_judgments(session_id);
@@ -0,0 +1,8 @@
+-- 008_session_lineage.sql
+-- Forked sessions (POST /sessions/:id/fork) point at the session they were
+-- forked from, so a session and its forks form a tree.
+
+ALTER TABLE research_sessions
+  ADD COLUMN IF NOT EXISTS parent_session_id UUID REFERENCES research_sessions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS research_sessions_parent_idx ON research_sessions (parent_session_id);
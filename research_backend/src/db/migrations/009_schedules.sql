@@ -0,0 +1,34 @@
+-- 009_schedules.sql
+-- Recurring research: a schedule reruns the same problem statement on a cron
+-- expression. Each run records its session and a "what's new" digest of the
+-- ideas that did not appear in earlier runs of the schedule.
+
+CREATE TABLE IF NOT EXISTS research_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    problem_statement TEXT NOT NULL,
+    cron_expression VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    options JSONB NOT NULL DEFAULT '{}'::jsonb,
+    last_run_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS schedule_runs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    schedule_id UUID NOT NULL REFERENCES research_schedules(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES research_sessions(id) ON DELETE SET NULL,
+    job_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'running'
+        CHECK (status IN ('running', 'completed', 'failed', 'cancelled')),
+    total_ideas INTEGER,
+    new_ideas INTEGER,
+    digest JSONB,
+    error TEXT,
+    started_at TIMESTAMPTZ DEFAULT NOW(),
+    completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS schedule_runs_schedule_idx ON schedule_runs(schedule_id, started_at DESC);
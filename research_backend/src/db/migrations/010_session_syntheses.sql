@@ -0,0 +1,17 @@
+-- 010_session_syntheses.sql
+-- Every POST /sessions/:id/synthesize run is stored with the parameters it ran
+-- with and the synthesis engine version, so earlier runs can be reloaded and compared.
+
+CREATE TABLE IF NOT EXISTS session_syntheses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES research_sessions(id) ON DELETE CASCADE,
+    run_number INTEGER NOT NULL,
+    engine_version VARCHAR(20) NOT NULL,
+    parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    unique_idea_count INTEGER NOT NULL DEFAULT 0,
+    result JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (session_id, run_number)
+);
+
+CREATE INDEX IF NOT EXISTS session_syntheses_session_idx ON session_syntheses(session_id, created_at DESC);
@@ -0,0 +1,31 @@
+-- 011_synthesized_ideas.sql
+-- Every unique idea of a stored synthesis run gets its own row and UUID, so it can be
+-- saved to the library by id and deepened like a pipeline idea.
+
+CREATE TABLE IF NOT EXISTS synthesized_ideas (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    synthesis_id UUID NOT NULL REFERENCES session_syntheses(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES research_sessions(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL DEFAULT '',
+    strategic_thesis TEXT,
+    mechanism TEXT,
+    implementation_framework JSONB,
+    idea_type VARCHAR(100),
+    section TEXT,
+    derived_from_models JSONB NOT NULL DEFAULT '[]'::jsonb,
+    support_count INTEGER NOT NULL DEFAULT 1,
+    confidence NUMERIC,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (synthesis_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS synthesized_ideas_session_idx ON synthesized_ideas(session_id);
+
+-- Deepening results of a synthesized idea point here instead of at ideas(id)
+ALTER TABLE deepening_sessions
+  ADD COLUMN IF NOT EXISTS synthesized_idea_id UUID REFERENCES synthesized_ideas(id) ON DELETE CASCADE;
+
+ALTER TABLE deepening_sessions
+  ALTER COLUMN idea_id DROP NOT NULL;
@@ -0,0 +1,7 @@
+-- 012_embedding_models.sql
+-- Embeddings can come from different backends (remote API, local model, hashed TF-IDF),
+-- so every stored vector records the model that produced it. Vectors of different
+-- models are never compared with each other.
+
+ALTER TABLE ideas
+  ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(200);
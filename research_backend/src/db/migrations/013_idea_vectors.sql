@@ -0,0 +1,20 @@
+-- 013_idea_vectors.sql
+-- Idea embeddings are kept in pgvector columns on both ideas and saved_ideas and
+-- indexed with HNSW (cosine distance) for GET /search/ideas.
+-- vector(1536) matches the default EMBEDDING_DIMENSIONS; every embedding backend
+-- returns vectors of that size (see config.embedding).
+
+CREATE EXTENSION IF NOT EXISTS vector;
+
+ALTER TABLE ideas
+  ADD COLUMN IF NOT EXISTS embedding vector(1536);
+
+ALTER TABLE saved_ideas
+  ADD COLUMN IF NOT EXISTS embedding vector(1536),
+  ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(200);
+
+CREATE INDEX IF NOT EXISTS ideas_embedding_hnsw_idx
+  ON ideas USING hnsw (embedding vector_cosine_ops);
+
+CREATE INDEX IF NOT EXISTS saved_ideas_embedding_hnsw_idx
+  ON saved_ideas USING hnsw (embedding vector_cosine_ops);
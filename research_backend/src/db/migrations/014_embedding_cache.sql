@@ -0,0 +1,16 @@
+-- 014_embedding_cache.sql
+-- Embeddings keyed by content hash, so texts seen before (reruns, forks, syntheses,
+-- schedule digests) are not sent to the embedding backend again.
+-- cache_key = sha256 of model, dimensions and the normalized text; the text itself is not stored.
+
+CREATE TABLE IF NOT EXISTS embedding_cache (
+    cache_key CHAR(64) PRIMARY KEY,
+    model VARCHAR(200) NOT NULL,
+    dimensions INTEGER NOT NULL,
+    embedding vector NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- For pruning entries that have not been used for a while
+CREATE INDEX IF NOT EXISTS embedding_cache_last_used_idx ON embedding_cache(last_used_at);
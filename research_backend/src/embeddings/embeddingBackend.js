@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Base class for embedding backends.
+ *
+ * A backend embeds one batch of texts and returns one vector per text, in
+ * order. Batching, fallback and padding to the configured dimensions stay in
+ * embeddingService so every backend behaves the same way.
+ *
+ * `modelId` names the model that produced a vector. It is stored next to every
+ * vector, and only vectors with the same modelId are compared. Vectors of
+ * `cacheable` backends go through the embedding cache.
+ */
+class EmbeddingBackend {
+  /**
+   * @param {string} name - Registry name (e.g. 'openai', 'local', 'hashed')
+   * @param {string} modelId
+   */
+  constructor(name, modelId) {
+    this.name = name;
+    this.modelId = modelId;
+    this.cacheable = true;
+  }
+
+  /**
+   * Embed a batch of texts.
+   * @param {string[]} texts
+   * @returns {Promise<number[][]>}
+   */
+  embed(_texts) {
+    return Promise.reject(new Error(`Embedding backend ${this.name} does not implement embed()`));
+  }
+}
+
+export default EmbeddingBackend;
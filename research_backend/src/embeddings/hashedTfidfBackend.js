@@ -0,0 +1,74 @@
+'use strict';
+
+import EmbeddingBackend from './embeddingBackend.js';
+import { ngrams } from '../utils/textRanking.js';
+
+/**
+ * Deterministic hashed TF-IDF vectors: no model, no network.
+ *
+ * Word unigrams and bigrams are hashed into `dimensions` buckets with a sign
+ * bit (the hashing trick) and weighted by sublinear term frequency. Stopwords
+ * are dropped, which stands in for IDF: real document frequencies would make a
+ * text's vector depend on the other texts of the call, and vectors could no
+ * longer be compared or cached across calls. Vectors are L2-normalized.
+ *
+ * Similarity is lexical (shared words and phrases), so clustering is coarser
+ * than with a sentence embedder, but it keeps the pipeline running offline.
+ */
+class HashedTfidfBackend extends EmbeddingBackend {
+  /**
+   * @param {Object} options
+   * @param {number} options.dimensions
+   */
+  constructor(options) {
+    super('hashed', 'hashed-tfidf');
+    this.dimensions = options.dimensions;
+    // Hashing a text is cheaper than a cache lookup
+    this.cacheable = false;
+  }
+
+  embed(texts) {
+    return Promise.resolve(texts.map((text) => this.embedText(text)));
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number[]}
+   */
+  embedText(text) {
+    let terms = ngrams(text, 2);
+    if (terms.length === 0) {
+      // Only stopwords or numbers: fall back to the raw words
+      terms = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    }
+
+    const counts = new Map();
+    for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [term, count] of counts) {
+      const hash = fnv1a(term);
+      const sign = Math.floor(hash / this.dimensions) % 2 === 0 ? 1 : -1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm === 0 ? vector : vector.map((v) => v / norm);
+  }
+}
+
+/**
+ * 32-bit FNV-1a hash of a string (unsigned).
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+export default HashedTfidfBackend;
@@ -0,0 +1,73 @@
+'use strict';
+
+import EmbeddingBackend from './embeddingBackend.js';
+import logger from '../utils/logger.js';
+
+/**
+ * In-process sentence embedder run with transformers.js (ONNX Runtime).
+ * The model is loaded from `modelPath` only; remote downloads are disabled, so
+ * the backend works offline once the model files are on disk.
+ *
+ * `@huggingface/transformers` is an optional dependency and is imported on
+ * first use, so deployments that never select this backend do not need it.
+ */
+class LocalEmbeddingBackend extends EmbeddingBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.modelPath - Directory that holds the model directory
+   * @param {string} options.model - Model directory name, e.g. 'Xenova/all-MiniLM-L6-v2'
+   * @param {string} [options.dtype='q8'] - ONNX weights variant (fp32, fp16, q8, ...)
+   */
+  constructor(options) {
+    super('local', `local/${options.model}`);
+    this.modelPath = options.modelPath;
+    this.model = options.model;
+    this.dtype = options.dtype || 'q8';
+    this.extractorPromise = null;
+  }
+
+  /**
+   * Load the feature-extraction pipeline once; a failed load is retried on the next call.
+   * @private
+   */
+  _getExtractor() {
+    if (!this.extractorPromise) {
+      this.extractorPromise = this._loadExtractor().catch((err) => {
+        this.extractorPromise = null;
+        throw err;
+      });
+    }
+    return this.extractorPromise;
+  }
+
+  /** @private */
+  async _loadExtractor() {
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch {
+      throw new Error('local embedding backend requires the @huggingface/transformers package');
+    }
+
+    transformers.env.localModelPath = this.modelPath;
+    transformers.env.allowLocalModels = true;
+    transformers.env.allowRemoteModels = false;
+
+    const started = Date.now();
+    const extractor = await transformers.pipeline('feature-extraction', this.model, { dtype: this.dtype });
+    logger.info('Local embedding model loaded', {
+      model: this.model,
+      modelPath: this.modelPath,
+      loadMs: Date.now() - started,
+    });
+    return extractor;
+  }
+
+  async embed(texts) {
+    const extractor = await this._getExtractor();
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+}
+
+export default LocalEmbeddingBackend;
@@ -0,0 +1,39 @@
+'use strict';
+
+import OpenAI from 'openai';
+import EmbeddingBackend from './embeddingBackend.js';
+
+/**
+ * Backend for any OpenAI-compatible embeddings API (OpenRouter by default).
+ */
+class OpenAIEmbeddingBackend extends EmbeddingBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseURL
+   * @param {string} options.apiKey
+   * @param {string} options.model - e.g. 'text-embedding-3-small'
+   * @param {number} options.dimensions - Requested vector size
+   */
+  constructor(options) {
+    super('openai', options.model);
+    if (!options.apiKey) {
+      throw new Error('openai embedding backend requires an API key');
+    }
+    this.dimensions = options.dimensions;
+    this.client = new OpenAI({ apiKey: options.apiKey, baseURL: options.baseURL });
+  }
+
+  async embed(texts) {
+    const response = await this.client.embeddings.create({
+      model: this.modelId,
+      input: texts,
+      dimensions: this.dimensions,
+      encoding_format: 'float',
+    });
+
+    // Sort by index to ensure correct order (API may not guarantee order)
+    return response.data.sort((a, b) => a.index - b.index).map((d) => d.embedding);
+  }
+}
+
+export default OpenAIEmbeddingBackend;
@@ -0,0 +1,67 @@
+'use strict';
+
+import config from '../config/index.js';
+import OpenAIEmbeddingBackend from './openaiEmbeddingBackend.js';
+import LocalEmbeddingBackend from './localEmbeddingBackend.js';
+import HashedTfidfBackend from './hashedTfidfBackend.js';
+
+// ─────────────────────────────────────────────
+// Embedding backend registry
+// Maps config.embedding.backend / fallback names to backends. Backends are
+// created lazily, so a missing API key or model only fails the backend that
+// needs it.
+// ─────────────────────────────────────────────
+
+const factories = new Map([
+  ['openai', () => new OpenAIEmbeddingBackend({
+    baseURL: config.embedding.baseURL,
+    apiKey: config.embedding.apiKey,
+    model: config.embedding.model,
+    dimensions: config.embedding.dimensions,
+  })],
+  ['local', () => new LocalEmbeddingBackend(config.embedding.local)],
+  ['hashed', () => new HashedTfidfBackend({ dimensions: config.embedding.dimensions })],
+]);
+
+const instances = new Map();
+
+/**
+ * Register (or replace) a backend.
+ * @param {string} name
+ * @param {import('./embeddingBackend.js').default|function(): Object} backendOrFactory
+ */
+function registerEmbeddingBackend(name, backendOrFactory) {
+  instances.delete(name);
+  if (typeof backendOrFactory === 'function') {
+    factories.set(name, backendOrFactory);
+  } else {
+    factories.set(name, () => backendOrFactory);
+  }
+}
+
+/**
+ * Get a backend instance by name.
+ * @param {string} name
+ * @returns {import('./embeddingBackend.js').default}
+ * @throws {Error} When no backend is registered under that name, or it cannot be configured
+ */
+function getEmbeddingBackend(name) {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown embedding backend "${name}" (expected one of: ${[...factories.keys()].join(', ')})`);
+    }
+    instances.set(name, factory());
+  }
+  return instances.get(name);
+}
+
+/**
+ * Names of all registered backends.
+ * @returns {string[]}
+ */
+function listEmbeddingBackends() {
+  return [...factories.keys()];
+}
+
+export { registerEmbeddingBackend, getEmbeddingBackend, listEmbeddingBackends };
@@ -11,18 +11,41 @@ function requireJwtAuth(req, res, next) {
         return next(new AuthenticationError('Missing or invalid Authorization header'));
     }
 
+    const user = verifyBearer(authHeader);
+    if (!user) {
+        return next(new AuthenticationError('Invalid or expired token'));
+    }
+
+    req.user = user;
+    return next();
+}
+
+/**
+ * Sets req.user when a valid Bearer token is sent, for routes that only need a user for
+ * some requests (e.g. forking a project-grounded session). Without one the request goes on
+ * anonymously and the controller decides.
+ */
+function optionalJwtAuth(req, res, next) {
+    const authHeader = req.headers.authorization || '';
+
+    if (authHeader.startsWith('Bearer ')) {
+        req.user = verifyBearer(authHeader) || undefined;
+    }
+    return next();
+}
+
+function verifyBearer(authHeader) {
     const token = authHeader.slice(7).trim();
 
     try {
         const payload = jwt.verify(token, config.jwtSecret);
-        req.user = {
+        return {
             id: payload.sub,
             username: payload.username,
         };
-        return next();
     } catch {
-        return next(new AuthenticationError('Invalid or expired token'));
+        return null;
     }
 }
 
-export { requireJwtAuth };
+export { requireJwtAuth, optionalJwtAuth };
@@ -0,0 +1,82 @@
+'use strict';
+
+import Anthropic from '@anthropic-ai/sdk';
+import ProviderAdapter from './providerAdapter.js';
+
+/**
+ * Adapter for the native Anthropic Messages API.
+ * Anthropic has no JSON response mode, so JSON output relies on the prompt
+ * instructions plus the usual AJV validation in OpenRouterClient.
+ */
+class AnthropicAdapter extends ProviderAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey
+   * @param {string} [options.baseURL]
+   */
+  constructor(options) {
+    super('anthropic');
+    if (!options.apiKey) {
+      throw new Error('anthropic adapter requires an API key (set ANTHROPIC_API_KEY)');
+    }
+    this.client = new Anthropic({
+      apiKey: options.apiKey,
+      ...(options.baseURL ? { baseURL: options.baseURL } : {}),
+    });
+  }
+
+  /** @private */
+  _buildBody(request) {
+    return {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      system: request.systemPrompt,
+      messages: [{ role: 'user', content: request.userPrompt }, ...(request.history || [])],
+    };
+  }
+
+  async call(request) {
+    const response = await this.client.messages.create(this._buildBody(request), { signal: request.signal });
+
+    return {
+      content: response.content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join(''),
+      promptTokens: response.usage?.input_tokens || 0,
+      completionTokens: response.usage?.output_tokens || 0,
+    };
+  }
+
+  async *stream(request) {
+    const stream = await this.client.messages.create(
+      { ...this._buildBody(request), stream: true },
+      { signal: request.signal }
+    );
+
+    let content = '';
+    let promptTokens = 0;
+    let completionTokens = 0;
+    for await (const event of stream) {
+      if (event.type === 'message_start') {
+        promptTokens = event.message.usage?.input_tokens || 0;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        content += event.delta.text;
+        yield { type: 'delta', text: event.delta.text };
+      } else if (event.type === 'message_delta') {
+        completionTokens = event.usage?.output_tokens || completionTokens;
+      }
+    }
+
+    yield { type: 'done', content, promptTokens, completionTokens };
+  }
+
+  isAbortError(err) {
+    return super.isAbortError(err)
+      || err instanceof Anthropic.APIUserAbortError
+      || err instanceof Anthropic.APIConnectionTimeoutError;
+  }
+}
+
+export default AnthropicAdapter;
@@ -0,0 +1,94 @@
+'use strict';
+
+import ProviderAdapter from './providerAdapter.js';
+import { fixtureKey, readFixture, writeFixture } from '../fixtureStore.js';
+import { FixtureNotFoundError } from '../../utils/errors.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Wraps a live adapter and saves every successful response as a fixture.
+ */
+class RecordingAdapter extends ProviderAdapter {
+  /**
+   * @param {ProviderAdapter} inner - Live adapter to record
+   * @param {string} dir - Fixture directory
+   */
+  constructor(inner, dir) {
+    super(inner.name);
+    this.inner = inner;
+    this.dir = dir;
+  }
+
+  /** @private */
+  async _record(request, response) {
+    const key = fixtureKey(this.name, request);
+    try {
+      await writeFixture(this.dir, this.name, key, request, response);
+      logger.debug(`Recorded LLM fixture for ${request.model}`, { key });
+    } catch (err) {
+      // Recording is best-effort — never fail the live call because of it
+      logger.warn(`Failed to record LLM fixture for ${request.model}`, { key, error: err.message });
+    }
+  }
+
+  async call(request) {
+    const response = await this.inner.call(request);
+    await this._record(request, response);
+    return response;
+  }
+
+  async *stream(request) {
+    for await (const event of this.inner.stream(request)) {
+      if (event.type === 'done') {
+        await this._record(request, event);
+      }
+      yield event;
+    }
+  }
+
+  isAbortError(err) {
+    return this.inner.isAbortError(err);
+  }
+
+  mapError(err) {
+    return this.inner.mapError(err);
+  }
+}
+
+/**
+ * Serves recorded fixtures instead of calling a provider.
+ * Needs no API keys or network; a request without a fixture fails with
+ * FixtureNotFoundError.
+ */
+class ReplayAdapter extends ProviderAdapter {
+  /**
+   * @param {string} name - Adapter name the fixtures were recorded under
+   * @param {string} dir - Fixture directory
+   */
+  constructor(name, dir) {
+    super(name);
+    this.dir = dir;
+  }
+
+  /** @private */
+  async _load(request) {
+    const key = fixtureKey(this.name, request);
+    const fixture = await readFixture(this.dir, this.name, key);
+    if (!fixture) {
+      throw new FixtureNotFoundError(request.model, key, this.dir);
+    }
+    return fixture.response;
+  }
+
+  call(request) {
+    return this._load(request);
+  }
+
+  async *stream(request) {
+    const response = await this._load(request);
+    yield { type: 'delta', text: response.content };
+    yield { type: 'done', ...response };
+  }
+}
+
+export { RecordingAdapter, ReplayAdapter };
@@ -0,0 +1,144 @@
+'use strict';
+
+import OpenAI from 'openai';
+import ProviderAdapter from './providerAdapter.js';
+import logger from '../../utils/logger.js';
+
+/**
+ * Adapter for any OpenAI-compatible chat completions API.
+ * Serves OpenRouter (with multi-key support) and self-hosted servers such as
+ * llama.cpp, vLLM or Ollama that expose /v1/chat/completions.
+ */
+class OpenAICompatibleAdapter extends ProviderAdapter {
+  /**
+   * @param {string} name - Registry name (e.g. 'openrouter', 'local')
+   * @param {Object} options
+   * @param {string} options.baseURL
+   * @param {string} [options.apiKey] - Primary key
+   * @param {string[]} [options.apiKeys] - Additional keys, rotated on 402 (quota exceeded)
+   * @param {Object} [options.modelKeyMap] - Model ID → dedicated key
+   * @param {Object} [options.defaultHeaders]
+   * @param {boolean} [options.jsonMode=true] - Whether the backend supports response_format json_object
+   */
+  constructor(name, options) {
+    super(name);
+    this.baseURL = options.baseURL;
+    this.apiKey = options.apiKey;
+    this.apiKeys = options.apiKeys?.length ? options.apiKeys : (options.apiKey ? [options.apiKey] : []);
+    this.modelKeyMap = options.modelKeyMap || {};
+    this.defaultHeaders = options.defaultHeaders || {};
+    this.jsonMode = options.jsonMode !== false;
+    this.clients = new Map();
+
+    if (this.apiKeys.length === 0) {
+      throw new Error(`${name} adapter requires an API key`);
+    }
+  }
+
+  /**
+   * Get (or lazily create) an SDK client for an API key
+   * @private
+   */
+  _getClient(apiKey) {
+    if (!this.clients.has(apiKey)) {
+      this.clients.set(apiKey, new OpenAI({
+        apiKey,
+        baseURL: this.baseURL,
+        defaultHeaders: this.defaultHeaders,
+      }));
+    }
+    return this.clients.get(apiKey);
+  }
+
+  /**
+   * Keys to try for a model: its dedicated key first, then the remaining keys
+   * @private
+   */
+  _keysForModel(model) {
+    const preferred = this.modelKeyMap[model] || this.apiKey || this.apiKeys[0];
+    return [preferred, ...this.apiKeys.filter((k) => k !== preferred)];
+  }
+
+  /** @private */
+  _buildBody(request) {
+    return {
+      model: request.model,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature,
+      ...(request.jsonMode && this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      messages: [
+        { role: 'system', content: request.systemPrompt },
+        { role: 'user', content: request.userPrompt },
+        ...(request.history || []),
+      ],
+    };
+  }
+
+  async call(request) {
+    const keys = this._keysForModel(request.model);
+    let lastError;
+
+    for (const key of keys) {
+      try {
+        const response = await this._getClient(key).chat.completions.create(
+          this._buildBody(request),
+          { signal: request.signal }
+        );
+
+        return {
+          content: response.choices[0]?.message?.content || '',
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0,
+        };
+      } catch (err) {
+        // 402 = quota exceeded for this key — fall through to the next one
+        if (err.status === 402 && keys.length > 1) {
+          logger.warn(`${this.name} quota exceeded for ${request.model} with current key, trying next key`);
+          lastError = err;
+          continue;
+        }
+        throw err;
+      }
+    }
+
+    throw lastError;
+  }
+
+  async *stream(request) {
+    const [key] = this._keysForModel(request.model);
+    const stream = await this._getClient(key).chat.completions.create(
+      {
+        ...this._buildBody(request),
+        stream: true,
+        stream_options: { include_usage: true },
+      },
+      { signal: request.signal }
+    );
+
+    let content = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (text) {
+        content += text;
+        yield { type: 'delta', text };
+      }
+      if (chunk.usage) usage = chunk.usage;
+    }
+
+    yield {
+      type: 'done',
+      content,
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+    };
+  }
+
+  isAbortError(err) {
+    return super.isAbortError(err)
+      || err instanceof OpenAI.APIUserAbortError
+      || err instanceof OpenAI.APIConnectionTimeoutError;
+  }
+}
+
+export default OpenAICompatibleAdapter;
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Base class for LLM provider adapters.
+ *
+ * Adapters only handle transport: they send one chat request to a backend and
+ * return the text plus token usage. Retries, schema validation and fallbacks
+ * stay in OpenRouterClient so every backend behaves the same way.
+ *
+ * A request has the shape:
+ *   { model, systemPrompt, userPrompt, history?, maxTokens, temperature, jsonMode, signal }
+ * where `model` is the provider-side model name and `history` holds follow-up
+ * turns ({ role: 'assistant' | 'user', content }) sent after the user prompt.
+ */
+class ProviderAdapter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Execute a single completion.
+   * @param {Object} request
+   * @returns {Promise<{ content: string, promptTokens: number, completionTokens: number }>}
+   */
+  call(_request) {
+    return Promise.reject(new Error(`Adapter ${this.name} does not implement call()`));
+  }
+
+  /**
+   * Stream a completion.
+   * Yields { type: 'delta', text } chunks, then one final
+   * { type: 'done', content, promptTokens, completionTokens }.
+   * @param {Object} request
+   * @returns {AsyncGenerator<Object>}
+   */
+  stream(_request) {
+    throw new Error(`Adapter ${this.name} does not implement stream()`);
+  }
+
+  /**
+   * Whether an error means the request was aborted or timed out.
+   * Subclasses extend this with their SDK's error classes.
+   * @param {Error} err
+   * @returns {boolean}
+   */
+  isAbortError(err) {
+    return err.name === 'AbortError' || err.code === 'ECONNABORTED';
+  }
+
+  /**
+   * Normalize a backend error so callers can decide whether to retry.
+   * @param {Error} err
+   * @returns {{ status: number|null, isTimeout: boolean, retryable: boolean, message: string }}
+   */
+  mapError(err) {
+    const status = err.status || err.statusCode || null;
+    const isTimeout = this.isAbortError(err);
+    return {
+      status,
+      isTimeout,
+      retryable: isTimeout || status === 429 || status >= 500,
+      message: err.message || `${this.name} request failed`,
+    };
+  }
+}
+
+export default ProviderAdapter;
@@ -0,0 +1,83 @@
+'use strict';
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// ─────────────────────────────────────────────
+// LLM fixture store
+// One JSON file per recorded request, named after a hash of everything that
+// determines the response (adapter, model, prompts, follow-up turns, JSON mode). Sampling
+// parameters are left out of the key so replay keeps working when
+// maxTokens/temperature defaults change.
+// ─────────────────────────────────────────────
+
+/**
+ * Compute the fixture key for an adapter request.
+ * @param {string} adapterName
+ * @param {Object} request - Adapter request ({ model, systemPrompt, userPrompt, jsonMode })
+ * @returns {string}
+ */
+function fixtureKey(adapterName, request) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([
+      adapterName,
+      request.model,
+      request.systemPrompt,
+      request.userPrompt,
+      Boolean(request.jsonMode),
+      // Only part of the key when present, so single-turn fixtures keep their names
+      ...(request.history?.length ? [request.history] : []),
+    ]))
+    .digest('hex');
+}
+
+function fixturePath(dir, adapterName, key) {
+  return path.join(dir, adapterName, `${key}.json`);
+}
+
+/**
+ * Read a recorded fixture.
+ * @returns {Promise<Object|null>} The fixture, or null when none was recorded
+ */
+async function readFixture(dir, adapterName, key) {
+  try {
+    const raw = await fs.readFile(fixturePath(dir, adapterName, key), 'utf8');
+    return JSON.parse(raw);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Write a fixture (overwrites any previous recording for the same key).
+ * @param {string} dir
+ * @param {string} adapterName
+ * @param {string} key
+ * @param {Object} request - Adapter request
+ * @param {{ content: string, promptTokens: number, completionTokens: number }} response
+ */
+async function writeFixture(dir, adapterName, key, request, response) {
+  const file = fixturePath(dir, adapterName, key);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const fixture = {
+    key,
+    adapter: adapterName,
+    model: request.model,
+    jsonMode: Boolean(request.jsonMode),
+    systemPrompt: request.systemPrompt,
+    userPrompt: request.userPrompt,
+    ...(request.history?.length && { history: request.history }),
+    response: {
+      content: response.content,
+      promptTokens: response.promptTokens,
+      completionTokens: response.completionTokens,
+    },
+    recordedAt: new Date().toISOString(),
+  };
+  await fs.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`, 'utf8');
+}
+
+export { fixtureKey, readFixture, writeFixture };
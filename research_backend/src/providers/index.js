@@ -2,57 +2,50 @@
 
 import OpenRouterClient from '../clients/openrouterClient.js';
 import config from '../config/index.js';
-import { getResearchModels } from '../config/models.js';
+import { resolveModelSelection } from '../config/models.js';
 import logger from '../utils/logger.js';
 
-// Initialize the unified OpenRouter client
+// Initialize the unified client (routes each model to its provider adapter)
 const client = new OpenRouterClient({
-  apiKey: config.openRouter.apiKey,
-  baseURL: config.openRouter.baseURL,
   maxTokens: config.openRouter.maxTokens,
+  temperature: config.openRouter.temperature,
   timeoutMs: config.openRouter.timeoutMs,
+  maxRepairAttempts: config.openRouter.maxRepairAttempts,
 });
 
 /**
- * Execute research prompt across all configured OpenRouter models in parallel.
- * All models are accessed through OpenRouter with unified OpenAI-compatible format.
+ * Execute research prompt across all configured models in parallel.
+ * Each model is served by the adapter declared in the model catalog.
  *
  * @param {string} systemPrompt
  * @param {string} userPrompt
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.models] - Model specs from resolveModelSelection (defaults to configured models)
+ * @param {Object} [options.hooks] - Optional { onStart(model), onSettled(item) } callbacks for progress reporting
+ * @param {string[]} [options.categories] - Allowed idea categories (from the prompt template)
+ * @param {AbortSignal} [options.signal] - Aborts in-flight requests when the run is cancelled
+ * @param {import('../utils/costEstimator.js').CostBudget} [options.budget] - Request spending cap (maxCostUsd)
+ * @param {number} [options.maxRetries] - Transport retries per model (execution profile)
+ * @param {number} [options.timeoutMs] - Per-request timeout (execution profile)
  * @returns {Promise<Array<Object>>} Settled results (fulfilled/rejected)
  */
-async function executeAllProviders(systemPrompt, userPrompt) {
-  // Get models from config - either custom list or defaults
-  const researchModels = getResearchModels(process.env.RESEARCH_MODELS);
-
-  logger.info(`Executing research across models: ${researchModels.join(', ')}`);
-
-  // Fast mode: single model execution
-  const fastMode = process.env.TEMP_FAST_MODE === 'true';
-  if (fastMode) {
-    const model = config.openRouter.defaultModel;
-    logger.info(`FAST_MODE enabled — executing only: ${model}`);
-
-    const result = await client.call(model, systemPrompt, userPrompt, 'research');
-    return [
-      {
-        model: result.model,
-        status: 'fulfilled',
-        result: {
-          model: result.model,
-          provider: result.model,
-          ideas: result.ideas,
-          rawResponse: result.rawResponse,
-          promptTokens: result.promptTokens,
-          completionTokens: result.completionTokens,
-          latencyMs: result.latencyMs,
-        },
-      },
-    ];
-  }
+async function executeAllProviders(systemPrompt, userPrompt, {
+  models, hooks = {}, categories, signal, budget, maxRetries, timeoutMs,
+} = {}) {
+  // Per-request selection, or models from config (custom list or defaults)
+  const researchModels = (models || resolveModelSelection()).map((spec) => ({
+    ...spec,
+    ...(categories && { categories }),
+    ...(signal && { signal }),
+    ...(budget && { budget }),
+    ...(maxRetries !== undefined && { maxRetries }),
+    ...(timeoutMs && { timeoutMs }),
+  }));
+
+  logger.info(`Executing research across models: ${researchModels.map((m) => m.id).join(', ')}`);
 
   // Execute all models in parallel
-  const results = await client.callMultiple(researchModels, systemPrompt, userPrompt, 'research');
+  const results = await client.callMultiple(researchModels, systemPrompt, userPrompt, 'research', hooks);
 
   // Format results to match expected structure
   return results.map((item) => {
@@ -67,6 +60,10 @@ async function executeAllProviders(systemPrompt, userPrompt) {
           promptTokens: item.result.promptTokens,
           completionTokens: item.result.completionTokens,
           latencyMs: item.result.latencyMs,
+          costUsd: item.result.costUsd,
+          repairStage: item.result.repairStage,
+          repairAttempt: item.result.repairAttempt,
+          repairAttempts: item.result.repairAttempts,
         },
       };
     }
@@ -76,7 +73,7 @@ async function executeAllProviders(systemPrompt, userPrompt) {
 
 /**
  * Execute deepening for a specific model.
- * Uses unified OpenRouter interface for all models.
+ * Uses the unified client, so any catalog model (or raw OpenRouter ID) works.
  *
  * @param {string} model - Model ID (e.g., 'deepseek/deepseek-chat')
  * @param {string} systemPrompt
@@ -95,6 +92,84 @@ async function executeDeepeningProvider(model, systemPrompt, userPrompt) {
     promptTokens: result.promptTokens,
     completionTokens: result.completionTokens,
     latencyMs: result.latencyMs,
+    costUsd: result.costUsd,
+  };
+}
+
+/**
+ * Execute one model's turn in the cross-model critique round.
+ *
+ * @param {Object} spec - Model spec from resolveModelSelection ({ id, maxTokens?, temperature? })
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the call when the run is cancelled
+ * @param {import('../utils/costEstimator.js').CostBudget} [options.budget] - Request spending cap (maxCostUsd)
+ * @returns {Promise<Object>} Critique result ({ critiques: [{ idea_id, strengths, flaws, score }], ... })
+ */
+async function executeCritiqueProvider(spec, systemPrompt, userPrompt, { signal, budget } = {}) {
+  const { id: model, ...callOptions } = spec;
+  logger.info(`Executing critique with model: ${model}`);
+
+  const result = await client.call(model, systemPrompt, userPrompt, 'critique', undefined, {
+    ...callOptions,
+    ...(signal && { signal }),
+    ...(budget && { budget }),
+  });
+
+  return {
+    model: result.model,
+    provider: result.model,
+    critiques: result.critiques,
+    promptTokens: result.promptTokens,
+    completionTokens: result.completionTokens,
+    latencyMs: result.latencyMs,
+    costUsd: result.costUsd,
+  };
+}
+
+/**
+ * Ask the ranking judge model which of two ideas is stronger.
+ *
+ * @param {string} model - Judge model ID (catalog model or raw OpenRouter ID)
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {Object} [options] - Per-call overrides (maxTokens, temperature, signal)
+ * @returns {Promise<Object>} { winner: 'A' | 'B' | 'tie', reasoning, ... }
+ */
+async function executeJudgeProvider(model, systemPrompt, userPrompt, options = {}) {
+  const result = await client.call(model, systemPrompt, userPrompt, 'judgment', undefined, options);
+
+  return {
+    model: result.model,
+    winner: result.data.winner,
+    reasoning: result.data.reasoning,
+    promptTokens: result.promptTokens,
+    completionTokens: result.completionTokens,
+    latencyMs: result.latencyMs,
+    costUsd: result.costUsd,
+  };
+}
+
+/**
+ * Have a model write the abstractive synthesis of one idea cluster.
+ *
+ * @param {string} model - Synthesis model ID (catalog model or raw OpenRouter ID)
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @param {Object} [options] - Per-call overrides (maxTokens, temperature, signal)
+ * @returns {Promise<Object>} { synthesis: { title, summary, strategic_thesis, mechanism, implementation_framework }, ... }
+ */
+async function executeSynthesisProvider(model, systemPrompt, userPrompt, options = {}) {
+  const result = await client.call(model, systemPrompt, userPrompt, 'synthesis', undefined, options);
+
+  return {
+    model: result.model,
+    synthesis: result.data,
+    promptTokens: result.promptTokens,
+    completionTokens: result.completionTokens,
+    latencyMs: result.latencyMs,
+    costUsd: result.costUsd,
   };
 }
 
@@ -117,6 +192,12 @@ function partitionProviderResults(settledResults) {
         provider: item.model || 'unknown',
         error: item.error?.message || 'Unknown error',
         code: item.error?.code || 'UNKNOWN',
+        rawResponse: item.error?.rawResponse,
+        validationErrors: item.error?.validationErrors,
+        repairAttempts: item.error?.repairAttempts || [],
+        promptTokens: item.error?.promptTokens || 0,
+        completionTokens: item.error?.completionTokens || 0,
+        costUsd: item.error?.costUsd || 0,
       });
     }
   }
@@ -127,5 +208,8 @@ function partitionProviderResults(settledResults) {
 export {
   executeAllProviders,
   executeDeepeningProvider,
+  executeCritiqueProvider,
+  executeJudgeProvider,
+  executeSynthesisProvider,
   partitionProviderResults,
 };
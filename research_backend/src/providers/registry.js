@@ -0,0 +1,118 @@
+'use strict';
+
+import config from '../config/index.js';
+import { getModelMetadata } from '../config/models.js';
+import OpenAICompatibleAdapter from './adapters/openaiCompatibleAdapter.js';
+import AnthropicAdapter from './adapters/anthropicAdapter.js';
+import { RecordingAdapter, ReplayAdapter } from './adapters/fixtureAdapters.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Provider adapter registry
+// Maps the `adapter` declared on each models.js entry to the adapter that
+// serves it. Adapters are created lazily so a missing key for an optional
+// backend only fails the models that actually use it.
+//
+// LLM_FIXTURE_MODE=record wraps every adapter so responses are saved to
+// LLM_FIXTURE_DIR; LLM_FIXTURE_MODE=replay serves those files instead of
+// calling any provider.
+// ─────────────────────────────────────────────
+
+const DEFAULT_ADAPTER = 'openrouter';
+
+const factories = new Map([
+  ['openrouter', () => new OpenAICompatibleAdapter('openrouter', {
+    baseURL: config.openRouter.baseURL,
+    apiKey: config.openRouter.apiKey,
+    apiKeys: config.openRouter.apiKeys,
+    modelKeyMap: config.openRouter.modelKeyMap,
+    defaultHeaders: {
+      'HTTP-Referer': 'http://localhost:3000',
+      'X-Title': 'Research Engine',
+    },
+  })],
+  ['local', () => new OpenAICompatibleAdapter('local', {
+    baseURL: config.localLlm.baseURL,
+    apiKey: config.localLlm.apiKey,
+    jsonMode: config.localLlm.jsonMode,
+  })],
+  ['anthropic', () => new AnthropicAdapter({
+    apiKey: config.anthropic.apiKey,
+    baseURL: config.anthropic.baseURL,
+  })],
+]);
+
+const instances = new Map();
+
+/**
+ * Apply the configured fixture mode to a named adapter factory.
+ * @private
+ */
+function createAdapter(name, factory) {
+  const { mode, dir } = config.llmFixtures;
+  if (mode === 'replay') {
+    return new ReplayAdapter(name, dir);
+  }
+  const adapter = factory();
+  return mode === 'record' ? new RecordingAdapter(adapter, dir) : adapter;
+}
+
+/**
+ * Register (or replace) an adapter.
+ * @param {string} name - Adapter name referenced by models.js entries
+ * @param {import('./adapters/providerAdapter.js').default|function(): Object} adapterOrFactory
+ */
+function registerAdapter(name, adapterOrFactory) {
+  instances.delete(name);
+  if (typeof adapterOrFactory === 'function') {
+    factories.set(name, adapterOrFactory);
+  } else {
+    factories.set(name, () => adapterOrFactory);
+  }
+}
+
+/**
+ * Get an adapter instance by name.
+ * @param {string} name
+ * @returns {import('./adapters/providerAdapter.js').default}
+ * @throws {Error} When no adapter is registered under that name, or it cannot be configured
+ */
+function getAdapter(name) {
+  if (!instances.has(name)) {
+    const factory = factories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown provider adapter "${name}"`);
+    }
+    instances.set(name, createAdapter(name, factory));
+  }
+  return instances.get(name);
+}
+
+/**
+ * Resolve a catalog model ID to the adapter that serves it.
+ * Models missing from the catalog are sent to OpenRouter as-is.
+ *
+ * @param {string} modelId
+ * @returns {{ adapter: Object, apiModel: string }}
+ */
+function resolveModel(modelId) {
+  const meta = getModelMetadata(modelId);
+  return {
+    adapter: getAdapter(meta?.adapter || DEFAULT_ADAPTER),
+    apiModel: meta?.apiModel || modelId,
+  };
+}
+
+/**
+ * Names of all registered adapters.
+ * @returns {string[]}
+ */
+function listAdapters() {
+  return [...factories.keys()];
+}
+
+if (config.llmFixtures.mode !== 'off') {
+  logger.info(`LLM fixture mode: ${config.llmFixtures.mode}`, { dir: config.llmFixtures.dir });
+}
+
+export { registerAdapter, getAdapter, resolveModel, listAdapters };
@@ -53,6 +53,58 @@ async function addResearchJob(problemStatement, metadata = {}) {
     return { jobId: job.id };
 }
 
+/**
+ * Add a ranking tournament job for a completed session's ideas.
+ * @param {string} sessionId
+ * @param {{ judgeModel?: string, rounds?: number }} [options]
+ * @returns {Promise<{ jobId: string }>}
+ */
+async function addRankingJob(sessionId, options = {}) {
+    const job = await researchQueue.add(
+        'rank-ideas',
+        { sessionId, ...options },
+        {
+            jobId: `ranking-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        }
+    );
+
+    logger.info('Ranking job enqueued', { jobId: job.id, sessionId });
+    return { jobId: job.id };
+}
+
+/** Job scheduler ID of a research schedule */
+const scheduleJobId = (scheduleId) => `schedule-${scheduleId}`;
+
+/**
+ * Create or update the repeatable job of a research schedule. Each firing
+ * enqueues a 'scheduled-research' job; scheduled runs are not retried so a
+ * failure never produces a second session for the same firing.
+ * @param {{ id: string, cronExpression: string, timezone: string }} schedule
+ */
+async function upsertScheduleJob(schedule) {
+    await researchQueue.upsertJobScheduler(
+        scheduleJobId(schedule.id),
+        { pattern: schedule.cronExpression, tz: schedule.timezone },
+        {
+            name: 'scheduled-research',
+            data: { scheduleId: schedule.id },
+            opts: { attempts: 1 },
+        }
+    );
+    logger.info('Research schedule registered', { scheduleId: schedule.id, cron: schedule.cronExpression });
+}
+
+/**
+ * Stop a research schedule from enqueuing jobs.
+ * @param {string} scheduleId
+ * @returns {Promise<boolean>} Whether a job scheduler was removed
+ */
+async function removeScheduleJob(scheduleId) {
+    const removed = await researchQueue.removeJobScheduler(scheduleJobId(scheduleId));
+    if (removed) logger.info('Research schedule unregistered', { scheduleId });
+    return removed;
+}
+
 /**
  * Get job status and result.
  * @param {string} jobId
@@ -78,4 +130,44 @@ async function getJobStatus(jobId) {
     };
 }
 
-export { researchQueue, addResearchJob, getJobStatus };
+// States in which a job has not been picked up by a worker yet
+const REMOVABLE_STATES = new Set(['waiting', 'delayed', 'prioritized', 'paused', 'waiting-children']);
+
+/**
+ * Cancel a research job. Jobs that have not started are removed from the queue;
+ * running jobs are left to the worker, which aborts once the session is cancelled
+ * (see cancellationService.requestCancel).
+ *
+ * @param {string} jobId
+ * @returns {Promise<{ jobId: string, state: string, removed: boolean, sessionId: string|null }|null>}
+ *          null when the job does not exist
+ */
+async function cancelResearchJob(jobId) {
+    const job = await researchQueue.getJob(jobId);
+    if (!job) return null;
+
+    const state = await job.getState();
+    let removed = false;
+    if (REMOVABLE_STATES.has(state)) {
+        await job.remove();
+        removed = true;
+        logger.info('Research job removed from queue', { jobId, state });
+    }
+
+    return {
+        jobId: job.id,
+        state,
+        removed,
+        sessionId: job.data?.metadata?.sessionId || null,
+    };
+}
+
+export {
+    researchQueue,
+    addResearchJob,
+    addRankingJob,
+    upsertScheduleJob,
+    removeScheduleJob,
+    getJobStatus,
+    cancelResearchJob,
+};
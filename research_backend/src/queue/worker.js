@@ -1,20 +1,64 @@
 'use strict';
 
-require('dotenv').config();
-
-const { Worker } = require('bullmq');
-const config = require('../config');
-const { runResearchPipeline } = require('../services/researchService');
-const logger = require('../utils/logger');
+import 'dotenv/config';
+import { Worker, UnrecoverableError } from 'bullmq';
+import config from '../config/index.js';
+import { runResearchPipeline } from '../services/researchService.js';
+import { rankSessionIdeas } from '../services/rankingService.js';
+import { runScheduledResearch, syncAllSchedules } from '../services/scheduleService.js';
+import { CancelledError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
 
 // ─────────────────────────────────────────────
 // BullMQ Worker — standalone process
 // Run with: node src/queue/worker.js
 // ─────────────────────────────────────────────
 
+/**
+ * Ranking tournament job (enqueued by POST /sessions/:id/rank).
+ * @param {import('bullmq').Job} job
+ */
+async function processRankingJob(job) {
+    const { sessionId, judgeModel, rounds } = job.data;
+    logger.info('Processing ranking job', { jobId: job.id, sessionId });
+
+    await job.updateProgress(1);
+    const result = await rankSessionIdeas(sessionId, {
+        judgeModel,
+        rounds,
+        onProgress: (event) => job.updateProgress(event.progress),
+    });
+
+    logger.info('Ranking job completed', { jobId: job.id, sessionId, matches: result.matches });
+    return result;
+}
+
+/**
+ * One firing of a research schedule (enqueued by its BullMQ job scheduler).
+ * @param {import('bullmq').Job} job
+ */
+async function processScheduledJob(job) {
+    const { scheduleId } = job.data;
+    logger.info('Processing scheduled research job', { jobId: job.id, scheduleId });
+
+    await job.updateProgress(1);
+    try {
+        return await runScheduledResearch(scheduleId, {
+            jobId: job.id,
+            onProgress: (event) => job.updateProgress(event.progress),
+        });
+    } catch (err) {
+        if (err instanceof CancelledError) throw new UnrecoverableError(err.message);
+        throw err;
+    }
+}
+
 const worker = new Worker(
     config.queue.name,
     async (job) => {
+        if (job.name === 'rank-ideas') return processRankingJob(job);
+        if (job.name === 'scheduled-research') return processScheduledJob(job);
+
         const { problemStatement, metadata } = job.data;
 
         logger.info('Processing research job', {
@@ -22,17 +66,28 @@ const worker = new Worker(
             problemLength: problemStatement?.length,
         });
 
-        // Report progress: 10% — job started
-        await job.updateProgress(10);
-
-        const result = await runResearchPipeline(problemStatement, {
-            ...metadata,
-            jobId: job.id,
-            source: 'queue',
-        });
-
-        // Report progress: 100% — done
-        await job.updateProgress(100);
+        // Report progress: job started
+        await job.updateProgress(1);
+
+        // Pipeline stages drive job progress; the same events are streamed over SSE
+        let result;
+        try {
+            result = await runResearchPipeline(
+                problemStatement,
+                {
+                    ...metadata,
+                    jobId: job.id,
+                    source: 'queue',
+                },
+                {
+                    onProgress: (event) => job.updateProgress(event.progress),
+                }
+            );
+        } catch (err) {
+            // Cancelled runs must not be retried
+            if (err instanceof CancelledError) throw new UnrecoverableError(err.message);
+            throw err;
+        }
 
         logger.info('Research job completed', {
             jobId: job.id,
@@ -99,3 +154,8 @@ logger.info('Research queue worker started', {
     queue: config.queue.name,
     concurrency: config.queue.concurrency,
 });
+
+// Re-register research schedules in case Redis lost them (or missed a change)
+syncAllSchedules().catch((err) => {
+    logger.error('Failed to sync research schedules', { error: err.message });
+});
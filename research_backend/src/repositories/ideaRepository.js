@@ -199,6 +199,14 @@ export async function rateIdea(ideaId, rating) {
     return result.rows[0] || null;
 }
 
+/**
+ * Store a saved idea's embedding and the model that produced it
+ */
+export async function setEmbedding(ideaId, embedding, model) {
+    const query = `UPDATE saved_ideas SET embedding = $1::vector, embedding_model = $2 WHERE id = $3;`;
+    await pool.query(query, [`[${embedding.join(',')}]`, model, ideaId]);
+}
+
 /**
  * Find related ideas (same type + matching tags)
  */
@@ -8,6 +8,9 @@ import synthesisRoutes from './synthesis.routes.js';
 import ideasRoutes from './ideas.routes.js';
 import authRoutes from './auth.routes.js';
 import projectsRoutes from './projects.routes.js';
+import templatesRoutes from './templates.routes.js';
+import schedulesRoutes from './schedules.routes.js';
+import searchRoutes from './search.routes.js';
 
 const router = Router();
 
@@ -36,5 +39,8 @@ router.use('/multimodel', multimodelRoutes);
 router.use('/ideas', ideasRoutes);
 router.use('/auth', authRoutes);
 router.use('/projects', projectsRoutes);
+router.use('/templates', templatesRoutes);
+router.use('/schedules', schedulesRoutes);
+router.use('/search', searchRoutes);
 
 export default router;
@@ -3,7 +3,7 @@
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.js';
 import { globalLimiter } from '../middleware/rateLimiter.js';
-import { executeMultiModel, validateMultiModelBody } from '../controllers/multimodel.controller.js';
+import { executeMultiModel, estimateMultiModel, validateMultiModelBody } from '../controllers/multimodel.controller.js';
 
 const router = Router();
 
@@ -13,9 +13,17 @@ router.use(authenticate);
 /**
  * POST /api/v1/multimodel
  * Execute all configured models in parallel and return raw outputs.
- * Body: { input: string }
- * Response: { input, results: [ { model, output } | { model, error } ] }
+ * Body: { input: string, models?: Array<string | { id, maxTokens?, temperature? }>, sessionId?: uuid,
+ *         templateId?: uuid, templateVariables?: object, maxCostUsd?: number }
+ * Pass sessionId to stream progress from /research/:sessionId/events
+ * Response: { input, results: [ { model, output, costUsd } | { model, error, costUsd } ], cost }
  */
 router.post('/', globalLimiter, validateMultiModelBody, executeMultiModel);
 
+/**
+ * POST /api/v1/multimodel/estimate
+ * Dry run — estimated token cost per model (min/max USD) for the same body as POST /multimodel.
+ */
+router.post('/estimate', validateMultiModelBody, estimateMultiModel);
+
 export default router;
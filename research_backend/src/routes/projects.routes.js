@@ -2,6 +2,8 @@
 
 import { Router } from 'express';
 import { requireJwtAuth } from '../middleware/jwtAuth.js';
+import { researchLimiter } from '../middleware/rateLimiter.js';
+import { runProjectResearch, validateProjectResearch } from '../controllers/research.controller.js';
 import {
     validateCreateProject,
     validateProjectIdParam,
@@ -32,4 +34,11 @@ router.post('/:id/files', validateAddProjectFile, addProjectFile);
 router.put('/:id/files/:fileId', validateRenameProjectFile, renameProjectFile);
 router.delete('/:id/files/:fileId', validateDeleteProjectFile, deleteProjectFile);
 
+/**
+ * POST /api/v1/projects/:id/research
+ * Start async research grounded in selected project files (PDF, DOCX, MD, TXT, CSV).
+ * Body: same as POST /research/async, plus fileIds: number[] (project_files IDs)
+ */
+router.post('/:id/research', researchLimiter, validateProjectResearch, runProjectResearch);
+
 export default router;
@@ -6,8 +6,12 @@ import { researchLimiter } from '../middleware/rateLimiter.js';
 import {
     runResearch,
     runResearchAsync,
+    estimateResearch,
     getResearchJobStatus,
+    cancelResearchJob,
     getSessionStatus,
+    cancelSession,
+    streamSessionEvents,
     deepenResearchIdea,
     validateResearchBody,
     validateDeepenParams,
@@ -23,20 +27,41 @@ router.use(authenticate);
 /**
  * POST /api/v1/research
  * Synchronous research pipeline.
- * Body: { problemStatement: string, metadata?: object }
+ * Body: { problemStatement: string, metadata?: object, models?: Array<string | { id, maxTokens?, temperature? }>,
+ *         templateId?: string, templateVariables?: object, maxCostUsd?: number }
  */
 router.post('/', researchLimiter, validateResearchBody, runResearch);
 
+/**
+ * POST /api/v1/research/estimate
+ * Dry run — estimated token cost per model (min/max USD) for the same body as POST /research.
+ */
+router.post('/estimate', validateResearchBody, estimateResearch);
+
 /**
  * GET /api/v1/research/:sessionId
  * Poll session status by sessionId (returns session + latest LLM response when available)
  */
 router.get('/:sessionId', validateSessionParam, getSessionStatus);
 
+/**
+ * GET /api/v1/research/:sessionId/events
+ * Server-Sent Events stream of pipeline progress (stage, progress %, per-model results).
+ * Replays past events on connect; closes after `completed`, `failed` or `cancelled`.
+ */
+router.get('/:sessionId/events', validateSessionParam, streamSessionEvents);
+
+/**
+ * POST /api/v1/research/:sessionId/cancel
+ * Cancel a pending or running session. Partial provider results are kept.
+ */
+router.post('/:sessionId/cancel', validateSessionParam, cancelSession);
+
 /**
  * POST /api/v1/research/async
  * Async research pipeline — returns jobId immediately.
- * Body: { problemStatement: string, metadata?: object }
+ * Body: { problemStatement: string, metadata?: object, models?: Array<string | { id, maxTokens?, temperature? }>,
+ *         templateId?: string, templateVariables?: object, maxCostUsd?: number }
  */
 router.post('/async', researchLimiter, validateResearchBody, runResearchAsync);
 
@@ -46,6 +71,12 @@ router.post('/async', researchLimiter, validateResearchBody, runResearchAsync);
  */
 router.get('/job/:jobId', validateJobParam, getResearchJobStatus);
 
+/**
+ * DELETE /api/v1/research/job/:jobId
+ * Cancel an async job (removed if still queued, aborted if running).
+ */
+router.delete('/job/:jobId', validateJobParam, cancelResearchJob);
+
 /**
  * POST /api/v1/research/:sessionId/deepen/:ideaId
  * Deepen a specific idea.
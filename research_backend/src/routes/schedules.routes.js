@@ -0,0 +1,72 @@
+'use strict';
+
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.js';
+import {
+    validateCreateSchedule,
+    validateUpdateSchedule,
+    validateScheduleId,
+    validateRunsQuery,
+    validateRunParams,
+    validateListQuery,
+    listSchedules,
+    createSchedule,
+    getSchedule,
+    updateSchedule,
+    deleteSchedule,
+    listScheduleRuns,
+    getScheduleRun,
+} from '../controllers/schedules.controller.js';
+
+const router = Router();
+
+// All schedule routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/v1/schedules
+ * List research schedules (with nextRunAt).
+ * Query: { limit?, offset?, enabled?: 'true' | 'false' }
+ */
+router.get('/', validateListQuery, listSchedules);
+
+/**
+ * POST /api/v1/schedules
+ * Create a recurring research schedule.
+ * Body: { name, problemStatement, cron, timezone?, enabled?, profile?, models?, templateId?,
+ *         templateVariables?, maxCostUsd?, metadata? }
+ * Each firing runs the research request as a queued job and stores a "what's new" digest.
+ */
+router.post('/', validateCreateSchedule, createSchedule);
+
+/**
+ * GET /api/v1/schedules/:id
+ * Get a schedule.
+ */
+router.get('/:id', validateScheduleId, getSchedule);
+
+/**
+ * PATCH /api/v1/schedules/:id
+ * Update a schedule (same fields as POST, all optional). enabled: false pauses it.
+ */
+router.patch('/:id', validateUpdateSchedule, updateSchedule);
+
+/**
+ * DELETE /api/v1/schedules/:id
+ * Delete a schedule and its run history.
+ */
+router.delete('/:id', validateScheduleId, deleteSchedule);
+
+/**
+ * GET /api/v1/schedules/:id/runs
+ * A schedule's runs, newest first. Query: { limit?, offset? }
+ */
+router.get('/:id/runs', validateRunsQuery, listScheduleRuns);
+
+/**
+ * GET /api/v1/schedules/:id/runs/:runId
+ * One run with its "what's new" digest (new ideas, and recurring ideas with their closest earlier match).
+ */
+router.get('/:id/runs/:runId', validateRunParams, getScheduleRun);
+
+export default router;
@@ -0,0 +1,19 @@
+'use strict';
+
+import { Router } from 'express';
+import { requireJwtAuth } from '../middleware/jwtAuth.js';
+import { validateIdeaSearch, searchIdeas } from '../controllers/search.controller.js';
+
+const router = Router();
+
+// Search covers the caller's library, so it needs a signed-in user
+router.use(requireJwtAuth);
+
+/**
+ * GET /api/v1/search/ideas
+ * Semantic search over research-session ideas and the caller's saved ideas.
+ * Query: { q, limit? (1-50, default 10), scope?: 'all' | 'sessions' | 'library', minScore? }
+ */
+router.get('/ideas', validateIdeaSearch, searchIdeas);
+
+export default router;
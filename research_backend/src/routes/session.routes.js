@@ -2,14 +2,22 @@
 
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.js';
+import { optionalJwtAuth } from '../middleware/jwtAuth.js';
+import { researchLimiter } from '../middleware/rateLimiter.js';
 import {
     listSessions,
     getSession,
     getSessionIdeas,
+    getSessionLineage,
+    rankSession,
+    getSessionRanking,
     deleteSession,
     validateSessionId,
     validateListQuery,
+    validateIdeasQuery,
+    validateRankRequest,
 } from '../controllers/session.controller.js';
+import { forkSession, validateForkSession } from '../controllers/research.controller.js';
 
 const router = Router();
 
@@ -31,10 +39,40 @@ router.get('/:id', validateSessionId, getSession);
 
 /**
  * GET /api/v1/sessions/:id/ideas
- * Get all ideas for a session.
- * Query: { unique?: 'true' }
+ * Get all ideas for a session, with the cross-model critique consensus
+ * (consensus_score, critique_count) and tournament rank (rank, elo_rating) per idea.
+ * Query: { unique?: 'true', critiques?: 'true' (include each critic's strengths, flaws and score),
+ *          sort?: 'confidence' (default) | 'rank' (tournament order, unranked ideas last) }
  */
-router.get('/:id/ideas', validateSessionId, getSessionIdeas);
+router.get('/:id/ideas', validateIdeasQuery, getSessionIdeas);
+
+/**
+ * POST /api/v1/sessions/:id/fork
+ * Rerun a session with an edited problem statement as a linked child session (async job).
+ * Body: same as POST /research/async; models, template, maxCostUsd and metadata options
+ * not given are inherited from the parent session. Forking a session grounded in project
+ * files also needs a JWT (Authorization: Bearer) of a member of that project.
+ */
+router.post('/:id/fork', researchLimiter, optionalJwtAuth, validateForkSession, forkSession);
+
+/**
+ * GET /api/v1/sessions/:id/lineage
+ * Fork tree containing the session: { rootId, sessions: [{ id, parent_session_id, depth, ... }] }
+ */
+router.get('/:id/lineage', validateSessionId, getSessionLineage);
+
+/**
+ * POST /api/v1/sessions/:id/rank
+ * Rank a completed session's unique ideas with a pairwise LLM-judge tournament (async job).
+ * Body: { judgeModel?: string (default RANKING_JUDGE_MODEL), rounds?: number (1-20) }
+ */
+router.post('/:id/rank', validateRankRequest, rankSession);
+
+/**
+ * GET /api/v1/sessions/:id/ranking
+ * Ranking summary and every judged match with the judge's reasoning.
+ */
+router.get('/:id/ranking', validateSessionId, getSessionRanking);
 
 /**
  * DELETE /api/v1/sessions/:id
@@ -2,7 +2,14 @@
 
 import { Router } from 'express';
 import { authenticate } from '../middleware/auth.js';
-import { synthesizeSession, validateSynthesisParams } from '../controllers/synthesis.controller.js';
+import {
+    synthesizeSession,
+    listSessionSyntheses,
+    getSessionSynthesis,
+    validateSynthesisParams,
+    validateSynthesesQuery,
+    validateSynthesisId,
+} from '../controllers/synthesis.controller.js';
 
 const router = Router();
 
@@ -13,7 +20,20 @@ router.use(authenticate);
  * POST /api/v1/sessions/:sessionId/synthesize
  * Synthesize stored raw model outputs into strategic ideas
  * Query param: includeRaw=true (optional) - Include raw model outputs in response
+ * Body (optional): { mode: 'extractive' | 'abstractive', model } - abstractive has a model write each idea
  */
 router.post('/:sessionId/synthesize', validateSynthesisParams, synthesizeSession);
 
+/**
+ * GET /api/v1/sessions/:sessionId/syntheses
+ * Stored synthesis runs of the session, newest first (?limit, ?offset)
+ */
+router.get('/:sessionId/syntheses', validateSynthesesQuery, listSessionSyntheses);
+
+/**
+ * GET /api/v1/sessions/:sessionId/syntheses/:synthesisId
+ * One stored synthesis run with its full result
+ */
+router.get('/:sessionId/syntheses/:synthesisId', validateSynthesisId, getSessionSynthesis);
+
 export default router;
@@ -0,0 +1,63 @@
+'use strict';
+
+import { Router } from 'express';
+import { authenticate } from '../middleware/auth.js';
+import {
+    validateCreateTemplate,
+    validateUpdateTemplate,
+    validateTemplateId,
+    validateListQuery,
+    listTemplates,
+    createTemplate,
+    getTemplate,
+    listTemplateVersions,
+    updateTemplate,
+    deleteTemplate,
+} from '../controllers/templates.controller.js';
+
+const router = Router();
+
+// All template routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/v1/templates
+ * List prompt templates (current versions).
+ * Query: { limit?, offset? }
+ */
+router.get('/', validateListQuery, listTemplates);
+
+/**
+ * POST /api/v1/templates
+ * Create a prompt template.
+ * Body: { name, description?, ideaCount?, persona?, tone?, categories?, extraInstructions?,
+ *         variables?: Array<{ name, description?, default? }> }
+ * persona, tone and extraInstructions may reference variables as {{name}}.
+ */
+router.post('/', validateCreateTemplate, createTemplate);
+
+/**
+ * GET /api/v1/templates/:id
+ * Get a template. Query: { version? } (defaults to the current version)
+ */
+router.get('/:id', validateTemplateId, getTemplate);
+
+/**
+ * GET /api/v1/templates/:id/versions
+ * List every version of a template.
+ */
+router.get('/:id/versions', validateTemplateId, listTemplateVersions);
+
+/**
+ * PATCH /api/v1/templates/:id
+ * Update a template. Changing prompt settings creates a new version.
+ */
+router.patch('/:id', validateUpdateTemplate, updateTemplate);
+
+/**
+ * DELETE /api/v1/templates/:id
+ * Delete a template and all of its versions.
+ */
+router.delete('/:id', validateTemplateId, deleteTemplate);
+
+export default router;
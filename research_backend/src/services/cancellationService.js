@@ -0,0 +1,116 @@
+'use strict';
+
+import { createRedisClient } from '../utils/redis.js';
+import { CancelledError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Research run cancellation
+// Runs register an AbortController per session. A cancel request sets a flag
+// in Redis (so runs that have not started yet see it) and broadcasts the
+// session ID, so whichever process — API or queue worker — owns the run
+// aborts its in-flight provider requests.
+// ─────────────────────────────────────────────
+
+const CANCEL_CHANNEL = 'research:cancel';
+const CANCEL_FLAG_TTL_SECONDS = 24 * 3600;
+
+const cancelFlagKeyFor = (sessionId) => `research:cancelled:${sessionId}`;
+
+const runs = new Map(); // sessionId → AbortController
+let publisher = null;
+let subscriber = null;
+
+function getPublisher() {
+    if (!publisher) publisher = createRedisClient('cancel publisher');
+    return publisher;
+}
+
+async function ensureSubscribed() {
+    if (subscriber) return;
+    subscriber = createRedisClient('cancel subscriber');
+    subscriber.on('message', (channel, sessionId) => {
+        if (channel === CANCEL_CHANNEL) abortLocalRun(sessionId);
+    });
+    try {
+        await subscriber.subscribe(CANCEL_CHANNEL);
+    } catch (err) {
+        logger.warn('Failed to subscribe to cancel channel', { error: err.message });
+    }
+}
+
+function abortLocalRun(sessionId) {
+    const controller = runs.get(sessionId);
+    if (controller && !controller.signal.aborted) {
+        logger.info('Aborting research run', { sessionId });
+        controller.abort(new CancelledError());
+    }
+}
+
+/**
+ * Whether cancellation was requested for a session (from any process).
+ * @param {string} sessionId
+ * @returns {Promise<boolean>}
+ */
+async function isCancelRequested(sessionId) {
+    try {
+        return (await getPublisher().exists(cancelFlagKeyFor(sessionId))) === 1;
+    } catch (err) {
+        logger.warn('Failed to check cancel flag', { sessionId, error: err.message });
+        return false;
+    }
+}
+
+/**
+ * Register a running research pipeline for a session.
+ * The returned controller is already aborted if cancellation was requested earlier.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<AbortController>}
+ */
+async function registerRun(sessionId) {
+    const controller = new AbortController();
+    runs.set(sessionId, controller);
+    await ensureSubscribed();
+    if (await isCancelRequested(sessionId)) {
+        controller.abort(new CancelledError());
+    }
+    return controller;
+}
+
+/**
+ * Forget a finished run.
+ * @param {string} sessionId
+ * @param {AbortController} controller - The controller returned by registerRun
+ */
+function unregisterRun(sessionId, controller) {
+    if (runs.get(sessionId) === controller) runs.delete(sessionId);
+}
+
+/**
+ * Request cancellation of a session's run, wherever it executes.
+ * @param {string} sessionId
+ */
+async function requestCancel(sessionId) {
+    abortLocalRun(sessionId);
+    try {
+        await getPublisher()
+            .multi()
+            .set(cancelFlagKeyFor(sessionId), '1', 'EX', CANCEL_FLAG_TTL_SECONDS)
+            .publish(CANCEL_CHANNEL, sessionId)
+            .exec();
+    } catch (err) {
+        logger.warn('Failed to broadcast cancel request', { sessionId, error: err.message });
+    }
+}
+
+/**
+ * Throw if the run has been cancelled. Call between pipeline stages.
+ * @param {AbortSignal} signal
+ * @throws {CancelledError}
+ */
+function throwIfCancelled(signal) {
+    if (signal?.aborted) throw new CancelledError();
+}
+
+export { registerRun, unregisterRun, requestCancel, isCancelRequested, throwIfCancelled };
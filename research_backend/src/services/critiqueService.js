@@ -0,0 +1,124 @@
+'use strict';
+
+import { buildCritiquePrompt } from '../utils/promptBuilder.js';
+import { executeCritiqueProvider } from '../providers/index.js';
+import repo from './sessionRepository.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Cross-model critique ("debate") round
+// After generation, every model that produced ideas reviews the unique ideas
+// of the other models. Critiques are stored per (idea, critic model) and
+// averaged into a consensus score when a session's ideas are read.
+// ─────────────────────────────────────────────
+
+/**
+ * Ideas a critic should review: the unique ideas other models generated,
+ * labelled I1..In so the model can refer to them without seeing database IDs.
+ * @param {Array<Object>} ideas - Unique session ideas (from getSessionIdeas)
+ * @param {string} criticModel
+ * @returns {Array<{ ref: string, id: string, title: string, description: string, rationale: string }>}
+ */
+function selectIdeasForCritic(ideas, criticModel) {
+    return ideas
+        .filter((idea) => idea.provider !== criticModel)
+        .slice(0, config.critique.maxIdeasPerCritic)
+        .map((idea, idx) => ({
+            ref: `I${idx + 1}`,
+            id: idea.id,
+            title: idea.title,
+            description: idea.description,
+            rationale: idea.rationale,
+        }));
+}
+
+/**
+ * Map a critic's output back to idea IDs. Unknown labels are dropped and only
+ * the first critique of each idea is kept.
+ * @param {Array<{ idea_id: string, strengths: string[], flaws: string[], score: number }>} critiques
+ * @param {Array<{ ref: string, id: string }>} labelled - From selectIdeasForCritic
+ * @returns {Array<{ ideaId: string, strengths: string[], flaws: string[], score: number }>}
+ */
+function resolveCritiques(critiques, labelled) {
+    const idsByRef = new Map(labelled.map((idea) => [idea.ref.toLowerCase(), idea.id]));
+    const resolved = new Map();
+    for (const critique of critiques) {
+        // Models sometimes echo the label with its brackets ("[I3]")
+        const ref = critique.idea_id.trim().replace(/^\[|\]$/g, '').toLowerCase();
+        const ideaId = idsByRef.get(ref);
+        if (!ideaId || resolved.has(ideaId)) continue;
+        resolved.set(ideaId, {
+            ideaId,
+            strengths: critique.strengths,
+            flaws: critique.flaws,
+            score: critique.score,
+        });
+    }
+    return [...resolved.values()];
+}
+
+/**
+ * Run the critique round for a session. Critics run in parallel; a critic that
+ * fails (or does not fit the budget) is recorded and skipped, so the round
+ * never fails the pipeline.
+ *
+ * @param {string} sessionId
+ * @param {string} problemStatement
+ * @param {Object} options
+ * @param {Array<{ id: string, temperature?: number }>} options.models - Models that generated ideas
+ * @param {Array<Object>} options.ideas - Unique session ideas (from getSessionIdeas)
+ * @param {AbortSignal} [options.signal]
+ * @param {import('../utils/costEstimator.js').CostBudget} [options.budget]
+ * @returns {Promise<{ critics: Array<Object>, critiquesSaved: number }>} One entry per critic:
+ *   { model, status: 'success' | 'failed' | 'skipped', ideasReviewed, critiques, error?, code?,
+ *   latencyMs?, promptTokens, completionTokens, costUsd }
+ */
+async function runCritiqueRound(sessionId, problemStatement, { models, ideas, signal, budget }) {
+    const assignments = models
+        .map((spec) => ({ spec, labelled: selectIdeasForCritic(ideas, spec.id) }))
+        .filter((a) => a.labelled.length > 0);
+
+    logger.info(`Critique round: ${assignments.length} critics`, { sessionId });
+
+    const critics = await Promise.all(assignments.map(async ({ spec, labelled }) => {
+        const { system, user } = buildCritiquePrompt(problemStatement, labelled);
+        const critic = { id: spec.id, temperature: spec.temperature, maxTokens: config.critique.maxTokens };
+
+        try {
+            const result = await executeCritiqueProvider(critic, system, user, { signal, budget });
+            const critiques = resolveCritiques(result.critiques, labelled);
+            await repo.saveCritiques(sessionId, spec.id, critiques);
+            return {
+                model: spec.id,
+                status: 'success',
+                ideasReviewed: labelled.length,
+                critiques: critiques.length,
+                latencyMs: result.latencyMs,
+                promptTokens: result.promptTokens,
+                completionTokens: result.completionTokens,
+                costUsd: result.costUsd,
+            };
+        } catch (err) {
+            logger.warn(`Critique by ${spec.id} failed: ${err.message}`, { sessionId, code: err.code });
+            return {
+                model: spec.id,
+                status: err.code === 'BUDGET_EXCEEDED' ? 'skipped' : 'failed',
+                ideasReviewed: labelled.length,
+                critiques: 0,
+                error: err.message,
+                code: err.code || 'UNKNOWN',
+                promptTokens: err.promptTokens || 0,
+                completionTokens: err.completionTokens || 0,
+                costUsd: err.costUsd || 0,
+            };
+        }
+    }));
+
+    return {
+        critics,
+        critiquesSaved: critics.reduce((sum, c) => sum + c.critiques, 0),
+    };
+}
+
+export { runCritiqueRound };
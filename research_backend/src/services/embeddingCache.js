@@ -0,0 +1,112 @@
+'use strict';
+
+import crypto from 'crypto';
+import cacheRepo from './embeddingCacheRepository.js';
+import { createRedisClient } from '../utils/redis.js';
+import config from '../config/index.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Content-hash embedding cache
+// Postgres (embedding_cache) is the store; with EMBEDDING_CACHE_REDIS=true a
+// Redis layer in front of it serves hot keys. The cache never fails a call:
+// when a layer is unavailable its lookups count as misses and writes are skipped.
+// ─────────────────────────────────────────────
+
+const redisKeyFor = (key) => `embedding:${key}`;
+
+let redis = null;
+
+function getRedis() {
+    if (!config.embedding.cache.redis) return null;
+    if (!redis) redis = createRedisClient('embedding cache');
+    return redis;
+}
+
+/**
+ * Normalize text before hashing: Unicode NFC, runs of whitespace collapsed, trimmed.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Cache key of a text for one model and vector size.
+ * @param {string} text
+ * @param {string} model
+ * @param {number} dimensions
+ * @returns {string} sha256 hex digest
+ */
+function embeddingCacheKey(text, model, dimensions) {
+    return crypto
+        .createHash('sha256')
+        .update(`${model}\n${dimensions}\n${normalizeText(text)}`)
+        .digest('hex');
+}
+
+/** @private */
+async function readRedis(keys) {
+    const client = getRedis();
+    if (!client || keys.length === 0) return new Map();
+    try {
+        const values = await client.mget(keys.map(redisKeyFor));
+        return new Map(keys.flatMap((key, idx) => (values[idx] ? [[key, JSON.parse(values[idx])]] : [])));
+    } catch (err) {
+        logger.warn('Embedding cache: Redis read failed', { error: err.message });
+        return new Map();
+    }
+}
+
+/** @private */
+async function writeRedis(entries) {
+    const client = getRedis();
+    if (!client || entries.length === 0) return;
+    try {
+        const pipeline = client.pipeline();
+        for (const { key, embedding } of entries) {
+            pipeline.set(redisKeyFor(key), JSON.stringify(embedding), 'EX', config.embedding.cache.redisTtlSeconds);
+        }
+        await pipeline.exec();
+    } catch (err) {
+        logger.warn('Embedding cache: Redis write failed', { error: err.message });
+    }
+}
+
+/**
+ * Look up cached vectors: Redis first (when enabled), then Postgres. Postgres hits are copied to Redis.
+ * @param {string[]} keys
+ * @returns {Promise<Map<string, number[]>>} key → vector, for the keys that are cached
+ */
+async function lookupEmbeddings(keys) {
+    const found = await readRedis(keys);
+
+    const remaining = keys.filter((key) => !found.has(key));
+    if (remaining.length === 0) return found;
+
+    try {
+        const stored = await cacheRepo.getCachedEmbeddings(remaining);
+        await writeRedis([...stored].map(([key, embedding]) => ({ key, embedding })));
+        for (const [key, embedding] of stored) found.set(key, embedding);
+    } catch (err) {
+        logger.warn('Embedding cache: lookup failed', { error: err.message });
+    }
+    return found;
+}
+
+/**
+ * Store new vectors in Postgres and (when enabled) Redis.
+ * @param {Array<{ key: string, model: string, dimensions: number, embedding: number[] }>} entries
+ */
+async function storeEmbeddings(entries) {
+    if (entries.length === 0) return;
+    try {
+        await cacheRepo.saveCachedEmbeddings(entries);
+    } catch (err) {
+        logger.warn('Embedding cache: store failed', { error: err.message });
+    }
+    await writeRedis(entries);
+}
+
+export { normalizeText, embeddingCacheKey, lookupEmbeddings, storeEmbeddings };
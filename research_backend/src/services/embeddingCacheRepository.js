@@ -0,0 +1,60 @@
+'use strict';
+
+import { query } from '../db/pool.js';
+import { DatabaseError } from '../utils/errors.js';
+
+// ─────────────────────────────────────────────
+// Embedding cache (embedding_cache)
+// Vectors keyed by a sha256 content hash (see embeddingCache.js for the key).
+// ─────────────────────────────────────────────
+
+/**
+ * Cached vectors for a set of keys; stamps last_used_at of the ones found.
+ * @param {string[]} keys
+ * @returns {Promise<Map<string, number[]>>} key → vector, for the keys that are cached
+ */
+async function getCachedEmbeddings(keys) {
+    if (keys.length === 0) return new Map();
+
+    try {
+        const { rows } = await query(
+            `UPDATE embedding_cache
+       SET last_used_at = NOW()
+       WHERE cache_key = ANY($1::text[])
+       RETURNING cache_key, embedding::text AS embedding`,
+            [keys]
+        );
+        return new Map(rows.map((row) => [row.cache_key, JSON.parse(row.embedding)]));
+    } catch (err) {
+        throw new DatabaseError(`Failed to read embedding cache: ${err.message}`);
+    }
+}
+
+/**
+ * Store vectors in the cache. Keys that are already cached are left as they are.
+ * @param {Array<{ key: string, model: string, dimensions: number, embedding: number[] }>} entries
+ */
+async function saveCachedEmbeddings(entries) {
+    if (entries.length === 0) return;
+
+    try {
+        await query(
+            `INSERT INTO embedding_cache (cache_key, model, dimensions, embedding)
+       SELECT key, model, dimensions, embedding::vector
+       FROM unnest($1::text[], $2::text[], $3::int[], $4::text[]) AS e(key, model, dimensions, embedding)
+       ON CONFLICT (cache_key) DO NOTHING`,
+            [
+                entries.map((e) => e.key),
+                entries.map((e) => e.model),
+                entries.map((e) => e.dimensions),
+                entries.map((e) => `[${e.embedding.join(',')}]`),
+            ]
+        );
+    } catch (err) {
+        throw new DatabaseError(`Failed to write embedding cache: ${err.message}`);
+    }
+}
+
+export { getCachedEmbeddings, saveCachedEmbeddings };
+
+export default { getCachedEmbeddings, saveCachedEmbeddings };
@@ -1,15 +1,11 @@
 'use strict';
 
-import OpenAI from 'openai';
+import { getEmbeddingBackend } from '../embeddings/registry.js';
+import { embeddingCacheKey, lookupEmbeddings, storeEmbeddings } from './embeddingCache.js';
 import config from '../config/index.js';
 import { EmbeddingError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
-const client = new OpenAI({
-    apiKey: config.openRouter.apiKey,
-    baseURL: config.openRouter.baseURL,
-});
-
 /**
  * Build the text to embed for an idea.
  * Concatenates title + description + tags for richer semantic representation.
@@ -23,42 +19,80 @@ function buildIdeaEmbeddingText(idea) {
 }
 
 /**
- * Generate embeddings for an array of texts using OpenAI's embedding model.
- * Handles batching automatically if the input exceeds the model's batch limit.
- *
- * @param {string[]} texts - Array of strings to embed
- * @returns {Promise<number[][]>} - Array of embedding vectors (same order as input)
+ * Model ID of the configured embedding backend (what new vectors are expected to carry).
+ * @returns {string|null} null when the backend cannot be configured (e.g. a missing API key);
+ *   generateEmbeddings then falls back to config.embedding.fallback, whose model it reports
  */
-async function generateEmbeddings(texts) {
-    if (texts.length === 0) return [];
+function getEmbeddingModelId() {
+    try {
+        return getEmbeddingBackend(config.embedding.backend).modelId;
+    } catch (err) {
+        logger.warn('Embedding backend unavailable', { backend: config.embedding.backend, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Zero-pad a vector to the configured dimensions, so vectors of smaller local models fit
+ * the vector(N) columns. Padding does not change cosine similarity between padded vectors.
+ * @private
+ */
+function fitDimensions(vector, dimensions, modelId) {
+    if (vector.length === dimensions) return vector;
+    if (vector.length > dimensions) {
+        throw new Error(`${modelId} returned ${vector.length} dimensions, more than EMBEDDING_DIMENSIONS (${dimensions})`);
+    }
+    return vector.concat(new Array(dimensions - vector.length).fill(0));
+}
 
-    const batchSize = config.embedding.batchSize; // default 100
-    const allEmbeddings = [];
+/**
+ * Embed all texts with one backend: cached vectors are reused (when the backend is cacheable
+ * and EMBEDDING_CACHE is on) and only the misses are sent, in batches of config.embedding.batchSize.
+ * @private
+ */
+async function embedWithBackend(backendName, texts) {
+    let backend;
+    try {
+        backend = getEmbeddingBackend(backendName);
+    } catch (err) {
+        throw new EmbeddingError(`Embedding backend unavailable: ${err.message}`, { backend: backendName });
+    }
+    const { batchSize, dimensions } = config.embedding;
+    const useCache = config.embedding.cache.enabled && backend.cacheable;
 
-    logger.info(`Generating embeddings for ${texts.length} texts (batch size: ${batchSize})`);
+    const keys = useCache ? texts.map((text) => embeddingCacheKey(text, backend.modelId, dimensions)) : [];
+    const cached = useCache ? await lookupEmbeddings([...new Set(keys)]) : new Map();
+    const allEmbeddings = texts.map((_, idx) => (useCache && cached.get(keys[idx])) || null);
+    const missing = allEmbeddings.flatMap((embedding, idx) => (embedding ? [] : [idx]));
 
-    // Split into batches to respect API limits
-    for (let i = 0; i < texts.length; i += batchSize) {
-        const batch = texts.slice(i, i + batchSize);
+    logger.info(`Generating embeddings for ${texts.length} texts`, {
+        backend: backendName,
+        batchSize,
+        cacheHits: texts.length - missing.length,
+        cacheMisses: missing.length,
+    });
+
+    const newEntries = [];
+    for (let i = 0; i < missing.length; i += batchSize) {
+        const batchIdx = missing.slice(i, i + batchSize);
+        const batch = batchIdx.map((idx) => texts[idx]);
         const batchNum = Math.floor(i / batchSize) + 1;
-        const totalBatches = Math.ceil(texts.length / batchSize);
+        const totalBatches = Math.ceil(missing.length / batchSize);
 
         logger.debug(`Embedding batch ${batchNum}/${totalBatches} (${batch.length} texts)`);
 
         try {
-            const response = await client.embeddings.create({
-                model: config.embedding.model,
-                input: batch,
-                dimensions: config.embedding.dimensions,
-                encoding_format: 'float',
+            const vectors = await backend.embed(batch);
+            batchIdx.forEach((idx, pos) => {
+                allEmbeddings[idx] = fitDimensions(vectors[pos], dimensions, backend.modelId);
+                if (useCache) {
+                    newEntries.push({ key: keys[idx], model: backend.modelId, dimensions, embedding: allEmbeddings[idx] });
+                }
             });
-
-            // Sort by index to ensure correct order (API may not guarantee order)
-            const sorted = response.data.sort((a, b) => a.index - b.index);
-            allEmbeddings.push(...sorted.map((d) => d.embedding));
         } catch (err) {
-            logger.error(`Embedding batch ${batchNum} failed`, { error: err.message });
+            logger.error(`Embedding batch ${batchNum} failed`, { backend: backendName, error: err.message });
             throw new EmbeddingError(`Failed to generate embeddings: ${err.message}`, {
+                backend: backendName,
                 batch: batchNum,
                 totalBatches,
                 textsInBatch: batch.length,
@@ -66,8 +100,45 @@ async function generateEmbeddings(texts) {
         }
     }
 
-    logger.info(`Embeddings generated successfully`, { count: allEmbeddings.length });
-    return allEmbeddings;
+    if (useCache) await storeEmbeddings(newEntries);
+
+    return {
+        embeddings: allEmbeddings,
+        model: backend.modelId,
+        cache: { hits: texts.length - missing.length, misses: missing.length },
+    };
+}
+
+/**
+ * Generate embeddings for an array of texts with the configured backend (config.embedding.backend).
+ * Texts already in the embedding cache are not sent to the backend. When the backend fails, all
+ * texts are embedded again with config.embedding.fallback, so one call never mixes vectors of two models.
+ *
+ * @param {string[]} texts - Array of strings to embed
+ * @returns {Promise<{ embeddings: number[][], model: string, cache: { hits: number, misses: number } }>}
+ *   Vectors (same order as input), the model ID that produced them and how many texts the cache answered
+ * @throws {EmbeddingError}
+ */
+async function generateEmbeddings(texts) {
+    if (texts.length === 0) return { embeddings: [], model: getEmbeddingModelId(), cache: { hits: 0, misses: 0 } };
+
+    const { backend, fallback } = config.embedding;
+    let result;
+    try {
+        result = await embedWithBackend(backend, texts);
+    } catch (err) {
+        if (!fallback || fallback === 'none' || fallback === backend) throw err;
+        logger.warn(`Embedding backend "${backend}" failed, using "${fallback}"`, { error: err.message });
+        result = await embedWithBackend(fallback, texts);
+    }
+
+    logger.info('Embeddings generated successfully', {
+        count: result.embeddings.length,
+        model: result.model,
+        cacheHits: result.cache.hits,
+        cacheMisses: result.cache.misses,
+    });
+    return result;
 }
 
 /**
@@ -76,11 +147,12 @@ async function generateEmbeddings(texts) {
  * @returns {Promise<number[]>}
  */
 async function generateSingleEmbedding(text) {
-    const results = await generateEmbeddings([text]);
-    return results[0];
+    const { embeddings } = await generateEmbeddings([text]);
+    return embeddings[0];
 }
 
 export {
+    getEmbeddingModelId,
     generateEmbeddings,
     generateSingleEmbedding,
     buildIdeaEmbeddingText,
@@ -0,0 +1,143 @@
+'use strict';
+
+import { query } from '../db/pool.js';
+import StorageClient from '../clients/storageClient.js';
+import config from '../config/index.js';
+import { extractText } from '../utils/textExtractor.js';
+import { chunkText, bm25Scores } from '../utils/textRanking.js';
+import { CancelledError, DatabaseError, NotFoundError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Project files as grounding context
+// Selected project files are downloaded from the storage service, turned into
+// text, split into passages and ranked against the problem statement (BM25).
+// The best passages go into the research prompt; the session records which
+// files and passages were used.
+// ─────────────────────────────────────────────
+
+const storage = new StorageClient(config.storage);
+
+/**
+ * Load the selected files of a project.
+ * @param {number} projectId
+ * @param {number[]} fileIds - project_files IDs
+ * @returns {Promise<Array<Object>>} Rows in the order requested
+ * @throws {NotFoundError} When a file does not belong to the project
+ */
+async function loadProjectFiles(projectId, fileIds) {
+    let rows;
+    try {
+        ({ rows } = await query(
+            `SELECT id, google_file_id, file_name, mime_type
+       FROM project_files
+       WHERE project_id = $1 AND id = ANY($2::int[])`,
+            [projectId, fileIds]
+        ));
+    } catch (err) {
+        throw new DatabaseError(`Failed to load project files: ${err.message}`);
+    }
+
+    const byId = new Map(rows.map((r) => [r.id, r]));
+    const missing = fileIds.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+        throw new NotFoundError(`Files not found in project ${projectId}: ${missing.join(', ')}`);
+    }
+    return fileIds.map((id) => byId.get(id));
+}
+
+/** Collapse the whitespace noise PDF/DOCX extraction leaves behind */
+function normalizeText(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Pick the highest-scoring passages that fit the prompt budget.
+ * @param {Array<Object>} chunks - Chunks with `score`
+ * @returns {Array<Object>}
+ */
+function selectPassages(chunks) {
+    const { maxPassages, maxContextChars } = config.grounding;
+    const ranked = chunks.filter((c) => c.score > 0).sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let chars = 0;
+    for (const chunk of ranked) {
+        if (selected.length >= maxPassages) break;
+        if (chars + chunk.text.length > maxContextChars) continue;
+        selected.push(chunk);
+        chars += chunk.text.length;
+    }
+    return selected;
+}
+
+/**
+ * Build grounding context for a research prompt from project files.
+ * Files that cannot be downloaded or read are skipped and reported in `sources`.
+ *
+ * @param {string} problemStatement
+ * @param {{ projectId: number, fileIds: number[] }} grounding
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts downloads when the run is cancelled
+ * @returns {Promise<{ passages: Array<Object>, sources: Array<Object> }>}
+ *   passages: { fileId, fileName, text, score } best first (for buildResearchPrompt)
+ *   sources: { fileId, fileName, status: 'used'|'unused'|'failed', chunks, passages: [{ chunk, start, end, score }], error? }
+ */
+async function buildGroundingContext(problemStatement, { projectId, fileIds }, options = {}) {
+    const files = await loadProjectFiles(projectId, fileIds);
+    const { chunkChars, chunkOverlap } = config.grounding;
+
+    const chunks = [];
+    const sources = [];
+    // One file at a time keeps memory bounded for large uploads
+    for (const file of files) {
+        const source = { fileId: file.id, fileName: file.file_name, status: 'unused', chunks: 0, passages: [] };
+        sources.push(source);
+        try {
+            const { buffer, mimeType } = await storage.download(file.google_file_id, { signal: options.signal });
+            const text = normalizeText(await extractText(buffer, {
+                fileName: file.file_name,
+                mimeType: file.mime_type || mimeType,
+            }));
+            const fileChunks = chunkText(text, { chunkChars, overlap: chunkOverlap });
+            fileChunks.forEach((c, idx) => chunks.push({ ...c, chunk: idx, source }));
+            source.chunks = fileChunks.length;
+        } catch (err) {
+            if (options.signal?.aborted) throw new CancelledError();
+            logger.warn('Skipping project file for grounding', { projectId, fileId: file.id, error: err.message });
+            source.status = 'failed';
+            source.error = err.message;
+        }
+    }
+
+    const scores = bm25Scores(problemStatement, chunks.map((c) => c.text));
+    const selected = selectPassages(chunks.map((c, idx) => ({ ...c, score: Math.round(scores[idx] * 1000) / 1000 })));
+
+    for (const c of selected) {
+        c.source.status = 'used';
+        c.source.passages.push({ chunk: c.chunk, start: c.start, end: c.end, score: c.score });
+    }
+
+    logger.info('Grounding context built', {
+        projectId,
+        files: files.length,
+        chunks: chunks.length,
+        passages: selected.length,
+    });
+
+    return {
+        passages: selected.map((c) => ({
+            fileId: c.source.fileId,
+            fileName: c.source.fileName,
+            text: c.text,
+            score: c.score,
+        })),
+        sources,
+    };
+}
+
+export { buildGroundingContext, loadProjectFiles };
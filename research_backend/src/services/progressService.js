@@ -0,0 +1,139 @@
+'use strict';
+
+import { EventEmitter } from 'events';
+import config from '../config/index.js';
+import { createRedisClient } from '../utils/redis.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Research progress events
+// Published to Redis so the API process can stream events emitted by the
+// queue worker. Each session keeps a short event history so that clients
+// connecting mid-run can replay what they missed.
+// ─────────────────────────────────────────────
+
+const CHANNEL_PREFIX = 'research:progress:';
+const TERMINAL_STAGES = new Set(['completed', 'failed', 'cancelled']);
+
+const channelFor = (sessionId) => `${CHANNEL_PREFIX}${sessionId}`;
+const historyKeyFor = (sessionId) => `${CHANNEL_PREFIX}${sessionId}:history`;
+const seqKeyFor = (sessionId) => `${CHANNEL_PREFIX}${sessionId}:seq`;
+
+let publisher = null;
+let subscriber = null;
+const listeners = new EventEmitter();
+listeners.setMaxListeners(0);
+const channelRefs = new Map(); // channel → subscriber count
+
+function getPublisher() {
+    if (!publisher) publisher = createRedisClient('progress publisher');
+    return publisher;
+}
+
+function getSubscriber() {
+    if (!subscriber) {
+        subscriber = createRedisClient('progress subscriber');
+        subscriber.on('message', (channel, message) => {
+            try {
+                listeners.emit(channel, JSON.parse(message));
+            } catch (err) {
+                logger.warn('Dropping malformed progress event', { channel, error: err.message });
+            }
+        });
+    }
+    return subscriber;
+}
+
+/**
+ * Whether a progress stage ends the event stream for a session.
+ * @param {string} stage
+ * @returns {boolean}
+ */
+function isTerminalStage(stage) {
+    return TERMINAL_STAGES.has(stage);
+}
+
+/**
+ * Publish a progress event for a session.
+ * Never throws — progress reporting must not break the pipeline.
+ *
+ * @param {string} sessionId
+ * @param {{ stage: string, progress?: number, [key: string]: any }} event
+ * @returns {Promise<Object|null>} The published event (with seq + timestamp), or null on failure
+ */
+async function publishProgress(sessionId, event) {
+    if (!sessionId) return null;
+
+    try {
+        const redis = getPublisher();
+        const seq = await redis.incr(seqKeyFor(sessionId));
+        const payload = {
+            ...event,
+            sessionId,
+            seq,
+            timestamp: new Date().toISOString(),
+        };
+        const serialized = JSON.stringify(payload);
+        const ttl = config.progress.historyTtlSeconds;
+
+        await redis
+            .multi()
+            .rpush(historyKeyFor(sessionId), serialized)
+            .expire(historyKeyFor(sessionId), ttl)
+            .expire(seqKeyFor(sessionId), ttl)
+            .publish(channelFor(sessionId), serialized)
+            .exec();
+
+        logger.debug('Progress event published', { sessionId, stage: event.stage, seq });
+        return payload;
+    } catch (err) {
+        logger.warn('Failed to publish progress event', { sessionId, stage: event.stage, error: err.message });
+        return null;
+    }
+}
+
+/**
+ * Get all progress events recorded for a session (oldest first).
+ * @param {string} sessionId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getProgressHistory(sessionId) {
+    const raw = await getPublisher().lrange(historyKeyFor(sessionId), 0, -1);
+    return raw.map((item) => JSON.parse(item));
+}
+
+/**
+ * Subscribe to live progress events for a session.
+ *
+ * @param {string} sessionId
+ * @param {function(Object): void} handler
+ * @returns {Promise<function(): Promise<void>>} Unsubscribe function
+ */
+async function subscribeProgress(sessionId, handler) {
+    const channel = channelFor(sessionId);
+    const redis = getSubscriber();
+
+    listeners.on(channel, handler);
+    const refs = channelRefs.get(channel) || 0;
+    channelRefs.set(channel, refs + 1);
+    if (refs === 0) {
+        await redis.subscribe(channel);
+    }
+
+    return async function unsubscribe() {
+        listeners.off(channel, handler);
+        const remaining = (channelRefs.get(channel) || 1) - 1;
+        if (remaining <= 0) {
+            channelRefs.delete(channel);
+            try {
+                await redis.unsubscribe(channel);
+            } catch (err) {
+                logger.warn('Failed to unsubscribe from progress channel', { channel, error: err.message });
+            }
+        } else {
+            channelRefs.set(channel, remaining);
+        }
+    };
+}
+
+export { publishProgress, getProgressHistory, subscribeProgress, isTerminalStage };
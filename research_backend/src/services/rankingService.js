@@ -0,0 +1,200 @@
+'use strict';
+
+import { buildJudgmentPrompt } from '../utils/promptBuilder.js';
+import { executeJudgeProvider } from '../providers/index.js';
+import repo from './sessionRepository.js';
+import config from '../config/index.js';
+import { AppError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Pairwise LLM-judge tournament
+// Ranks a session's unique ideas in Swiss-style rounds: each round pairs ideas
+// of similar Elo rating that have not met yet, and a judge model picks the
+// stronger idea of every pair. Everyone starts at the same rating, so the
+// first round is paired at random.
+// ─────────────────────────────────────────────
+
+const pairKey = (a, b) => (a < b ? `${a}|${b}` : `${b}|${a}`);
+
+/**
+ * Elo update for one match.
+ * @param {number} ratingA
+ * @param {number} ratingB
+ * @param {number} scoreA - 1 (A won), 0.5 (tie) or 0 (B won)
+ * @param {number} kFactor
+ * @returns {[number, number]} New ratings of A and B
+ */
+function updateElo(ratingA, ratingB, scoreA, kFactor) {
+    const expectedA = 1 / (1 + 10 ** ((ratingB - ratingA) / 400));
+    const delta = kFactor * (scoreA - expectedA);
+    return [ratingA + delta, ratingB - delta];
+}
+
+/** Fisher–Yates shuffled copy */
+function shuffle(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Pair players for one round: highest rated first, each against the next
+ * player it has not met yet (a rematch only when it has met everyone left).
+ * With an odd count the last player sits the round out.
+ * @param {Array<{ id: string, rating: number }>} players
+ * @param {Set<string>} played - pairKey of every match so far
+ * @returns {Array<[Object, Object]>}
+ */
+function pairRound(players, played) {
+    // Stable sort: equal ratings keep the incoming (shuffled) order
+    const pool = [...players].sort((a, b) => b.rating - a.rating);
+    const pairs = [];
+    while (pool.length > 1) {
+        const player = pool.shift();
+        const idx = pool.findIndex((other) => !played.has(pairKey(player.id, other.id)));
+        const [opponent] = pool.splice(Math.max(idx, 0), 1);
+        pairs.push([player, opponent]);
+    }
+    return pairs;
+}
+
+/**
+ * Have the judge decide one match. The presentation order is randomized to
+ * cancel out position bias; the judgment records the order the judge saw.
+ * @returns {Promise<Object>} { ideaAId, ideaBId, winnerId (null = tie), reasoning, costUsd }
+ */
+async function judgeMatch(problemStatement, playerA, playerB, judgeModel) {
+    const [first, second] = Math.random() < 0.5 ? [playerA, playerB] : [playerB, playerA];
+    const { system, user } = buildJudgmentPrompt(problemStatement, first.idea, second.idea);
+    const result = await executeJudgeProvider(judgeModel, system, user, {
+        maxTokens: config.ranking.maxTokens,
+        temperature: 0,
+    });
+
+    const winners = { A: first.id, B: second.id, tie: null };
+    return {
+        ideaAId: first.id,
+        ideaBId: second.id,
+        winnerId: winners[result.winner],
+        reasoning: result.reasoning,
+        costUsd: result.costUsd,
+    };
+}
+
+/**
+ * Run a ranking tournament over a session's unique ideas and store the final
+ * ranks, Elo ratings and every judgment. Re-running replaces the previous ranking.
+ * Matches the judge fails to decide are skipped.
+ *
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {string} [options.judgeModel] - Defaults to RANKING_JUDGE_MODEL
+ * @param {number} [options.rounds] - Swiss rounds (capped at ideas - 1); defaults to RANKING_ROUNDS
+ * @param {function(Object): any} [options.onProgress] - Called with { stage: 'ranking', progress, completed, total }
+ * @returns {Promise<Object>} { sessionId, judgeModel, rounds, matches, failedMatches, costUsd, standings }
+ * @throws {ValidationError} When the session has fewer than two unique ideas
+ * @throws {AppError} RANKING_FAILED when the judge decided no match at all
+ */
+async function rankSessionIdeas(sessionId, options = {}) {
+    const judgeModel = options.judgeModel || config.ranking.judgeModel;
+    const { kFactor, initialRating, concurrency } = config.ranking;
+
+    const session = await repo.getSessionById(sessionId);
+    const ideas = await repo.getSessionIdeas(sessionId, true);
+    if (ideas.length < 2) {
+        throw new ValidationError('Ranking needs a session with at least two unique ideas', { uniqueIdeas: ideas.length });
+    }
+
+    const rounds = Math.min(options.rounds || config.ranking.rounds, ideas.length - 1);
+    const totalMatches = rounds * Math.floor(ideas.length / 2);
+    logger.info('Ranking tournament started', { sessionId, judgeModel, ideas: ideas.length, rounds, totalMatches });
+
+    // In getSessionIdeas order (confidence), which breaks rating ties at the end
+    const players = ideas.map((idea) => ({ id: idea.id, idea, rating: initialRating, wins: 0, losses: 0, ties: 0 }));
+    const played = new Set();
+    const judgments = [];
+    let failedMatches = 0;
+    let costUsd = 0;
+
+    for (let round = 1; round <= rounds; round++) {
+        const pairs = pairRound(round === 1 ? shuffle(players) : players, played);
+
+        for (let i = 0; i < pairs.length; i += concurrency) {
+            const batch = pairs.slice(i, i + concurrency);
+            const outcomes = await Promise.allSettled(
+                batch.map(([a, b]) => judgeMatch(session.problem_statement, a, b, judgeModel))
+            );
+
+            outcomes.forEach((outcome, idx) => {
+                const [a, b] = batch[idx];
+                played.add(pairKey(a.id, b.id));
+
+                if (outcome.status === 'rejected') {
+                    failedMatches++;
+                    costUsd += outcome.reason.costUsd || 0;
+                    logger.warn(`Judge failed on a match: ${outcome.reason.message}`, { sessionId, round });
+                    return;
+                }
+
+                const match = outcome.value;
+                costUsd += match.costUsd || 0;
+                const scoreA = match.winnerId === null ? 0.5 : Number(match.winnerId === a.id);
+                [a.rating, b.rating] = updateElo(a.rating, b.rating, scoreA, kFactor);
+                if (scoreA === 0.5) {
+                    a.ties++;
+                    b.ties++;
+                } else {
+                    const [winner, loser] = scoreA === 1 ? [a, b] : [b, a];
+                    winner.wins++;
+                    loser.losses++;
+                }
+                judgments.push({ round, ...match });
+            });
+
+            const completed = judgments.length + failedMatches;
+            options.onProgress?.({
+                stage: 'ranking',
+                progress: Math.round((completed / totalMatches) * 95),
+                completed,
+                total: totalMatches,
+            });
+        }
+    }
+
+    if (judgments.length === 0) {
+        throw new AppError(`Ranking failed: ${judgeModel} did not decide any match`, 502, 'RANKING_FAILED');
+    }
+
+    const standings = [...players]
+        .sort((a, b) => b.rating - a.rating)
+        .map((p, idx) => ({
+            ideaId: p.id,
+            title: p.idea.title,
+            rank: idx + 1,
+            rating: Math.round(p.rating * 100) / 100,
+            wins: p.wins,
+            losses: p.losses,
+            ties: p.ties,
+        }));
+
+    await repo.saveRanking(sessionId, judgeModel, standings, judgments);
+
+    const summary = {
+        judgeModel,
+        rounds,
+        matches: judgments.length,
+        failedMatches,
+        costUsd: Math.round(costUsd * 1e6) / 1e6,
+        rankedAt: new Date().toISOString(),
+    };
+    await repo.updateSessionMetadata(sessionId, { ranking: summary });
+
+    logger.info('Ranking tournament completed', { sessionId, ...summary });
+    return { sessionId, ...summary, standings };
+}
+
+export { rankSessionIdeas };
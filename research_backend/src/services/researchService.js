@@ -1,14 +1,242 @@
 'use strict';
 
-import { buildResearchPrompt, buildDeepeningPrompt } from '../utils/promptBuilder.js';
+import { buildResearchPrompt, buildMultiModelPrompt, buildDeepeningPrompt } from '../utils/promptBuilder.js';
 import { executeAllProviders, partitionProviderResults, executeDeepeningProvider } from '../providers/index.js';
 import { generateEmbeddings, buildIdeaEmbeddingText } from './embeddingService.js';
 import { runSimilarityPipeline } from './similarityService.js';
 import repo from './sessionRepository.js';
+import synthesisRepo from './synthesisRepository.js';
+import templateRepo from './templateRepository.js';
+import { publishProgress } from './progressService.js';
+import { registerRun, unregisterRun, throwIfCancelled } from './cancellationService.js';
+import { buildGroundingContext } from './groundingService.js';
+import { runCritiqueRound } from './critiqueService.js';
 import config from '../config/index.js';
-import { AppError } from '../utils/errors.js';
+import { resolveModelSelection } from '../config/models.js';
+import { resolveExecutionProfile } from '../config/profiles.js';
+import { CostBudget, estimateCallCost, summarizeCosts } from '../utils/costEstimator.js';
+import { AppError, CancelledError, NotFoundError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Session metadata entry identifying the prompt template version used.
+ * @param {Object} template - Rendered template from loadRenderedTemplate
+ * @param {Object} [variables]
+ * @returns {{ id: string, name: string, version: number, variables: Object }}
+ */
+function toTemplateRef(template, variables = {}) {
+    return { id: template.id, name: template.name, version: template.version, variables };
+}
+
+/**
+ * Save a successful provider result (plus any failed repair attempts before it).
+ * @param {string} sessionId
+ * @param {Object} provResult - From partitionProviderResults
+ * @returns {Promise<string>} llmResponseId
+ */
+async function saveProviderResult(sessionId, provResult) {
+    await repo.saveLlmRepairAttempts(sessionId, provResult.provider, provResult.repairAttempts);
+    return repo.saveLlmResponse(sessionId, provResult);
+}
+
+/**
+ * Save failed providers to llm_responses, including every schema repair
+ * attempt made before giving up.
+ * @param {string} sessionId
+ * @param {Array<Object>} failures - From partitionProviderResults
+ */
+async function saveProviderFailures(sessionId, failures) {
+    for (const failure of failures) {
+        await repo.saveLlmRepairAttempts(sessionId, failure.provider, failure.repairAttempts);
+        await repo.saveLlmFailure(sessionId, failure.provider, failure.error, {
+            rawResponse: failure.rawResponse,
+            validationErrors: failure.validationErrors,
+        });
+    }
+}
+
+/**
+ * Build a progress reporter bound to a session.
+ * Every event is published for SSE subscribers and forwarded to the caller's
+ * onProgress hook (the queue worker uses it to update BullMQ job progress).
+ *
+ * @param {string} sessionId
+ * @param {function(Object): any} [onProgress]
+ * @returns {function(string, number, Object=): Promise<Object|null>}
+ */
+function createProgressReporter(sessionId, onProgress) {
+    return (stage, progress, data = {}) => {
+        const event = { stage, progress, ...data };
+        if (onProgress) {
+            Promise.resolve()
+                .then(() => onProgress(event))
+                .catch((err) => logger.warn('onProgress hook failed', { sessionId, stage, error: err.message }));
+        }
+        return publishProgress(sessionId, event);
+    };
+}
+
+/**
+ * Build provider lifecycle hooks that report per-model progress between two percentages.
+ *
+ * @param {function} report - Reporter from createProgressReporter
+ * @param {number} total - Number of models being executed
+ * @param {number} from - Progress when the first model starts
+ * @param {number} to - Progress when the last model settles
+ * @returns {{ onStart: function(string): void, onSettled: function(Object): void }}
+ */
+function createProviderProgressHooks(report, total, from, to) {
+    let settled = 0;
+    return {
+        onStart: (model) => {
+            report('provider_started', from, { model, total });
+        },
+        onSettled: (item) => {
+            settled++;
+            const succeeded = item.status === 'fulfilled';
+            report('provider_finished', Math.round(from + ((to - from) * settled) / Math.max(total, 1)), {
+                model: item.model,
+                status: succeeded ? 'success' : 'failed',
+                latencyMs: succeeded ? item.result?.latencyMs : undefined,
+                error: succeeded ? undefined : item.error?.message,
+                completed: settled,
+                total,
+            });
+        },
+    };
+}
+
+/**
+ * Fill in client defaults so a session records exactly how each model was called.
+ * @param {Array<{ id: string, maxTokens?: number, temperature?: number }>} models
+ * @returns {Array<{ id: string, maxTokens: number, temperature: number }>}
+ */
+function withEffectiveModelOptions(models) {
+    return models.map((m) => ({
+        id: m.id,
+        maxTokens: m.maxTokens || config.openRouter.maxTokens,
+        temperature: m.temperature ?? config.openRouter.temperature,
+    }));
+}
+
+/**
+ * Execution profile and models for a research pipeline run. A per-request model
+ * selection wins over the profile's models; either is capped at the profile's maxModels.
+ * @param {Object} metadata - Pipeline metadata (`profile`, `models`; `fast: true` is
+ *   shorthand for the fast profile)
+ * @returns {{ profile: Object, models: Array<Object> }}
+ * @throws {ValidationError} On an unknown profile name
+ */
+function selectPipelineModels(metadata = {}) {
+    const profile = resolveExecutionProfile(metadata.profile || (metadata.fast ? 'fast' : undefined));
+
+    let models;
+    if (metadata.models) {
+        models = resolveModelSelection(metadata.models);
+    } else if (profile.models === 'default') {
+        models = [{ id: config.openRouter.defaultModel }];
+    } else if (profile.models === 'configured') {
+        models = resolveModelSelection();
+    } else {
+        models = resolveModelSelection(profile.models);
+    }
+
+    return { profile, models: profile.maxModels ? models.slice(0, profile.maxModels) : models };
+}
+
+/**
+ * Session metadata entry recording the execution profile a run used.
+ * @param {Object} profile - From resolveExecutionProfile
+ * @returns {Object}
+ */
+function toProfileRef(profile) {
+    const { name, maxRetries, timeoutMs, embeddings, clustering, similarity } = profile;
+    return { name, maxRetries, timeoutMs, embeddings, clustering, similarity };
+}
+
+/**
+ * Pre-flight cost estimate for a set of model calls sharing one prompt.
+ * @param {Array<{ id: string, maxTokens?: number }>} models
+ * @param {{ system: string, user: string }} prompt
+ * @param {number} [maxCostUsd] - Budget to check the worst case against
+ * @returns {Object} { models: [...per-model estimates], minCostUsd, maxCostUsd, budget }
+ */
+function estimateModelCosts(models, prompt, maxCostUsd) {
+    const perModel = models.map((m) => estimateCallCost(m.id, {
+        systemPrompt: prompt.system,
+        userPrompt: prompt.user,
+        maxTokens: m.maxTokens || config.openRouter.maxTokens,
+    }));
+    const total = (field) => Math.round(perModel.reduce((sum, e) => sum + e[field], 0) * 1e6) / 1e6;
+    const worstCase = total('maxCostUsd');
+
+    return {
+        models: perModel,
+        minCostUsd: total('minCostUsd'),
+        maxCostUsd: worstCase,
+        budget: maxCostUsd
+            ? { maxCostUsd, fitsWorstCase: worstCase <= maxCostUsd }
+            : null,
+    };
+}
+
+/**
+ * Estimate what a research pipeline request would cost, without calling any model.
+ * Schema repair re-asks, project file context and the critique round are not included.
+ *
+ * @param {string} problemStatement
+ * @param {Object} [metadata] - Same shape runResearchPipeline receives (`profile`, `models`, `template`,
+ *   `templateVariables`, `maxCostUsd`)
+ * @returns {Promise<Object>} `profile` name plus the fields of estimateModelCosts
+ */
+async function estimateResearchCost(problemStatement, metadata = {}) {
+    const { profile, models } = selectPipelineModels(metadata);
+    const template = metadata.template
+        ? await templateRepo.loadRenderedTemplate(metadata.template, metadata.templateVariables)
+        : null;
+    return {
+        profile: profile.name,
+        ...estimateModelCosts(models, buildResearchPrompt(problemStatement, template), metadata.maxCostUsd),
+    };
+}
+
+/**
+ * Estimate what a multi-model request would cost, without calling any model.
+ * @param {string} input
+ * @param {Object} [options] - Same options runMultiModelResearch receives (`models`, `template`, `maxCostUsd`)
+ * @returns {Promise<Object>} See estimateModelCosts
+ */
+async function estimateMultiModelCost(input, options = {}) {
+    const { modelConfig } = await import('../config/models.js');
+    const models = options.models || modelConfig.research
+        .filter((m) => m.includeByDefault !== false)
+        .map((m) => ({ id: m.id }));
+    return estimateModelCosts(models, buildMultiModelPrompt(input, options.template), options.maxCostUsd);
+}
+
+/**
+ * Record what each provider cost in the session metadata (`metadata.cost`).
+ * @param {string} sessionId
+ * @param {Array<Object>} successes - From partitionProviderResults
+ * @param {Array<Object>} failures - From partitionProviderResults
+ * @param {number} [maxCostUsd]
+ * @param {Array<Object>} [critics] - Critique round results (see runCritiqueRound)
+ * @returns {Promise<Object>} The cost record (see summarizeCosts)
+ */
+async function recordSessionCost(sessionId, successes, failures, maxCostUsd, critics = []) {
+    const cost = summarizeCosts([
+        ...successes.map((s) => ({ ...s, model: s.provider, status: 'success' })),
+        ...failures.map((f) => ({
+            ...f,
+            model: f.provider,
+            status: f.code === 'BUDGET_EXCEEDED' ? 'skipped' : 'failed',
+        })),
+        ...critics.map((c) => ({ ...c, stage: 'critique' })),
+    ], maxCostUsd);
+    await repo.updateSessionMetadata(sessionId, { cost });
+    return cost;
+}
+
 /**
  * Full research pipeline orchestrator.
  * Called by both the sync endpoint and the BullMQ worker.
@@ -17,16 +245,29 @@ import logger from '../utils/logger.js';
  *  1. Create session in DB
  *  2. Call all LLM providers in parallel
  *  3. Parse + validate each response
- *  4. Batch embed all ideas
- *  5. Run similarity + clustering + dedup
+ *  4. Batch embed all ideas (when the execution profile embeds)
+ *  5. Run similarity + clustering + dedup (when the execution profile clusters)
  *  6. Persist everything to DB
  *  7. Return structured result
  *
+ * Progress events are published along the way:
+ *  started → grounding_done (with project files) → provider_started / provider_finished (per model) → embeddings_done
+ *  → clustering_done → persisted → critique_done (with `critique`) → completed | failed | cancelled
+ *
  * @param {string} problemStatement
- * @param {Object} metadata
+ * @param {Object} metadata - May carry `profile` (execution profile name, see config/profiles.js; recorded
+ *   in `metadata.profile`), `models` (per-request selection, see resolveModelSelection)
+ *   and `template` ({ id, version }) plus `templateVariables` to build the prompt from a stored template.
+ *   `maxCostUsd` caps what the provider calls may spend; the per-model cost is recorded in `metadata.cost`.
+ *   `grounding` ({ projectId, fileIds }) adds ranked project file passages to the prompt; the files and
+ *   passages used are recorded in `metadata.grounding.sources`.
+ *   `critique` (default: CRITIQUE_ROUND_ENABLED) adds a round after generation where each model critiques
+ *   the other models' unique ideas (nothing to critique when a single model ran)
+ * @param {Object} [options]
+ * @param {function(Object): any} [options.onProgress] - Called with every progress event
  * @returns {Promise<Object>}
  */
-async function runResearchPipeline(problemStatement, metadata = {}) {
+async function runResearchPipeline(problemStatement, metadata = {}, options = {}) {
     // ── Step 1: Create or reuse session ─────────────────────────────────────
     let session;
     if (metadata && metadata.sessionId) {
@@ -37,48 +278,70 @@ async function runResearchPipeline(problemStatement, metadata = {}) {
     const sessionId = session.id;
     logger.info('Research pipeline started', { sessionId, problemLength: problemStatement.length });
 
-    await repo.updateSessionStatus(sessionId, 'processing');
+    const report = createProgressReporter(sessionId, options.onProgress);
 
-    const fastMode = process.env.TEMP_FAST_MODE === 'true' || !!metadata.fast;
-    if (fastMode) {
-        logger.info('FAST_MODE enabled: calling default model only and skipping embeddings/clustering', { sessionId });
+    // Cancel requests (from any process) abort this controller
+    const run = await registerRun(sessionId);
+    const { signal } = run;
+    if (session.status === 'cancelled' || signal.aborted) {
+        unregisterRun(sessionId, run);
+        logger.info('Session cancelled before the run started', { sessionId });
+        throw new CancelledError();
+    }
 
-        const { system, user } = buildResearchPrompt(problemStatement);
-        const settledResults = await executeAllProviders(system, user);
-        const { successes, failures } = partitionProviderResults(settledResults);
+    await repo.updateSessionStatus(sessionId, 'processing');
+    await report('started', 5);
 
-        if (successes.length === 0) {
-            await repo.updateSessionStatus(sessionId, 'failed');
-            throw new AppError('Model execution failed in fast mode', 502, 'MODEL_FAILED', failures);
+    try {
+        const { profile, models } = selectPipelineModels(metadata);
+        // Optional spending cap; models whose worst-case cost does not fit are skipped
+        const budget = metadata.maxCostUsd ? new CostBudget(metadata.maxCostUsd) : undefined;
+
+        const template = metadata.template
+            ? await templateRepo.loadRenderedTemplate(metadata.template, metadata.templateVariables)
+            : null;
+        const categories = template?.categories;
+
+        // Project files selected as context: rank their passages against the problem statement
+        const grounding = metadata.grounding
+            ? await buildGroundingContext(problemStatement, metadata.grounding, { signal })
+            : null;
+        if (grounding) {
+            await report('grounding_done', 8, { passages: grounding.passages.length });
         }
 
-        const provResult = successes[0];
-        await repo.saveLlmResponse(sessionId, provResult);
-        await repo.updateSessionStatus(sessionId, 'completed');
-
-        const uniqueIdeas = provResult.ideas || [];
-
-        return {
-            sessionId,
-            status: 'completed',
-            summary: {
-                totalIdeasGenerated: uniqueIdeas.length,
-                uniqueIdeasReturned: uniqueIdeas.length,
-                duplicatesRemoved: 0,
-                clustersFound: 0,
-                providersSucceeded: 1,
-                providersFailed: 0,
-            },
-            uniqueIdeas,
-            providerStatus: [{ provider: provResult.provider, status: 'success', latencyMs: provResult.latencyMs }],
-        };
-    }
+        // Record the profile, exact model set, template version and context sources so results stay reproducible
+        await repo.updateSessionMetadata(sessionId, {
+            profile: toProfileRef(profile),
+            models: withEffectiveModelOptions(models),
+            ...(template && { template: toTemplateRef(template, metadata.templateVariables) }),
+            ...(grounding && {
+                grounding: { ...metadata.grounding, sources: grounding.sources },
+            }),
+        });
 
-    try {
         // ── Step 2: Build prompt + call all providers in parallel ───────────────
-        const { system, user } = buildResearchPrompt(problemStatement);
-        const settledResults = await executeAllProviders(system, user);
+        const { system, user } = buildResearchPrompt(problemStatement, template, grounding?.passages);
+        const settledResults = await executeAllProviders(system, user, {
+            models,
+            categories,
+            signal,
+            budget,
+            maxRetries: profile.maxRetries,
+            timeoutMs: profile.timeoutMs,
+            hooks: createProviderProgressHooks(report, models.length, 10, 60),
+        });
         const { successes, failures } = partitionProviderResults(settledResults);
+        await saveProviderFailures(sessionId, failures);
+        let cost = await recordSessionCost(sessionId, successes, failures, metadata.maxCostUsd);
+
+        // Cancelled mid-run: keep the provider results that already arrived
+        if (signal.aborted) {
+            for (const provResult of successes) {
+                await saveProviderResult(sessionId, provResult);
+            }
+            throw new CancelledError();
+        }
 
         if (successes.length === 0) {
             await repo.updateSessionStatus(sessionId, 'failed');
@@ -91,30 +354,54 @@ async function runResearchPipeline(problemStatement, metadata = {}) {
         const allIdeas = []; // Flat list: [{ idea fields, provider, llmResponseId }]
 
         for (const provResult of successes) {
-            const llmResponseId = await repo.saveLlmResponse(sessionId, provResult);
+            const llmResponseId = await saveProviderResult(sessionId, provResult);
             for (const idea of provResult.ideas) {
                 allIdeas.push({ ...idea, provider: provResult.provider, _llmResponseId: llmResponseId });
             }
         }
 
-        for (const failure of failures) {
-            await repo.saveLlmFailure(sessionId, failure.provider, failure.error);
-        }
-
         logger.info(`Total raw ideas collected: ${allIdeas.length}`, { sessionId });
 
         // ── Step 4: Generate embeddings in ONE batch call ───────────────────────
-        const embeddingTexts = allIdeas.map(buildIdeaEmbeddingText);
-        const embeddings = await generateEmbeddings(embeddingTexts);
-
-        // Attach embeddings to ideas
-        const ideasWithEmbeddings = allIdeas.map((idea, idx) => ({
-            ...idea,
-            embedding: embeddings[idx],
-        }));
+        let ideasWithEmbeddings = allIdeas;
+        let embeddingModel = null;
+        let embeddingCache = null;
+        if (profile.embeddings) {
+            const embeddingTexts = allIdeas.map(buildIdeaEmbeddingText);
+            const { embeddings, model, cache } = await generateEmbeddings(embeddingTexts);
+            embeddingModel = model;
+            embeddingCache = cache;
+
+            // Attach embeddings (and the model that produced them) to ideas
+            ideasWithEmbeddings = allIdeas.map((idea, idx) => ({
+                ...idea,
+                embedding: embeddings[idx],
+                embeddingModel,
+            }));
+            throwIfCancelled(signal);
+            await report('embeddings_done', 75, { count: embeddings.length, model: embeddingModel, cache });
+        }
 
         // ── Step 5: Similarity + clustering + deduplication ─────────────────────
-        const { enrichedIdeas, clusterIds, summary } = runSimilarityPipeline(ideasWithEmbeddings);
+        let enrichedIdeas;
+        let clusterIds;
+        let summary;
+        if (profile.embeddings && profile.clustering) {
+            ({ enrichedIdeas, clusterIds, summary } = runSimilarityPipeline(ideasWithEmbeddings, profile.similarity));
+            await report('clustering_done', 85, { clusters: summary.clusters, duplicates: summary.duplicates });
+        } else {
+            // Every idea is kept as its own unique, unclustered idea
+            enrichedIdeas = ideasWithEmbeddings.map((idea) => ({
+                ...idea,
+                _isDuplicate: false,
+                _duplicateOfIdx: null,
+                _similarityToDuplicate: null,
+            }));
+            clusterIds = enrichedIdeas.map(() => null);
+            summary = { totalIdeas: enrichedIdeas.length, uniqueIdeas: enrichedIdeas.length, duplicates: 0, clusters: 0 };
+        }
+
+        throwIfCancelled(signal);
 
         // ── Step 6: Persist ideas to DB ─────────────────────────────────────────
         // Group by provider/llmResponseId for bulk insert
@@ -152,49 +439,137 @@ async function runResearchPipeline(problemStatement, metadata = {}) {
         if (dupUpdates.length > 0) {
             await repo.updateDuplicateReferences(dupUpdates);
         }
+        await report('persisted', 95, { ideas: dbIdMap.size });
+
+        // ── Step 8: Optional cross-model critique round ─────────────────────────
+        let critique = null;
+        if ((metadata.critique ?? config.critique.enabled) === true) {
+            critique = await runCritiqueRound(sessionId, problemStatement, {
+                models: models.filter((m) => successes.some((s) => s.provider === m.id)),
+                ideas: await repo.getSessionIdeas(sessionId, true),
+                signal,
+                budget,
+            });
+            throwIfCancelled(signal);
+            cost = await recordSessionCost(sessionId, successes, failures, metadata.maxCostUsd, critique.critics);
+            await report('critique_done', 98, {
+                critics: critique.critics.filter((c) => c.status === 'success').length,
+                critiques: critique.critiquesSaved,
+            });
+        }
 
-        // ── Step 8: Mark session complete ───────────────────────────────────────
+        // ── Step 9: Mark session complete ───────────────────────────────────────
         await repo.updateSessionStatus(sessionId, 'completed');
 
-        // ── Step 9: Fetch final unique ideas for response ───────────────────────
+        // ── Step 10: Fetch final unique ideas for response ──────────────────────
         const uniqueIdeas = await repo.getSessionIdeas(sessionId, true);
 
         const providerStatus = [
-            ...successes.map((s) => ({ provider: s.provider, status: 'success', latencyMs: s.latencyMs })),
-            ...failures.map((f) => ({ provider: f.provider, status: 'failed', error: f.error })),
+            ...successes.map((s) => ({ provider: s.provider, status: 'success', latencyMs: s.latencyMs, costUsd: s.costUsd })),
+            ...failures.map((f) => ({ provider: f.provider, status: 'failed', error: f.error, code: f.code, costUsd: f.costUsd })),
         ];
 
         logger.info('Research pipeline completed', { sessionId, ...summary });
 
+        const pipelineSummary = {
+            profile: profile.name,
+            totalIdeasGenerated: allIdeas.length,
+            uniqueIdeasReturned: uniqueIdeas.length,
+            duplicatesRemoved: summary.duplicates,
+            clustersFound: summary.clusters,
+            embeddingModel,
+            embeddingCache,
+            providersSucceeded: successes.length,
+            providersFailed: failures.length,
+            critiquesRecorded: critique?.critiquesSaved ?? 0,
+            totalCostUsd: cost.totalCostUsd,
+        };
+        await report('completed', 100, { summary: pipelineSummary });
+
         return {
             sessionId,
             status: 'completed',
-            summary: {
-                totalIdeasGenerated: allIdeas.length,
-                uniqueIdeasReturned: uniqueIdeas.length,
-                duplicatesRemoved: summary.duplicates,
-                clustersFound: summary.clusters,
-                providersSucceeded: successes.length,
-                providersFailed: failures.length,
-            },
+            summary: pipelineSummary,
             uniqueIdeas,
             providerStatus,
+            ...(critique && { critique: { critics: critique.critics } }),
+            cost,
         };
     } catch (err) {
+        if (err instanceof CancelledError) {
+            logger.info('Research pipeline cancelled', { sessionId });
+            try {
+                await repo.updateSessionStatus(sessionId, 'cancelled');
+            } catch (dbErr) {
+                logger.error('Failed to update session status to cancelled', { sessionId, error: dbErr.message });
+            }
+            await report('cancelled', 100);
+            throw err;
+        }
+
         // Only update to failed if it's not already handled
-        if (!err.code || err.code !== 'ALL_PROVIDERS_FAILED') {
+        if (err.code !== 'ALL_PROVIDERS_FAILED') {
             try {
                 await repo.updateSessionStatus(sessionId, 'failed');
             } catch (dbErr) {
                 logger.error('Failed to update session status to failed', { sessionId, error: dbErr.message });
             }
         }
+        await report('failed', 100, { error: err.message, code: err.code || 'INTERNAL_ERROR' });
+        throw err;
+    } finally {
+        unregisterRun(sessionId, run);
+    }
+}
+
+/**
+ * Look up an idea by ID among pipeline ideas (ideas) and synthesized ideas (synthesized_ideas),
+ * in the shape a saved idea takes.
+ * @param {string} ideaId
+ * @returns {Promise<Object>} { source: 'pipeline'|'synthesis', id, sessionId, title, description, rationale,
+ *   category, strategicThesis, mechanism, implementationFramework, ideaType, derivedFromModels, supportCount, confidence }
+ * @throws {NotFoundError}
+ */
+async function resolveIdea(ideaId) {
+    try {
+        const idea = await repo.getIdeaById(ideaId);
+        return {
+            source: 'pipeline',
+            id: idea.id,
+            sessionId: idea.session_id,
+            title: idea.title,
+            description: idea.description || '',
+            rationale: idea.rationale,
+            category: idea.category,
+            strategicThesis: idea.rationale || '',
+            mechanism: '',
+            implementationFramework: {},
+            ideaType: idea.category || 'research',
+            derivedFromModels: [idea.provider],
+            supportCount: 1,
+            confidence: idea.confidence_score === null ? null : Number(idea.confidence_score),
+        };
+    } catch (err) {
+        if (!(err instanceof NotFoundError)) throw err;
+    }
+
+    try {
+        const idea = await synthesisRepo.getSynthesizedIdea(ideaId);
+        return {
+            source: 'synthesis',
+            ...idea,
+            rationale: [idea.strategicThesis, idea.mechanism].filter(Boolean).join('\n\n') || null,
+            category: idea.section || idea.ideaType,
+        };
+    } catch (err) {
+        if (err instanceof NotFoundError) throw new NotFoundError(`Idea ${ideaId} not found`);
         throw err;
     }
 }
 
 /**
  * Deepen a specific idea with more detailed analysis using OpenRouter models.
+ * The idea may be a pipeline idea or a synthesized idea of the session.
  *
  * @param {string} sessionId
  * @param {string} ideaId
@@ -206,14 +581,14 @@ async function deepenIdea(sessionId, ideaId, model = config.openRouter.defaultMo
     // Validate session and idea exist
     const [session, idea] = await Promise.all([
         repo.getSessionById(sessionId),
-        repo.getIdeaById(ideaId),
+        resolveIdea(ideaId),
     ]);
 
-    if (idea.session_id !== sessionId) {
+    if (idea.sessionId !== sessionId) {
         throw new AppError('Idea does not belong to this session', 400, 'IDEA_SESSION_MISMATCH');
     }
 
-    logger.info('Deepening idea', { sessionId, ideaId, model, depthLevel });
+    logger.info('Deepening idea', { sessionId, ideaId, source: idea.source, model, depthLevel });
 
     const { system, user } = buildDeepeningPrompt(
         {
@@ -228,7 +603,9 @@ async function deepenIdea(sessionId, ideaId, model = config.openRouter.defaultMo
 
     const deepeningResult = await executeDeepeningProvider(model, system, user);
 
-    const deepeningSessionId = await repo.saveDeepeningSession(sessionId, ideaId, {
+    const synthesized = idea.source === 'synthesis';
+    const deepeningSessionId = await repo.saveDeepeningSession(sessionId, synthesized ? null : ideaId, {
+        synthesizedIdeaId: synthesized ? ideaId : null,
         provider: deepeningResult.provider,
         depthLevel,
         promptUsed: user,
@@ -242,6 +619,7 @@ async function deepenIdea(sessionId, ideaId, model = config.openRouter.defaultMo
     return {
         sessionId,
         ideaId,
+        ideaSource: idea.source,
         deepeningSessionId,
         result: deepeningResult.result,
         model,
@@ -255,34 +633,49 @@ async function deepenIdea(sessionId, ideaId, model = config.openRouter.defaultMo
  * No merging, deduplication, or clustering.
  *
  * @param {string} input - Research input/question
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.models] - Model specs from resolveModelSelection (defaults to all research models)
+ * @param {Object} [options.template] - Rendered prompt template (see loadRenderedTemplate)
+ * @param {Object} [options.templateVariables] - Variables the template was rendered with (recorded in the response)
+ * @param {number} [options.maxCostUsd] - Spending cap; models whose worst-case cost does not fit are skipped
+ * @param {string} [options.sessionId] - Session to publish per-model progress events for (and to cancel by)
+ * @param {function(Object): any} [options.onProgress] - Called with every progress event
  * @returns {Promise<Object>} Structured response with all model outputs
  */
-async function runMultiModelResearch(input) {
+async function runMultiModelResearch(input, options = {}) {
     logger.info('Multi-model research started', { inputLength: input.length });
 
     const { modelConfig } = await import('../config/models.js');
     const OpenRouterClient = await import('../clients/openrouterClient.js').then(m => m.default);
 
-    const models = modelConfig.research.map((m) => m.id);
-    const systemPrompt = 'You are a helpful research assistant. Provide clear, detailed responses.';
-    const userPrompt = input;
+    const models = options.models || modelConfig.research
+        .filter((m) => m.includeByDefault !== false)
+        .map((m) => ({ id: m.id }));
+    const { system: systemPrompt, user: userPrompt } = buildMultiModelPrompt(input, options.template);
 
-    // Initialize client with multi-key support
+    // Adapters (and OpenRouter multi-key rotation) are resolved per model by the registry
     const client = new OpenRouterClient({
-        apiKey: config.openRouter.apiKey,
-        apiKeys: config.openRouter.apiKeys,
-        baseURL: config.openRouter.baseURL,
         maxTokens: config.openRouter.maxTokens,
+        temperature: config.openRouter.temperature,
         timeoutMs: config.openRouter.timeoutMs,
-        modelKeyMap: config.openRouter.modelKeyMap,
     });
 
+    const report = createProgressReporter(options.sessionId, options.onProgress);
+    const hooks = createProviderProgressHooks(report, models.length, 5, 90);
+
+    // Sessions can be cancelled; models that already answered are kept
+    const run = options.sessionId ? await registerRun(options.sessionId) : null;
+    const signal = run?.signal;
+    const budget = options.maxCostUsd ? new CostBudget(options.maxCostUsd) : undefined;
+
     // Execute all models in parallel
-    const promises = models.map(async (model) => {
+    const promises = models.map(async ({ id: model, ...callOptions }) => {
+        hooks.onStart(model);
         try {
-            const result = await client.call(model, systemPrompt, userPrompt, 'raw');
+            const result = await client.call(model, systemPrompt, userPrompt, 'raw', undefined, { ...callOptions, signal, budget });
 
             logger.debug(`Model ${model} completed`, { latencyMs: result.latencyMs });
+            hooks.onSettled({ model, status: 'fulfilled', result });
 
             return {
                 model,
@@ -290,17 +683,26 @@ async function runMultiModelResearch(input) {
                 latencyMs: result.latencyMs,
                 promptTokens: result.promptTokens,
                 completionTokens: result.completionTokens,
+                costUsd: result.costUsd,
             };
         } catch (err) {
             logger.error(`Model ${model} failed`, { error: err.message });
+            hooks.onSettled({ model, status: 'rejected', error: err });
             return {
                 model,
                 error: err.message,
+                code: err.code,
+                costUsd: err.costUsd || 0,
             };
         }
     });
 
-    const modelResults = await Promise.all(promises);
+    let modelResults;
+    try {
+        modelResults = await Promise.all(promises);
+    } finally {
+        if (run) unregisterRun(options.sessionId, run);
+    }
 
     // Format response - preserve raw outputs
     const results = modelResults.map((result) => {
@@ -308,11 +710,13 @@ async function runMultiModelResearch(input) {
             return {
                 model: result.model,
                 error: result.error,
+                costUsd: result.costUsd,
             };
         }
         return {
             model: result.model,
             output: result.output,
+            costUsd: result.costUsd,
         };
     });
 
@@ -320,17 +724,25 @@ async function runMultiModelResearch(input) {
         input,
         results,
         timestamp: new Date().toISOString(),
+        models: withEffectiveModelOptions(models),
+        ...(options.template && { template: toTemplateRef(options.template, options.templateVariables) }),
         modelCount: models.length,
         successCount: results.filter((r) => !r.error).length,
         failureCount: results.filter((r) => r.error).length,
+        cancelled: Boolean(signal?.aborted),
+        cost: summarizeCosts(modelResults.map((r) => ({
+            ...r,
+            status: r.error ? (r.code === 'BUDGET_EXCEEDED' ? 'skipped' : 'failed') : 'success',
+        })), options.maxCostUsd),
     };
 
     logger.info('Multi-model research completed', {
         successCount: response.successCount,
         failureCount: response.failureCount,
+        cancelled: response.cancelled,
     });
 
     return response;
 }
 
-export { runResearchPipeline, deepenIdea, runMultiModelResearch };
+export { runResearchPipeline, resolveIdea, deepenIdea, runMultiModelResearch, estimateResearchCost, estimateMultiModelCost };
@@ -0,0 +1,377 @@
+'use strict';
+
+import { query, withTransaction } from '../db/pool.js';
+import { DatabaseError, NotFoundError } from '../utils/errors.js';
+
+// ─────────────────────────────────────────────
+// Research schedules
+// A schedule reruns one problem statement on a cron expression; `options`
+// holds the research request fields (profile, models, template, budget, ...).
+// Every run is recorded in schedule_runs with its session and digest.
+// ─────────────────────────────────────────────
+
+const SCHEDULE_COLUMNS = `id, name, problem_statement, cron_expression, timezone, enabled, options,
+           last_run_at, created_at, updated_at`;
+
+const RUN_COLUMNS = `id, schedule_id, session_id, job_id, status, total_ideas, new_ideas, digest, error,
+           started_at, completed_at`;
+
+function toSchedule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        problemStatement: row.problem_statement,
+        cronExpression: row.cron_expression,
+        timezone: row.timezone,
+        enabled: row.enabled,
+        options: row.options,
+        lastRunAt: row.last_run_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+function toRun(row) {
+    return {
+        id: row.id,
+        scheduleId: row.schedule_id,
+        sessionId: row.session_id,
+        jobId: row.job_id,
+        status: row.status,
+        totalIdeas: row.total_ideas,
+        newIdeas: row.new_ideas,
+        digest: row.digest,
+        error: row.error,
+        startedAt: row.started_at,
+        completedAt: row.completed_at,
+    };
+}
+
+/** Unique idea rows with their embedding parsed from pgvector's text form (embedding_model names its model) */
+function toIdeaWithEmbedding(row) {
+    return { ...row, embedding: row.embedding ? JSON.parse(row.embedding) : null };
+}
+
+/**
+ * Create a schedule.
+ * @param {Object} data - { name, problemStatement, cronExpression, timezone?, enabled?, options? }
+ * @returns {Promise<Object>}
+ */
+async function createSchedule(data) {
+    try {
+        const { rows } = await query(
+            `INSERT INTO research_schedules (name, problem_statement, cron_expression, timezone, enabled, options)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${SCHEDULE_COLUMNS}`,
+            [
+                data.name,
+                data.problemStatement,
+                data.cronExpression,
+                data.timezone || 'UTC',
+                data.enabled ?? true,
+                JSON.stringify(data.options || {}),
+            ]
+        );
+        return toSchedule(rows[0]);
+    } catch (err) {
+        throw new DatabaseError(`Failed to create schedule: ${err.message}`);
+    }
+}
+
+/**
+ * Get a schedule by ID.
+ * @param {string} scheduleId
+ * @returns {Promise<Object>}
+ */
+async function getSchedule(scheduleId) {
+    try {
+        const { rows } = await query(
+            `SELECT ${SCHEDULE_COLUMNS} FROM research_schedules WHERE id = $1`,
+            [scheduleId]
+        );
+        if (rows.length === 0) throw new NotFoundError(`Schedule ${scheduleId} not found`);
+        return toSchedule(rows[0]);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to get schedule: ${err.message}`);
+    }
+}
+
+/**
+ * List schedules with pagination.
+ * @param {{ limit: number, offset: number, enabled?: boolean }} opts
+ * @returns {Promise<{ schedules: Array, total: number }>}
+ */
+async function listSchedules({ limit = 20, offset = 0, enabled } = {}) {
+    try {
+        const filtered = enabled !== undefined;
+        const [dataResult, countResult] = await Promise.all([
+            query(
+                `SELECT ${SCHEDULE_COLUMNS}
+       FROM research_schedules
+       ${filtered ? 'WHERE enabled = $3' : ''}
+       ORDER BY created_at DESC
+       LIMIT $1 OFFSET $2`,
+                filtered ? [limit, offset, enabled] : [limit, offset]
+            ),
+            query(
+                `SELECT COUNT(*) AS total FROM research_schedules ${filtered ? 'WHERE enabled = $1' : ''}`,
+                filtered ? [enabled] : []
+            ),
+        ]);
+        return {
+            schedules: dataResult.rows.map(toSchedule),
+            total: parseInt(countResult.rows[0].total, 10),
+        };
+    } catch (err) {
+        throw new DatabaseError(`Failed to list schedules: ${err.message}`);
+    }
+}
+
+/**
+ * Update a schedule. Only the fields present in the patch change; `options` is replaced as a whole.
+ * @param {string} scheduleId
+ * @param {Object} patch - Any subset of the createSchedule fields
+ * @returns {Promise<Object>}
+ */
+async function updateSchedule(scheduleId, patch) {
+    const current = await getSchedule(scheduleId);
+    try {
+        const { rows } = await query(
+            `UPDATE research_schedules
+       SET name = $1, problem_statement = $2, cron_expression = $3, timezone = $4, enabled = $5,
+           options = $6, updated_at = NOW()
+       WHERE id = $7
+       RETURNING ${SCHEDULE_COLUMNS}`,
+            [
+                patch.name ?? current.name,
+                patch.problemStatement ?? current.problemStatement,
+                patch.cronExpression ?? current.cronExpression,
+                patch.timezone ?? current.timezone,
+                patch.enabled ?? current.enabled,
+                JSON.stringify(patch.options ?? current.options),
+                scheduleId,
+            ]
+        );
+        return toSchedule(rows[0]);
+    } catch (err) {
+        throw new DatabaseError(`Failed to update schedule: ${err.message}`);
+    }
+}
+
+/**
+ * Delete a schedule and its run history. The sessions it created are kept.
+ * @param {string} scheduleId
+ */
+async function deleteSchedule(scheduleId) {
+    try {
+        const { rowCount } = await query('DELETE FROM research_schedules WHERE id = $1', [scheduleId]);
+        if (rowCount === 0) throw new NotFoundError(`Schedule ${scheduleId} not found`);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to delete schedule: ${err.message}`);
+    }
+}
+
+// ─────────────────────────────────────────────
+// Schedule runs
+// ─────────────────────────────────────────────
+
+/**
+ * Record the start of a scheduled run and stamp the schedule's last_run_at.
+ * @param {string} scheduleId
+ * @param {string} sessionId
+ * @param {string} [jobId]
+ * @returns {Promise<Object>}
+ */
+async function createScheduleRun(scheduleId, sessionId, jobId = null) {
+    try {
+        return await withTransaction(async (client) => {
+            const { rows } = await client.query(
+                `INSERT INTO schedule_runs (schedule_id, session_id, job_id)
+         VALUES ($1, $2, $3)
+         RETURNING ${RUN_COLUMNS}`,
+                [scheduleId, sessionId, jobId]
+            );
+            await client.query(
+                'UPDATE research_schedules SET last_run_at = $1 WHERE id = $2',
+                [rows[0].started_at, scheduleId]
+            );
+            return toRun(rows[0]);
+        });
+    } catch (err) {
+        throw new DatabaseError(`Failed to create schedule run: ${err.message}`);
+    }
+}
+
+/**
+ * Record how a scheduled run ended.
+ * @param {string} runId
+ * @param {{ status: 'completed'|'failed'|'cancelled', totalIdeas?: number, newIdeas?: number,
+ *           digest?: Object, error?: string }} outcome
+ */
+async function finishScheduleRun(runId, { status, totalIdeas = null, newIdeas = null, digest = null, error = null }) {
+    try {
+        await query(
+            `UPDATE schedule_runs
+       SET status = $1, total_ideas = $2, new_ideas = $3, digest = $4, error = $5, completed_at = NOW()
+       WHERE id = $6`,
+            [status, totalIdeas, newIdeas, digest && JSON.stringify(digest), error, runId]
+        );
+    } catch (err) {
+        throw new DatabaseError(`Failed to finish schedule run: ${err.message}`);
+    }
+}
+
+/**
+ * A schedule's runs, newest first. Digests are left out of the list.
+ * @param {string} scheduleId
+ * @param {{ limit: number, offset: number }} opts
+ * @returns {Promise<{ runs: Array, total: number }>}
+ */
+async function listScheduleRuns(scheduleId, { limit = 20, offset = 0 } = {}) {
+    try {
+        const [dataResult, countResult] = await Promise.all([
+            query(
+                `SELECT ${RUN_COLUMNS.replace('digest, ', '')}
+       FROM schedule_runs
+       WHERE schedule_id = $1
+       ORDER BY started_at DESC
+       LIMIT $2 OFFSET $3`,
+                [scheduleId, limit, offset]
+            ),
+            query('SELECT COUNT(*) AS total FROM schedule_runs WHERE schedule_id = $1', [scheduleId]),
+        ]);
+        return {
+            runs: dataResult.rows.map(toRun),
+            total: parseInt(countResult.rows[0].total, 10),
+        };
+    } catch (err) {
+        throw new DatabaseError(`Failed to list schedule runs: ${err.message}`);
+    }
+}
+
+/**
+ * Get one run of a schedule, with its digest.
+ * @param {string} scheduleId
+ * @param {string} runId
+ * @returns {Promise<Object>}
+ */
+async function getScheduleRun(scheduleId, runId) {
+    try {
+        const { rows } = await query(
+            `SELECT ${RUN_COLUMNS} FROM schedule_runs WHERE id = $1 AND schedule_id = $2`,
+            [runId, scheduleId]
+        );
+        if (rows.length === 0) throw new NotFoundError(`Run ${runId} of schedule ${scheduleId} not found`);
+        return toRun(rows[0]);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to get schedule run: ${err.message}`);
+    }
+}
+
+/**
+ * Unique ideas of a session, with embeddings (null when the run did not embed).
+ * @param {string} sessionId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getRunIdeas(sessionId) {
+    try {
+        const { rows } = await query(
+            `SELECT id, session_id, title, description, category, tags, confidence_score,
+              embedding::text AS embedding, embedding_model
+       FROM ideas
+       WHERE session_id = $1 AND is_duplicate = FALSE
+       ORDER BY confidence_score DESC`,
+            [sessionId]
+        );
+        return rows.map(toIdeaWithEmbedding);
+    } catch (err) {
+        throw new DatabaseError(`Failed to get run ideas: ${err.message}`);
+    }
+}
+
+// Sessions of the completed runs of a run's schedule that started before it
+const PREVIOUS_RUN_SESSIONS = `
+    SELECT prev.session_id
+    FROM schedule_runs cur
+    JOIN schedule_runs prev
+      ON prev.schedule_id = cur.schedule_id
+     AND prev.status = 'completed'
+     AND prev.started_at < cur.started_at
+    WHERE cur.id = $1`;
+
+/**
+ * How many earlier completed runs of the same schedule there are, and their unique ideas.
+ * @param {string} runId
+ * @returns {Promise<{ runs: number, ideas: number }>}
+ */
+async function countPreviousRunIdeas(runId) {
+    try {
+        const { rows } = await query(
+            `SELECT COUNT(DISTINCT p.session_id)::int AS runs, COUNT(i.id)::int AS ideas
+       FROM (${PREVIOUS_RUN_SESSIONS}) p
+       LEFT JOIN ideas i ON i.session_id = p.session_id AND i.is_duplicate = FALSE`,
+            [runId]
+        );
+        return rows[0];
+    } catch (err) {
+        throw new DatabaseError(`Failed to count previous run ideas: ${err.message}`);
+    }
+}
+
+/**
+ * The unique idea of an earlier completed run of the same schedule closest to a vector
+ * (HNSW cosine index). Only ideas embedded by the same model are compared.
+ * @param {string} runId
+ * @param {number[]} embedding
+ * @param {string} model - Embedding model of the vector
+ * @returns {Promise<Object|null>} { id, session_id, title, similarity }, or null when there is none
+ */
+async function findClosestPreviousIdea(runId, embedding, model) {
+    try {
+        const { rows } = await query(
+            `SELECT i.id, i.session_id, i.title, 1 - (i.embedding <=> $2::vector) AS similarity
+       FROM ideas i
+       WHERE i.session_id IN (${PREVIOUS_RUN_SESSIONS})
+         AND i.is_duplicate = FALSE AND i.embedding IS NOT NULL AND i.embedding_model = $3
+       ORDER BY i.embedding <=> $2::vector
+       LIMIT 1`,
+            [runId, `[${embedding.join(',')}]`, model]
+        );
+        return rows[0] ? { ...rows[0], similarity: Number(rows[0].similarity) } : null;
+    } catch (err) {
+        throw new DatabaseError(`Failed to find closest previous idea: ${err.message}`);
+    }
+}
+
+export {
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule,
+    createScheduleRun,
+    finishScheduleRun,
+    listScheduleRuns,
+    getScheduleRun,
+    getRunIdeas,
+    countPreviousRunIdeas,
+    findClosestPreviousIdea,
+};
+
+export default {
+    createSchedule,
+    getSchedule,
+    listSchedules,
+    updateSchedule,
+    deleteSchedule,
+    createScheduleRun,
+    finishScheduleRun,
+    listScheduleRuns,
+    getScheduleRun,
+    getRunIdeas,
+    countPreviousRunIdeas,
+    findClosestPreviousIdea,
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+import cronParser from 'cron-parser';
+import scheduleRepo from './scheduleRepository.js';
+import repo from './sessionRepository.js';
+import { runResearchPipeline } from './researchService.js';
+import { generateEmbeddings, buildIdeaEmbeddingText, getEmbeddingModelId } from './embeddingService.js';
+import { researchQueue, upsertScheduleJob, removeScheduleJob } from '../queue/researchQueue.js';
+import config from '../config/index.js';
+import { CancelledError, NotFoundError, ValidationError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// ─────────────────────────────────────────────
+// Recurring research
+// BullMQ job schedulers fire 'scheduled-research' jobs; the worker runs the
+// schedule's research request and then diffs the run's unique ideas against
+// every earlier run of the same schedule ("what's new" digest).
+// ─────────────────────────────────────────────
+
+/**
+ * Check a cron expression (5 fields, or 6 with seconds) and time zone.
+ * @param {string} cronExpression
+ * @param {string} timezone - IANA zone, e.g. 'Europe/Berlin'
+ * @throws {ValidationError}
+ */
+function assertValidCron(cronExpression, timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+        throw new ValidationError(`Unknown time zone "${timezone}"`);
+    }
+    try {
+        cronParser.parseExpression(cronExpression, { tz: timezone });
+    } catch (err) {
+        throw new ValidationError(`Invalid cron expression "${cronExpression}": ${err.message}`);
+    }
+}
+
+/**
+ * When a schedule fires next.
+ * @param {{ cronExpression: string, timezone: string, enabled: boolean }} schedule
+ * @returns {string|null} ISO timestamp, null when the schedule is disabled
+ */
+function getNextRunAt(schedule) {
+    if (!schedule.enabled) return null;
+    return cronParser.parseExpression(schedule.cronExpression, { tz: schedule.timezone }).next().toISOString();
+}
+
+/**
+ * Register an enabled schedule with the queue, or unregister a disabled one.
+ * @param {Object} schedule
+ */
+async function syncScheduleJob(schedule) {
+    if (schedule.enabled) {
+        await upsertScheduleJob(schedule);
+    } else {
+        await removeScheduleJob(schedule.id);
+    }
+}
+
+/**
+ * Bring the queue's job schedulers in line with research_schedules: register every
+ * enabled schedule and remove schedulers of disabled or deleted ones. Run on worker start.
+ * @returns {Promise<{ registered: number, removed: number }>}
+ */
+async function syncAllSchedules() {
+    const schedules = [];
+    for (let offset = 0; ; offset += 100) {
+        const page = await scheduleRepo.listSchedules({ limit: 100, offset });
+        schedules.push(...page.schedules);
+        if (schedules.length >= page.total || page.schedules.length === 0) break;
+    }
+
+    const enabledIds = new Set();
+    for (const schedule of schedules.filter((s) => s.enabled)) {
+        await upsertScheduleJob(schedule);
+        enabledIds.add(schedule.id);
+    }
+
+    let removed = 0;
+    for (const scheduler of await researchQueue.getJobSchedulers()) {
+        const schedulerId = scheduler.id || scheduler.key;
+        if (!schedulerId?.startsWith('schedule-')) continue;
+        const scheduleId = schedulerId.slice('schedule-'.length);
+        if (!enabledIds.has(scheduleId) && await removeScheduleJob(scheduleId)) removed++;
+    }
+
+    logger.info('Research schedules synced', { registered: enabledIds.size, removed });
+    return { registered: enabledIds.size, removed };
+}
+
+/**
+ * Embed a run's ideas stored without an embedding (runs whose profile skips embeddings) or
+ * with one from another model than the configured backend's, and store the vectors, so
+ * later digests can compare against them. When generateEmbeddings falls back to another
+ * backend, ideas already stored under the fallback's model keep their vectors.
+ * @param {Array<Object>} ideas - Mutated: `embedding` and `embedding_model` are filled in
+ */
+async function ensureEmbeddings(ideas) {
+    const expectedModel = getEmbeddingModelId();
+    const candidates = ideas.filter((idea) => !idea.embedding || idea.embedding_model !== expectedModel);
+    if (candidates.length === 0) return;
+
+    const { embeddings, model } = await generateEmbeddings(candidates.map(buildIdeaEmbeddingText));
+    const updated = [];
+    candidates.forEach((idea, idx) => {
+        if (idea.embedding && idea.embedding_model === model) return;
+        idea.embedding = embeddings[idx];
+        idea.embedding_model = model;
+        updated.push({ id: idea.id, embedding: idea.embedding, model });
+    });
+    if (updated.length > 0) await repo.updateIdeaEmbeddings(updated);
+}
+
+/**
+ * Compare a run's unique ideas with the unique ideas of all earlier completed runs
+ * of its schedule. An idea is new when no earlier idea reaches SCHEDULE_NOVELTY_THRESHOLD
+ * cosine similarity. The closest earlier idea is looked up in Postgres (HNSW index);
+ * vectors from a different embedding model are not compared.
+ *
+ * @param {{ id: string }} run - Schedule run
+ * @param {string} sessionId - Session of the run
+ * @returns {Promise<Object>} { comparedRuns, comparedIdeas, noveltyThreshold, totalIdeas, newIdeas, recurringIdeas }
+ */
+async function buildWhatsNewDigest(run, sessionId) {
+    const threshold = config.schedules.noveltyThreshold;
+    const [current, previous] = await Promise.all([
+        scheduleRepo.getRunIdeas(sessionId),
+        scheduleRepo.countPreviousRunIdeas(run.id),
+    ]);
+    await ensureEmbeddings(current);
+
+    const newIdeas = [];
+    const recurringIdeas = [];
+    for (const idea of current) {
+        const closest = previous.ideas > 0
+            ? await scheduleRepo.findClosestPreviousIdea(run.id, idea.embedding, idea.embedding_model)
+            : null;
+
+        const closestMatch = closest && {
+            ideaId: closest.id,
+            sessionId: closest.session_id,
+            title: closest.title,
+            similarity: Math.round(closest.similarity * 1000) / 1000,
+        };
+        if (closest && closest.similarity >= threshold) {
+            recurringIdeas.push({ ideaId: idea.id, title: idea.title, matchedIdea: closestMatch });
+        } else {
+            newIdeas.push({
+                ideaId: idea.id,
+                title: idea.title,
+                description: idea.description,
+                category: idea.category,
+                confidenceScore: idea.confidence_score,
+                closestMatch,
+            });
+        }
+    }
+
+    return {
+        comparedRuns: previous.runs,
+        comparedIdeas: previous.ideas,
+        noveltyThreshold: threshold,
+        totalIdeas: current.length,
+        newIdeas,
+        recurringIdeas,
+    };
+}
+
+/**
+ * Run one firing of a schedule: create its session, run the research pipeline
+ * with the schedule's options and store the run's "what's new" digest.
+ * Deleted or disabled schedules are skipped (and a deleted one is unregistered).
+ * A digest that cannot be built leaves the run completed without a digest.
+ *
+ * @param {string} scheduleId
+ * @param {Object} [options]
+ * @param {string} [options.jobId]
+ * @param {function(Object): any} [options.onProgress] - Pipeline progress events
+ * @returns {Promise<Object>} Pipeline result plus { scheduleId, scheduleRunId, whatsNew }, or { scheduleId, skipped }
+ */
+async function runScheduledResearch(scheduleId, { jobId, onProgress } = {}) {
+    let schedule;
+    try {
+        schedule = await scheduleRepo.getSchedule(scheduleId);
+    } catch (err) {
+        if (!(err instanceof NotFoundError)) throw err;
+        logger.warn('Scheduled job fired for a deleted schedule', { scheduleId });
+        await removeScheduleJob(scheduleId);
+        return { scheduleId, skipped: 'deleted' };
+    }
+    if (!schedule.enabled) {
+        logger.info('Skipping disabled schedule', { scheduleId });
+        return { scheduleId, skipped: 'disabled' };
+    }
+
+    const { metadata = {}, profile, models, templateId, templateVariables, maxCostUsd } = schedule.options;
+    const session = await repo.createSession(schedule.problemStatement, {
+        ...metadata,
+        scheduleId,
+        source: 'schedule',
+    });
+    const run = await scheduleRepo.createScheduleRun(scheduleId, session.id, jobId);
+    logger.info('Scheduled research started', { scheduleId, scheduleRunId: run.id, sessionId: session.id });
+
+    let result;
+    try {
+        result = await runResearchPipeline(
+            schedule.problemStatement,
+            {
+                ...metadata,
+                profile,
+                models,
+                // Each run uses the template's current version; the session records which one
+                template: templateId ? { id: templateId } : undefined,
+                templateVariables,
+                maxCostUsd,
+                sessionId: session.id,
+                scheduleId,
+                jobId,
+                source: 'schedule',
+            },
+            { onProgress }
+        );
+    } catch (err) {
+        try {
+            await scheduleRepo.finishScheduleRun(run.id, {
+                status: err instanceof CancelledError ? 'cancelled' : 'failed',
+                error: err.message,
+            });
+        } catch (dbErr) {
+            logger.error('Failed to record schedule run failure', { scheduleRunId: run.id, error: dbErr.message });
+        }
+        throw err;
+    }
+
+    let digest = null;
+    let digestError = null;
+    try {
+        digest = await buildWhatsNewDigest(run, session.id);
+    } catch (err) {
+        digestError = `Digest failed: ${err.message}`;
+        logger.warn(digestError, { scheduleId, scheduleRunId: run.id });
+    }
+
+    await scheduleRepo.finishScheduleRun(run.id, {
+        status: 'completed',
+        totalIdeas: digest?.totalIdeas ?? result.uniqueIdeas.length,
+        newIdeas: digest?.newIdeas.length ?? null,
+        digest,
+        error: digestError,
+    });
+
+    const whatsNew = digest && {
+        newIdeas: digest.newIdeas.length,
+        totalIdeas: digest.totalIdeas,
+        comparedRuns: digest.comparedRuns,
+    };
+    await repo.updateSessionMetadata(session.id, { schedule: { id: scheduleId, runId: run.id, whatsNew } });
+    logger.info('Scheduled research completed', { scheduleId, scheduleRunId: run.id, ...whatsNew });
+
+    return { ...result, scheduleId, scheduleRunId: run.id, whatsNew };
+}
+
+export { assertValidCron, getNextRunAt, syncScheduleJob, syncAllSchedules, buildWhatsNewDigest, runScheduledResearch };
@@ -0,0 +1,110 @@
+'use strict';
+
+import { query } from '../db/pool.js';
+import { DatabaseError } from '../utils/errors.js';
+
+// ─────────────────────────────────────────────
+// Semantic idea search (pgvector)
+// Nearest neighbours by cosine distance over the HNSW-indexed embedding columns
+// of ideas (research sessions) and saved_ideas (a user's library). Only vectors
+// of the query's embedding model are compared.
+// ─────────────────────────────────────────────
+
+const toVectorLiteral = (embedding) => `[${embedding.join(',')}]`;
+
+const round3 = (value) => Math.round(Number(value) * 1000) / 1000;
+
+/**
+ * Unique research-session ideas nearest to a query vector. Sessions grounded in project
+ * files are only searched for members of that project.
+ * @param {number[]} embedding
+ * @param {{ model: string, userId: number, limit: number }} opts
+ * @returns {Promise<Array<Object>>}
+ */
+async function searchSessionIdeas(embedding, { model, userId, limit }) {
+    try {
+        const { rows } = await query(
+            `SELECT i.id, i.session_id, i.provider, i.title, i.description, i.category, i.tags,
+              i.confidence_score, i.created_at,
+              1 - (i.embedding <=> $1::vector) AS score,
+              s.problem_statement, s.status AS session_status, s.created_at AS session_created_at
+       FROM ideas i
+       JOIN research_sessions s ON s.id = i.session_id AND s.deleted_at IS NULL
+       WHERE i.embedding IS NOT NULL AND i.embedding_model = $2 AND i.is_duplicate = FALSE
+         AND (s.metadata->'grounding' IS NULL OR EXISTS (
+              SELECT 1 FROM project_members pm
+              WHERE pm.project_id::text = s.metadata->'grounding'->>'projectId' AND pm.user_id = $3))
+       ORDER BY i.embedding <=> $1::vector
+       LIMIT $4`,
+            [toVectorLiteral(embedding), model, userId, limit]
+        );
+        return rows.map((row) => ({
+            source: 'session',
+            id: row.id,
+            score: round3(row.score),
+            title: row.title,
+            description: row.description,
+            category: row.category,
+            tags: row.tags,
+            model: row.provider,
+            confidence: row.confidence_score === null ? null : Number(row.confidence_score),
+            createdAt: row.created_at,
+            session: {
+                id: row.session_id,
+                problemStatement: row.problem_statement,
+                status: row.session_status,
+                createdAt: row.session_created_at,
+            },
+        }));
+    } catch (err) {
+        throw new DatabaseError(`Failed to search session ideas: ${err.message}`);
+    }
+}
+
+/**
+ * A user's saved ideas nearest to a query vector.
+ * @param {number[]} embedding
+ * @param {{ model: string, userId: number, limit: number }} opts
+ * @returns {Promise<Array<Object>>}
+ */
+async function searchSavedIdeas(embedding, { model, userId, limit }) {
+    try {
+        const { rows } = await query(
+            `SELECT si.id, si.idea_id, si.session_id, si.title, si.description, si.idea_type, si.tags,
+              si.rating, si.confidence, si.saved_at,
+              1 - (si.embedding <=> $1::vector) AS score,
+              s.problem_statement, s.status AS session_status, s.created_at AS session_created_at
+       FROM saved_ideas si
+       LEFT JOIN research_sessions s ON s.id = si.session_id AND s.deleted_at IS NULL
+       WHERE si.user_id = $2 AND si.embedding IS NOT NULL AND si.embedding_model = $3
+       ORDER BY si.embedding <=> $1::vector
+       LIMIT $4`,
+            [toVectorLiteral(embedding), userId, model, limit]
+        );
+        return rows.map((row) => ({
+            source: 'library',
+            id: row.id,
+            ideaId: row.idea_id,
+            score: round3(row.score),
+            title: row.title,
+            description: row.description,
+            ideaType: row.idea_type,
+            tags: row.tags,
+            rating: row.rating,
+            confidence: row.confidence === null ? null : Number(row.confidence),
+            savedAt: row.saved_at,
+            session: {
+                id: row.session_id,
+                problemStatement: row.problem_statement ?? null,
+                status: row.session_status ?? null,
+                createdAt: row.session_created_at ?? null,
+            },
+        }));
+    } catch (err) {
+        throw new DatabaseError(`Failed to search saved ideas: ${err.message}`);
+    }
+}
+
+export { searchSessionIdeas, searchSavedIdeas };
+
+export default { searchSessionIdeas, searchSavedIdeas };
@@ -0,0 +1,38 @@
+'use strict';
+
+import searchRepo from './searchRepository.js';
+import { generateEmbeddings } from './embeddingService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Semantic search over research-session ideas and a user's saved ideas.
+ * The query is embedded with the configured backend; ideas embedded by another model
+ * (or not embedded, e.g. `fast` runs) are not found.
+ *
+ * @param {string} queryText
+ * @param {Object} opts
+ * @param {number} opts.userId - Whose library to search (and whose project memberships scope grounded sessions)
+ * @param {number} [opts.limit=10]
+ * @param {'all'|'sessions'|'library'} [opts.scope='all']
+ * @param {number} [opts.minScore=0] - Drop results below this cosine similarity
+ * @returns {Promise<{ query: string, model: string, results: Array<Object> }>} Results, best first
+ */
+async function searchIdeas(queryText, { userId, limit = 10, scope = 'all', minScore = 0 }) {
+    const { embeddings, model } = await generateEmbeddings([queryText]);
+    const [embedding] = embeddings;
+
+    const [sessionIdeas, savedIdeas] = await Promise.all([
+        scope === 'library' ? [] : searchRepo.searchSessionIdeas(embedding, { model, userId, limit }),
+        scope === 'sessions' ? [] : searchRepo.searchSavedIdeas(embedding, { model, userId, limit }),
+    ]);
+
+    const results = [...sessionIdeas, ...savedIdeas]
+        .filter((result) => result.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+    logger.info('Idea search', { scope, model, results: results.length });
+    return { query: queryText, model, results };
+}
+
+export { searchIdeas };
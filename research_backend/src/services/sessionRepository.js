@@ -1,7 +1,7 @@
 'use strict';
 
 import { query, withTransaction } from '../db/pool.js';
-import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { AppError, DatabaseError, NotFoundError } from '../utils/errors.js';
 import logger from '../utils/logger.js';
 
 // ─────────────────────────────────────────────
@@ -12,31 +12,45 @@ import logger from '../utils/logger.js';
  * Create a new research session.
  * @param {string} problemStatement
  * @param {Object} metadata
- * @returns {Promise<{ id: string, status: string, created_at: Date }>}
+ * @param {string} [sessionId] - Client-chosen UUID (lets clients subscribe to progress before the request returns)
+ * @param {string} [parentSessionId] - Session this one was forked from
+ * @returns {Promise<{ id: string, status: string, parent_session_id: string|null, created_at: Date }>}
  */
-async function createSession(problemStatement, metadata = {}) {
+async function createSession(problemStatement, metadata = {}, sessionId = null, parentSessionId = null) {
     try {
-        const { rows } = await query(
-            `INSERT INTO research_sessions (problem_statement, metadata, status)
-       VALUES ($1, $2, 'pending')
-       RETURNING id, status, created_at`,
-            [problemStatement, JSON.stringify(metadata)]
-        );
+        const { rows } = sessionId
+            ? await query(
+                `INSERT INTO research_sessions (id, problem_statement, metadata, status, parent_session_id)
+       VALUES ($1, $2, $3, 'pending', $4)
+       RETURNING id, status, parent_session_id, created_at`,
+                [sessionId, problemStatement, JSON.stringify(metadata), parentSessionId]
+            )
+            : await query(
+                `INSERT INTO research_sessions (problem_statement, metadata, status, parent_session_id)
+       VALUES ($1, $2, 'pending', $3)
+       RETURNING id, status, parent_session_id, created_at`,
+                [problemStatement, JSON.stringify(metadata), parentSessionId]
+            );
         return rows[0];
     } catch (err) {
+        if (err.code === '23505') {
+            throw new AppError(`Session ${sessionId} already exists`, 409, 'SESSION_EXISTS');
+        }
         throw new DatabaseError(`Failed to create session: ${err.message}`);
     }
 }
 
 /**
  * Update session status.
+ * 'cancelled' is final: a run that finishes after being cancelled cannot overwrite it.
  * @param {string} sessionId
- * @param {'pending'|'processing'|'completed'|'failed'} status
+ * @param {'pending'|'processing'|'completed'|'failed'|'cancelled'} status
  */
 async function updateSessionStatus(sessionId, status) {
     try {
         await query(
-            `UPDATE research_sessions SET status = $1, updated_at = NOW() WHERE id = $2`,
+            `UPDATE research_sessions SET status = $1, updated_at = NOW()
+       WHERE id = $2 AND (status <> 'cancelled' OR $1 = 'cancelled')`,
             [status, sessionId]
         );
     } catch (err) {
@@ -44,6 +58,24 @@ async function updateSessionStatus(sessionId, status) {
     }
 }
 
+/**
+ * Merge keys into a session's metadata (shallow JSONB merge).
+ * @param {string} sessionId
+ * @param {Object} patch
+ */
+async function updateSessionMetadata(sessionId, patch) {
+    try {
+        await query(
+            `UPDATE research_sessions
+       SET metadata = COALESCE(metadata, '{}'::jsonb) || $1::jsonb, updated_at = NOW()
+       WHERE id = $2`,
+            [JSON.stringify(patch), sessionId]
+        );
+    } catch (err) {
+        throw new DatabaseError(`Failed to update session metadata: ${err.message}`);
+    }
+}
+
 /**
  * Get a session by ID (excludes soft-deleted).
  * @param {string} sessionId
@@ -52,7 +84,7 @@ async function updateSessionStatus(sessionId, status) {
 async function getSessionById(sessionId) {
     try {
         const { rows } = await query(
-            `SELECT id, problem_statement, status, metadata, created_at, updated_at
+            `SELECT id, problem_statement, status, metadata, parent_session_id, created_at, updated_at
        FROM research_sessions
        WHERE id = $1 AND deleted_at IS NULL`,
             [sessionId]
@@ -81,7 +113,7 @@ async function listSessions({ limit = 20, offset = 0, status } = {}) {
 
         const [dataResult, countResult] = await Promise.all([
             query(
-                `SELECT id, problem_statement, status, metadata, created_at, updated_at
+                `SELECT id, problem_statement, status, metadata, parent_session_id, created_at, updated_at
          FROM research_sessions
          ${whereClause}
          ORDER BY created_at DESC
@@ -103,6 +135,49 @@ async function listSessions({ limit = 20, offset = 0, status } = {}) {
     }
 }
 
+/**
+ * Get the whole fork tree a session belongs to: its root ancestor and every
+ * descendant of that root. Soft-deleted sessions are left out, and so are
+ * forks made from them.
+ * @param {string} sessionId
+ * @returns {Promise<Array<{ id: string, parent_session_id: string|null, problem_statement: string, status: string, depth: number, created_at: Date }>>}
+ *   Tree order is given by parent_session_id; rows are sorted by depth, then creation time
+ */
+async function getSessionLineage(sessionId) {
+    try {
+        const { rows } = await query(
+            `WITH RECURSIVE ancestors AS (
+         SELECT id, parent_session_id FROM research_sessions WHERE id = $1 AND deleted_at IS NULL
+         UNION ALL
+         SELECT s.id, s.parent_session_id
+         FROM research_sessions s
+         JOIN ancestors a ON s.id = a.parent_session_id
+         WHERE s.deleted_at IS NULL
+       ),
+       tree AS (
+         SELECT s.id, s.parent_session_id, s.problem_statement, s.status, s.created_at, 0 AS depth
+         FROM research_sessions s
+         WHERE s.id = (SELECT id FROM ancestors WHERE parent_session_id IS NULL
+                         OR parent_session_id NOT IN (SELECT id FROM ancestors) LIMIT 1)
+         UNION ALL
+         SELECT s.id, s.parent_session_id, s.problem_statement, s.status, s.created_at, t.depth + 1
+         FROM research_sessions s
+         JOIN tree t ON s.parent_session_id = t.id
+         WHERE s.deleted_at IS NULL
+       )
+       SELECT id, parent_session_id, problem_statement, status, depth, created_at
+       FROM tree
+       ORDER BY depth, created_at`,
+            [sessionId]
+        );
+        if (rows.length === 0) throw new NotFoundError(`Session ${sessionId} not found`);
+        return rows;
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to get session lineage: ${err.message}`);
+    }
+}
+
 /**
  * Soft-delete a session.
  * @param {string} sessionId
@@ -127,15 +202,17 @@ async function deleteSession(sessionId) {
 /**
  * Save a successful LLM response.
  * @param {string} sessionId
- * @param {Object} provResult - { provider, model, rawResponse, promptTokens, completionTokens, latencyMs }
+ * @param {Object} provResult - { provider, model, rawResponse, promptTokens, completionTokens, latencyMs,
+ *   repairStage?, repairAttempt? } — repairStage is set when the output had to be repaired
  * @returns {Promise<string>} llmResponseId
  */
 async function saveLlmResponse(sessionId, provResult) {
     try {
         const { rows } = await query(
             `INSERT INTO llm_responses
-         (session_id, provider, model, status, raw_response, prompt_tokens, completion_tokens, latency_ms)
-       VALUES ($1, $2, $3, 'success', $4, $5, $6, $7)
+         (session_id, provider, model, status, raw_response, prompt_tokens, completion_tokens, latency_ms,
+          attempt_stage, attempt_number)
+       VALUES ($1, $2, $3, 'success', $4, $5, $6, $7, $8, $9)
        RETURNING id`,
             [
                 sessionId,
@@ -145,6 +222,8 @@ async function saveLlmResponse(sessionId, provResult) {
                 provResult.promptTokens || null,
                 provResult.completionTokens || null,
                 provResult.latencyMs || null,
+                provResult.repairStage || null,
+                provResult.repairAttempt || 0,
             ]
         );
         return rows[0].id;
@@ -158,13 +237,25 @@ async function saveLlmResponse(sessionId, provResult) {
  * @param {string} sessionId
  * @param {string} provider
  * @param {string} errorMessage
+ * @param {Object} [details]
+ * @param {string} [details.rawResponse] - Last output, for final schema/parse failures
+ * @param {Array} [details.validationErrors]
  */
-async function saveLlmFailure(sessionId, provider, errorMessage) {
+async function saveLlmFailure(sessionId, provider, errorMessage, details = {}) {
+    const isParseFailure = Boolean(details.validationErrors);
     try {
         await query(
-            `INSERT INTO llm_responses (session_id, provider, status, error_message)
-       VALUES ($1, $2, 'failed', $3)`,
-            [sessionId, provider, errorMessage]
+            `INSERT INTO llm_responses
+         (session_id, provider, model, status, error_message, raw_response, attempt_stage, validation_errors)
+       VALUES ($1, $2, $2, 'failed', $3, $4, $5, $6)`,
+            [
+                sessionId,
+                provider,
+                errorMessage,
+                details.rawResponse || null,
+                isParseFailure ? 'final' : null,
+                isParseFailure ? JSON.stringify(details.validationErrors) : null,
+            ]
         );
     } catch (err) {
         // Non-fatal — log and continue
@@ -172,6 +263,40 @@ async function saveLlmFailure(sessionId, provider, errorMessage) {
     }
 }
 
+/**
+ * Save the outputs that failed schema validation while a response was being
+ * repaired (initial answer, fixer results, re-asks).
+ * @param {string} sessionId
+ * @param {string} provider
+ * @param {Array<{ stage: string, attempt: number, rawResponse: string, errors: Array,
+ *   promptTokens?: number, completionTokens?: number }>} attempts
+ */
+async function saveLlmRepairAttempts(sessionId, provider, attempts = []) {
+    for (const attempt of attempts) {
+        try {
+            await query(
+                `INSERT INTO llm_responses
+           (session_id, provider, model, status, error_message, raw_response, prompt_tokens, completion_tokens,
+            attempt_stage, attempt_number, validation_errors)
+         VALUES ($1, $2, $2, 'failed', 'Schema validation failed', $3, $4, $5, $6, $7, $8)`,
+                [
+                    sessionId,
+                    provider,
+                    attempt.rawResponse || null,
+                    attempt.promptTokens || null,
+                    attempt.completionTokens || null,
+                    attempt.stage,
+                    attempt.attempt,
+                    JSON.stringify(attempt.errors || []),
+                ]
+            );
+        } catch (err) {
+            // Non-fatal — log and continue
+            logger.error('Failed to save LLM repair attempt', { sessionId, provider, stage: attempt.stage, error: err.message });
+        }
+    }
+}
+
 // ─────────────────────────────────────────────
 // Ideas
 // ─────────────────────────────────────────────
@@ -206,9 +331,9 @@ async function saveIdeas(sessionId, llmResponseId, provider, ideas, clusterIds)
                 `INSERT INTO ideas
            (session_id, llm_response_id, provider, title, description, rationale,
             category, confidence_score, novelty_score, tags, cluster_id,
-            is_duplicate, embedding)
+            is_duplicate, embedding, embedding_model)
          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12,
-                 $13::vector)
+                 $13::vector, $14)
          RETURNING id`,
                 [
                     sessionId,
@@ -224,6 +349,7 @@ async function saveIdeas(sessionId, llmResponseId, provider, ideas, clusterIds)
                     clusterId,
                     idea._isDuplicate || false,
                     embeddingValue,
+                    idea.embedding ? idea.embeddingModel || null : null,
                 ]
             );
 
@@ -257,22 +383,94 @@ async function updateDuplicateReferences(updates) {
     }
 }
 
+/**
+ * Store embeddings computed after the pipeline ran (e.g. for ideas of a run that skipped embedding).
+ * @param {Array<{ id: string, embedding: number[], model: string }>} updates
+ */
+async function updateIdeaEmbeddings(updates) {
+    if (updates.length === 0) return;
+
+    try {
+        await withTransaction(async (client) => {
+            for (const upd of updates) {
+                await client.query(
+                    'UPDATE ideas SET embedding = $1::vector, embedding_model = $2 WHERE id = $3',
+                    [`[${upd.embedding.join(',')}]`, upd.model, upd.id]
+                );
+            }
+        });
+    } catch (err) {
+        throw new DatabaseError(`Failed to update idea embeddings: ${err.message}`);
+    }
+}
+
+/**
+ * How often each model's ideas ended up in a cluster shared with another model, across all sessions.
+ * @param {string[]} models
+ * @returns {Promise<Object<string, { ideas: number, agreed: number }>>} Keyed by model; models without clustered ideas are absent
+ */
+async function getModelAgreementStats(models) {
+    try {
+        const { rows } = await query(
+            `WITH cluster_models AS (
+         SELECT session_id, cluster_id, COUNT(DISTINCT provider) AS models
+         FROM ideas
+         WHERE cluster_id IS NOT NULL
+         GROUP BY session_id, cluster_id
+       )
+       SELECT i.provider,
+              COUNT(*) AS ideas,
+              COUNT(*) FILTER (WHERE cm.models > 1) AS agreed
+       FROM ideas i
+       JOIN cluster_models cm ON cm.session_id = i.session_id AND cm.cluster_id = i.cluster_id
+       WHERE i.provider = ANY($1)
+       GROUP BY i.provider`,
+            [models]
+        );
+        return Object.fromEntries(
+            rows.map((r) => [r.provider, { ideas: parseInt(r.ideas, 10), agreed: parseInt(r.agreed, 10) }])
+        );
+    } catch (err) {
+        throw new DatabaseError(`Failed to get model agreement stats: ${err.message}`);
+    }
+}
+
+// ORDER BY clauses for getSessionIdeas; unranked ideas go last in tournament order
+const IDEA_SORT_ORDERS = {
+    confidence: 'i.confidence_score DESC, i.novelty_score DESC',
+    rank: 'r.rank ASC NULLS LAST, i.confidence_score DESC, i.novelty_score DESC',
+};
+
 /**
  * Get ideas for a session, optionally filtering to unique only.
+ * Each idea carries its cross-model critique consensus (average critic score,
+ * null when no model critiqued it), the number of critiques, and its tournament
+ * rank and Elo rating (null until the session is ranked).
  * @param {string} sessionId
  * @param {boolean} uniqueOnly
+ * @param {Object} [options]
+ * @param {'confidence' | 'rank'} [options.sort='confidence'] - Self-reported scores, or tournament order
  * @returns {Promise<Array>}
  */
-async function getSessionIdeas(sessionId, uniqueOnly = false) {
+async function getSessionIdeas(sessionId, uniqueOnly = false, { sort = 'confidence' } = {}) {
     try {
         const { rows } = await query(
-            `SELECT id, provider, title, description, rationale, category,
-              confidence_score, novelty_score, tags, cluster_id,
-              is_duplicate, duplicate_of, similarity_to_dup, created_at
-       FROM ideas
-       WHERE session_id = $1
-         ${uniqueOnly ? 'AND is_duplicate = FALSE' : ''}
-       ORDER BY confidence_score DESC, novelty_score DESC`,
+            `SELECT i.id, i.provider, i.title, i.description, i.rationale, i.category,
+              i.confidence_score, i.novelty_score, i.tags, i.cluster_id,
+              i.is_duplicate, i.duplicate_of, i.similarity_to_dup, i.created_at,
+              c.consensus_score, COALESCE(c.critique_count, 0) AS critique_count,
+              r.rank, r.rating::float AS elo_rating
+       FROM ideas i
+       LEFT JOIN (
+         SELECT idea_id, ROUND(AVG(score), 3)::float AS consensus_score, COUNT(*)::int AS critique_count
+         FROM critiques
+         WHERE session_id = $1
+         GROUP BY idea_id
+       ) c ON c.idea_id = i.id
+       LEFT JOIN idea_rankings r ON r.idea_id = i.id
+       WHERE i.session_id = $1
+         ${uniqueOnly ? 'AND i.is_duplicate = FALSE' : ''}
+       ORDER BY ${IDEA_SORT_ORDERS[sort] || IDEA_SORT_ORDERS.confidence}`,
             [sessionId]
         );
         return rows;
@@ -303,6 +501,127 @@ async function getIdeaById(ideaId) {
     }
 }
 
+// ─────────────────────────────────────────────
+// Critiques
+// ─────────────────────────────────────────────
+
+/**
+ * Save one critic model's critiques of a session's ideas.
+ * Re-running the round replaces the model's earlier critique of an idea.
+ * @param {string} sessionId
+ * @param {string} criticModel
+ * @param {Array<{ ideaId: string, strengths: string[], flaws: string[], score: number }>} critiques
+ * @returns {Promise<number>} Number of critiques saved
+ */
+async function saveCritiques(sessionId, criticModel, critiques) {
+    if (critiques.length === 0) return 0;
+
+    try {
+        await withTransaction(async (client) => {
+            for (const critique of critiques) {
+                await client.query(
+                    `INSERT INTO critiques (session_id, idea_id, critic_model, strengths, flaws, score)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           ON CONFLICT (idea_id, critic_model)
+           DO UPDATE SET strengths = EXCLUDED.strengths, flaws = EXCLUDED.flaws,
+                         score = EXCLUDED.score, created_at = NOW()`,
+                    [
+                        sessionId,
+                        critique.ideaId,
+                        criticModel,
+                        JSON.stringify(critique.strengths),
+                        JSON.stringify(critique.flaws),
+                        critique.score,
+                    ]
+                );
+            }
+        });
+        return critiques.length;
+    } catch (err) {
+        throw new DatabaseError(`Failed to save critiques: ${err.message}`);
+    }
+}
+
+/**
+ * Get every critique recorded for a session's ideas.
+ * @param {string} sessionId
+ * @returns {Promise<Array<{ idea_id: string, critic_model: string, strengths: string[], flaws: string[], score: number }>>}
+ */
+async function getSessionCritiques(sessionId) {
+    try {
+        const { rows } = await query(
+            `SELECT idea_id, critic_model, strengths, flaws, score::float AS score, created_at
+       FROM critiques
+       WHERE session_id = $1
+       ORDER BY idea_id, critic_model`,
+            [sessionId]
+        );
+        return rows;
+    } catch (err) {
+        throw new DatabaseError(`Failed to get session critiques: ${err.message}`);
+    }
+}
+
+// ─────────────────────────────────────────────
+// Rankings
+// ─────────────────────────────────────────────
+
+/**
+ * Replace a session's tournament results: final standings plus every judged match.
+ * @param {string} sessionId
+ * @param {string} judgeModel
+ * @param {Array<{ ideaId: string, rank: number, rating: number, wins: number, losses: number, ties: number }>} standings
+ * @param {Array<{ round: number, ideaAId: string, ideaBId: string, winnerId: string|null, reasoning: string }>} judgments
+ */
+async function saveRanking(sessionId, judgeModel, standings, judgments) {
+    try {
+        await withTransaction(async (client) => {
+            await client.query('DELETE FROM idea_judgments WHERE session_id = $1', [sessionId]);
+            await client.query('DELETE FROM idea_rankings WHERE session_id = $1', [sessionId]);
+
+            for (const s of standings) {
+                await client.query(
+                    `INSERT INTO idea_rankings
+           (idea_id, session_id, rank, rating, wins, losses, ties, judge_model)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                    [s.ideaId, sessionId, s.rank, s.rating, s.wins, s.losses, s.ties, judgeModel]
+                );
+            }
+
+            for (const j of judgments) {
+                await client.query(
+                    `INSERT INTO idea_judgments
+           (session_id, round, idea_a_id, idea_b_id, winner_id, reasoning, judge_model)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                    [sessionId, j.round, j.ideaAId, j.ideaBId, j.winnerId, j.reasoning, judgeModel]
+                );
+            }
+        });
+    } catch (err) {
+        throw new DatabaseError(`Failed to save ranking: ${err.message}`);
+    }
+}
+
+/**
+ * Get the judged matches of a session's ranking tournament, in play order.
+ * @param {string} sessionId
+ * @returns {Promise<Array<{ round: number, idea_a_id: string, idea_b_id: string, winner_id: string|null, reasoning: string, judge_model: string }>>}
+ */
+async function getSessionJudgments(sessionId) {
+    try {
+        const { rows } = await query(
+            `SELECT round, idea_a_id, idea_b_id, winner_id, reasoning, judge_model, created_at
+       FROM idea_judgments
+       WHERE session_id = $1
+       ORDER BY round, created_at`,
+            [sessionId]
+        );
+        return rows;
+    } catch (err) {
+        throw new DatabaseError(`Failed to get session judgments: ${err.message}`);
+    }
+}
+
 // ─────────────────────────────────────────────
 // Deepening Sessions
 // ─────────────────────────────────────────────
@@ -310,21 +629,22 @@ async function getIdeaById(ideaId) {
 /**
  * Save a deepening session result.
  * @param {string} sessionId
- * @param {string} ideaId
- * @param {Object} data
+ * @param {string|null} ideaId - Pipeline idea; null when a synthesized idea was deepened
+ * @param {Object} data - Result fields, plus `synthesizedIdeaId` for a synthesized idea
  * @returns {Promise<string>} deepeningSessionId
  */
 async function saveDeepeningSession(sessionId, ideaId, data) {
     try {
         const { rows } = await query(
             `INSERT INTO deepening_sessions
-         (session_id, idea_id, provider, depth_level, prompt_used, result,
+         (session_id, idea_id, synthesized_idea_id, provider, depth_level, prompt_used, result,
           status, prompt_tokens, completion_tokens, latency_ms)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
        RETURNING id`,
             [
                 sessionId,
                 ideaId,
+                data.synthesizedIdeaId || null,
                 data.provider,
                 data.depthLevel,
                 data.promptUsed || null,
@@ -365,15 +685,24 @@ async function getLatestLlmResponse(sessionId) {
 export {
     createSession,
     updateSessionStatus,
+    updateSessionMetadata,
     getSessionById,
     listSessions,
+    getSessionLineage,
     deleteSession,
     saveLlmResponse,
     saveLlmFailure,
+    saveLlmRepairAttempts,
     saveIdeas,
     updateDuplicateReferences,
+    updateIdeaEmbeddings,
+    getModelAgreementStats,
     getSessionIdeas,
     getIdeaById,
+    saveCritiques,
+    getSessionCritiques,
+    saveRanking,
+    getSessionJudgments,
     saveDeepeningSession,
     getLatestLlmResponse,
 };
@@ -381,15 +710,24 @@ export {
 export default {
     createSession,
     updateSessionStatus,
+    updateSessionMetadata,
     getSessionById,
     listSessions,
+    getSessionLineage,
     deleteSession,
     saveLlmResponse,
     saveLlmFailure,
+    saveLlmRepairAttempts,
     saveIdeas,
     updateDuplicateReferences,
+    updateIdeaEmbeddings,
+    getModelAgreementStats,
     getSessionIdeas,
     getIdeaById,
+    saveCritiques,
+    getSessionCritiques,
+    saveRanking,
+    getSessionJudgments,
     saveDeepeningSession,
     getLatestLlmResponse,
 };
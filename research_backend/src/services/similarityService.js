@@ -222,6 +222,8 @@ function deduplicateIdeas(
  * Full pipeline: takes ideas with embeddings, returns enriched ideas with cluster + dedup info.
  *
  * @param {Array<{ embedding: number[], confidence_score: number, ...}>} ideas
+ * @param {{ clusterThreshold?: number, dedupThreshold?: number }} [thresholds] - Execution profile
+ *   overrides (default: CLUSTER_THRESHOLD / DEDUP_THRESHOLD)
  * @returns {{
  *   enrichedIdeas: Array,
  *   matrix: number[][],
@@ -229,7 +231,7 @@ function deduplicateIdeas(
  *   summary: { totalIdeas, uniqueIdeas, duplicates, clusters }
  * }}
  */
-function runSimilarityPipeline(ideas) {
+function runSimilarityPipeline(ideas, { clusterThreshold, dedupThreshold } = {}) {
     if (ideas.length === 0) return { enrichedIdeas: [], matrix: [], clusterIds: [], summary: {} };
 
     const embeddings = ideas.map((idea) => idea.embedding);
@@ -238,10 +240,10 @@ function runSimilarityPipeline(ideas) {
     const matrix = buildSimilarityMatrix(embeddings);
 
     // Step 2: Cluster
-    const clusterIds = clusterIdeas(matrix);
+    const clusterIds = clusterIdeas(matrix, clusterThreshold);
 
     // Step 3: Deduplicate
-    const enriched = deduplicateIdeas(ideas, matrix, clusterIds);
+    const enriched = deduplicateIdeas(ideas, matrix, clusterIds, dedupThreshold);
 
     const uniqueIdeas = enriched.filter((i) => !i._isDuplicate);
     const duplicates = enriched.filter((i) => i._isDuplicate);
@@ -1,19 +1,91 @@
 'use strict';
 
+import config from '../config/index.js';
+import { generateEmbeddings } from './embeddingService.js';
+import { buildSimilarityMatrix, clusterIdeas as clusterBySimilarity, cosineSimilarity } from './similarityService.js';
+import repo from './sessionRepository.js';
+import { buildSynthesisPrompt } from '../utils/promptBuilder.js';
+import { ngrams, tfidfWeights } from '../utils/textRanking.js';
+import { extractIdeas } from '../utils/ideaExtractor.js';
+import { executeSynthesisProvider } from '../providers/index.js';
 import logger from '../utils/logger.js';
 
+// Stored with every saved synthesis run. Bump when the same input and parameters
+// would synthesize differently.
+const ENGINE_VERSION = '1.7.0';
+
+// Systemic pattern detection: at most this many themes of this many keyphrases; a keyphrase
+// joins a theme when the clusters using them overlap at least PATTERN_THEME_OVERLAP (Jaccard)
+const MAX_PATTERNS = 6;
+const MAX_PATTERN_KEYPHRASES = 5;
+const PATTERN_THEME_OVERLAP = 0.5;
+
 /**
  * Advanced Research Intelligence Synthesis Engine
  * Takes raw model outputs and synthesizes them into elite-level research output
  */
 
+// Idea confidence: weighted mean of four scores in [0, 1]. A model's historical agreement
+// rate is pulled towards AGREEMENT_PRIOR as if it had AGREEMENT_PRIOR_IDEAS more ideas,
+// so models with little history are neither trusted nor distrusted.
+const CONFIDENCE_WEIGHTS = { support: 0.35, diversity: 0.15, cohesion: 0.3, agreement: 0.2 };
+const AGREEMENT_PRIOR = 0.5;
+const AGREEMENT_PRIOR_IDEAS = 20;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Model vendor, e.g. 'mistralai' for 'mistralai/mistral-large'
+const modelVendor = (model) => model.split('/')[0];
+
+/** Jaccard similarity of two sets */
+function jaccard(a, b) {
+    let shared = 0;
+    for (const item of a) if (b.has(item)) shared++;
+    return shared / (a.size + b.size - shared);
+}
+
 class SynthesisEngine {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.useEmbeddings=true] - Cluster by embedding similarity; false uses word overlap
+     * @param {number} [options.clusterThreshold] - Cosine similarity that joins two ideas (CLUSTER_THRESHOLD)
+     * @param {'extractive'|'abstractive'} [options.mode] - 'extractive' keeps each cluster's most detailed
+     *   fragment; 'abstractive' has a model write each idea (SYNTHESIS_MODE)
+     * @param {string} [options.model] - Model for abstractive synthesis (SYNTHESIS_MODEL)
+     */
+    constructor({
+        useEmbeddings = true,
+        clusterThreshold = config.similarity.clusterThreshold,
+        mode = config.synthesis.mode,
+        model = config.synthesis.model,
+    } = {}) {
+        this.useEmbeddings = useEmbeddings;
+        this.clusterThreshold = clusterThreshold;
+        this.mode = mode;
+        this.model = model;
+    }
+
+    /**
+     * Parameters that shape this engine's output (stored with saved synthesis runs)
+     * @returns {Object} { mode, model (abstractive only), useEmbeddings, clusterThreshold }
+     */
+    get parameters() {
+        return {
+            mode: this.mode,
+            model: this.mode === 'abstractive' ? this.model : null,
+            useEmbeddings: this.useEmbeddings,
+            clusterThreshold: this.clusterThreshold,
+        };
+    }
+
     /**
      * Synthesize raw model outputs into strategic ideas
      * @param {Array} rawOutputs - Array of { model, raw_output, ... }
-     * @returns {Object} - Synthesized research JSON
+     * @param {Object} [context]
+     * @param {string} [context.problemStatement] - Given to the model in abstractive mode
+     * @returns {Promise<Object>} - Synthesized research JSON
      */
-    synthesize(rawOutputs) {
+    async synthesize(rawOutputs, { problemStatement = null } = {}) {
         logger.info('Starting synthesis', { outputCount: rawOutputs.length });
 
         try {
@@ -22,8 +94,8 @@ class SynthesisEngine {
             logger.debug('Extracted ideas', { totalIdeas: allIdeas.length });
 
             // Analyze and cluster semantically similar ideas
-            const clusters = this.clusterIdeas(allIdeas);
-            logger.debug('Clustered ideas', { clusterCount: clusters.length });
+            const { clusters, method: clusteringMethod, embeddingModel, embeddingCache } = await this.clusterIdeas(allIdeas);
+            logger.debug('Clustered ideas', { clusterCount: clusters.length, clusteringMethod });
 
             // Identify dominant themes
             const dominantThemes = this.identifyDominantThemes(clusters, rawOutputs);
@@ -35,10 +107,20 @@ class SynthesisEngine {
             const systemicPatterns = this.identifySystemicPatterns(clusters);
 
             // Generate unique, strategic ideas
-            const uniqueIdeas = this.generateUniqueIdeas(clusters, rawOutputs);
+            const ideaClusters = this.selectIdeaClusters(clusters);
+            const confidenceContext = await this.buildConfidenceContext(rawOutputs, clusteringMethod);
+            const extractiveIdeas = this.generateUniqueIdeas(ideaClusters, confidenceContext);
 
-            // Identify and list discarded ideas
-            const discardedIdeas = this.identifyDiscardedIdeas(allIdeas, uniqueIdeas);
+            // Identify and list discarded ideas (against the fragments the ideas were built from)
+            const discardedIdeas = this.identifyDiscardedIdeas(
+                allIdeas,
+                ideaClusters.map((cluster) => this.representativeIdea(cluster))
+            );
+
+            const abstractive = this.mode === 'abstractive'
+                ? await this.writeAbstractiveIdeas(ideaClusters, extractiveIdeas, problemStatement)
+                : null;
+            const uniqueIdeas = abstractive ? abstractive.ideas : extractiveIdeas;
 
             const result = {
                 researchSummary: {
@@ -52,11 +134,21 @@ class SynthesisEngine {
                     modelCount: rawOutputs.length,
                     totalIdeasExtracted: allIdeas.length,
                     clusterCount: clusters.length,
+                    clusteringMethod,
+                    ...(embeddingModel && { embeddingModel, embeddingCache }),
+                    engineVersion: ENGINE_VERSION,
+                    synthesisMode: this.mode,
+                    ...(abstractive && {
+                        synthesisModel: this.model,
+                        abstractiveFailures: abstractive.failures,
+                        synthesisCostUsd: abstractive.costUsd,
+                    }),
                     synthesizedAt: new Date().toISOString(),
                 },
             };
 
             logger.info('Synthesis complete', {
+                synthesisMode: this.mode,
                 uniqueIdeasCount: uniqueIdeas.length,
                 discardedIdeasCount: discardedIdeas.length,
             });
@@ -78,36 +170,62 @@ class SynthesisEngine {
         rawOutputs.forEach((output) => {
             if (!output.raw_output) return;
 
-            // Parse raw output (assume it's either JSON or text)
-            const lines = output.raw_output.split('\n').filter((line) => line.trim());
-
-            // Extract numbered or bulleted items
-            lines.forEach((line) => {
-                const cleaned = line
-                    .replace(/^\d+[\.\)]\s*/, '') // Remove numbering
-                    .replace(/^[-*]\s+/, '') // Remove bullets
-                    .replace(/\*\*/g, '') // Remove markdown bold
-                    .trim();
-
-                if (cleaned.length > 10 && cleaned.length < 500) {
-                    // Filter out very short or very long lines
-                    ideas.push({
-                        text: cleaned,
-                        source: output.model,
-                        createdAt: output.created_at,
-                    });
-                }
-            });
+            // Markdown sections, list items, tables or JSON idea arrays
+            for (const { title, body, section, start, end } of extractIdeas(output.raw_output)) {
+                ideas.push({
+                    text: title && body ? `${title}: ${body}` : title || body,
+                    title,
+                    body,
+                    section,
+                    source: output.model,
+                    outputId: output.id,
+                    start,
+                    end,
+                    createdAt: output.created_at,
+                });
+            }
         });
 
         return ideas;
     }
 
     /**
-     * Cluster semantically similar ideas
+     * Cluster semantically similar ideas: embed every idea and group them by cosine
+     * similarity (single linkage). Falls back to word overlap when embeddings are
+     * disabled or cannot be generated.
+     * @private
+     * @returns {Promise<{ clusters: Array<Array<Object>>, method: 'embeddings' | 'word-overlap',
+     *   embeddingModel?: string, embeddingCache?: { hits: number, misses: number } }>}
+     */
+    async clusterIdeas(ideas) {
+        if (this.useEmbeddings && ideas.length > 1) {
+            try {
+                const { embeddings, model, cache } = await generateEmbeddings(ideas.map((idea) => idea.text));
+                ideas.forEach((idea, idx) => {
+                    idea.embedding = embeddings[idx];
+                });
+                const clusterIds = clusterBySimilarity(buildSimilarityMatrix(embeddings), this.clusterThreshold);
+
+                // Cluster IDs are numbered in order of first appearance
+                const clusters = [];
+                clusterIds.forEach((clusterId, idx) => {
+                    if (!clusters[clusterId]) clusters[clusterId] = [];
+                    clusters[clusterId].push(ideas[idx]);
+                });
+                return { clusters, method: 'embeddings', embeddingModel: model, embeddingCache: cache };
+            } catch (err) {
+                logger.warn(`Embedding clustering failed, falling back to word overlap: ${err.message}`);
+            }
+        }
+
+        return { clusters: this.clusterIdeasByWordOverlap(ideas), method: 'word-overlap' };
+    }
+
+    /**
+     * Fallback clustering: group ideas that share enough words
      * @private
      */
-    clusterIdeas(ideas) {
+    clusterIdeasByWordOverlap(ideas) {
         const clusters = [];
         const processed = new Set();
 
@@ -117,11 +235,11 @@ class SynthesisEngine {
             const cluster = [idea];
             processed.add(idx);
 
-            // Find semantically similar ideas
+            // Find lexically similar ideas
             ideas.forEach((other, otherIdx) => {
                 if (otherIdx <= idx || processed.has(otherIdx)) return;
 
-                if (this.isSemanticallySimlar(idea.text, other.text)) {
+                if (this.isLexicallySimilar(idea.text, other.text)) {
                     cluster.push(other);
                     processed.add(otherIdx);
                 }
@@ -134,18 +252,23 @@ class SynthesisEngine {
     }
 
     /**
-     * Check semantic similarity between two ideas
+     * Word overlap (Dice coefficient) between two ideas
      * @private
      */
-    isSemanticallySimlar(text1, text2) {
-        // Simple semantic similarity: shared keywords / common structure
+    isLexicallySimilar(text1, text2) {
+        return this.lexicalSimilarity(text1, text2) > 0.4; // Threshold
+    }
+
+    /**
+     * Dice coefficient of the words of two texts
+     * @private
+     */
+    lexicalSimilarity(text1, text2) {
         const keywords1 = text1.toLowerCase().split(/\s+/);
         const keywords2 = text2.toLowerCase().split(/\s+/);
 
         const common = keywords1.filter((k) => keywords2.includes(k));
-        const similarity = (2 * common.length) / (keywords1.length + keywords2.length);
-
-        return similarity > 0.4; // Threshold
+        return Math.min((2 * common.length) / (keywords1.length + keywords2.length), 1);
     }
 
     /**
@@ -172,52 +295,275 @@ class SynthesisEngine {
     }
 
     /**
-     * Identify systemic patterns
+     * Identify systemic patterns: keyphrases (1–2 word n-grams) that recur across clusters
+     * and models, ranked by their summed per-cluster TF-IDF weight and grouped into labelled
+     * themes by the clusters they share
      * @private
+     * @returns {Array<Object>} { label, keyphrases, score, clusterCount, modelCount, supportingClusters, modelFrequency }
      */
     identifySystemicPatterns(clusters) {
-        // Patterns that appear across multiple clusters
-        const patterns = [
-            'Async-first or asynchronous communication',
-            'Outcome-based or results-focused evaluation',
-            'Documentation and knowledge management',
-            'Leadership distribution or delegation',
-            'Tool consolidation or integration',
-            'Team structure or organizational design',
-        ];
-
-        return patterns
-            .map((pattern) => ({
-                pattern,
-                appearanceCount: clusters.filter((c) =>
-                    c.some((idea) => idea.text.toLowerCase().includes(pattern.toLowerCase()))
-                ).length,
-            }))
-            .filter((p) => p.appearanceCount >= 2)
-            .map((p) => p.pattern);
+        const fragmentTerms = clusters.map((cluster) => cluster.map((idea) => ngrams(idea.text)));
+        const clusterWeights = tfidfWeights(fragmentTerms.map((fragments) => fragments.flat()));
+
+        const terms = new Map();
+        clusterWeights.forEach((weights, clusterIdx) => {
+            for (const [term, weight] of weights) {
+                const stats = terms.get(term) || { term, score: 0, clusters: new Set(), models: new Set() };
+                stats.score += weight;
+                stats.clusters.add(clusterIdx);
+                terms.set(term, stats);
+            }
+            clusters[clusterIdx].forEach((idea, fragmentIdx) => {
+                for (const term of fragmentTerms[clusterIdx][fragmentIdx]) terms.get(term).models.add(idea.source);
+            });
+        });
+
+        // A systemic pattern spans several clusters and is raised by more than one model
+        const candidates = [...terms.values()]
+            .filter((t) => t.clusters.size >= 2 && t.models.size >= 2)
+            .sort((a, b) => b.score - a.score);
+
+        const themes = [];
+        for (const candidate of candidates) {
+            const theme = themes.find((t) => jaccard(t.clusters, candidate.clusters) >= PATTERN_THEME_OVERLAP);
+            if (theme) {
+                if (theme.keyphrases.length >= MAX_PATTERN_KEYPHRASES) continue;
+                theme.keyphrases.push(candidate.term);
+                theme.score += candidate.score;
+                candidate.clusters.forEach((idx) => theme.clusters.add(idx));
+            } else if (themes.length < MAX_PATTERNS) {
+                themes.push({ keyphrases: [candidate.term], score: candidate.score, clusters: new Set(candidate.clusters) });
+            }
+        }
+
+        return themes
+            .map((theme) => {
+                // Words already covered by a phrase of the same theme add nothing
+                const phrases = theme.keyphrases.filter((k) => k.includes(' '));
+                const keyphrases = theme.keyphrases.filter(
+                    (k) => k.includes(' ') || !phrases.some((p) => p.split(' ').includes(k))
+                );
+                const label = phrases[0] || keyphrases[0];
+
+                const modelFrequency = {};
+                const supportingClusters = [...theme.clusters].sort((a, b) => a - b).map((clusterIdx) => {
+                    clusters[clusterIdx].forEach((idea, fragmentIdx) => {
+                        const fragment = new Set(fragmentTerms[clusterIdx][fragmentIdx]);
+                        if (keyphrases.some((k) => fragment.has(k))) {
+                            modelFrequency[idea.source] = (modelFrequency[idea.source] || 0) + 1;
+                        }
+                    });
+                    return {
+                        cluster: clusterIdx,
+                        title: this.extractTitle(this.synthesizeCluster(clusters[clusterIdx])),
+                        size: clusters[clusterIdx].length,
+                    };
+                });
+
+                return {
+                    label: label.charAt(0).toUpperCase() + label.slice(1),
+                    keyphrases,
+                    score: Math.round(theme.score * 1000) / 1000,
+                    clusterCount: supportingClusters.length,
+                    modelCount: Object.keys(modelFrequency).length,
+                    supportingClusters,
+                    modelFrequency,
+                };
+            })
+            .sort((a, b) => b.score - a.score);
     }
 
     /**
-     * Generate unique, strategic ideas from clusters
+     * Pick the clusters that become unique ideas: multi-source consensus, best supported first, top 10
      * @private
      */
-    generateUniqueIdeas(clusters, rawOutputs) {
+    selectIdeaClusters(clusters) {
+        const sourceCount = (cluster) => new Set(cluster.map((idea) => idea.source)).size;
         return clusters
             .filter((cluster) => cluster.length >= 2) // Multi-source consensus
-            .map((cluster) => {
-                const derivedModels = [...new Set(cluster.map((idea) => idea.source))];
-                const synthesis = this.synthesizeCluster(cluster);
+            .sort((a, b) => sourceCount(b) - sourceCount(a))
+            .slice(0, 10); // Top 10
+    }
 
-                return {
-                    title: this.extractTitle(synthesis),
-                    description: synthesis,
-                    derivedFromModels: derivedModels,
-                    supportCount: derivedModels.length,
-                    ideaType: derivedModels.length >= 3 ? 'consensus' : 'emerging',
-                };
+    /**
+     * Generate unique, strategic ideas from clusters (extractive)
+     * @private
+     */
+    generateUniqueIdeas(ideaClusters, confidenceContext) {
+        return ideaClusters.map((cluster) => {
+            const derivedModels = [...new Set(cluster.map((idea) => idea.source))];
+            const representative = this.representativeIdea(cluster);
+            const confidenceBreakdown = this.scoreConfidence(cluster, derivedModels, confidenceContext);
+
+            return {
+                title: representative.title || this.extractTitle(representative.text),
+                description: representative.title ? representative.body || representative.text : representative.text,
+                section: representative.section,
+                derivedFromModels: derivedModels,
+                supportCount: derivedModels.length,
+                ideaType: derivedModels.length >= 3 ? 'consensus' : 'emerging',
+                confidence: confidenceBreakdown.score,
+                confidenceBreakdown,
+                provenance: this.buildProvenance(cluster),
+            };
+        });
+    }
+
+    /**
+     * What confidence scoring needs to know about the whole run: the models that answered,
+     * their vendors, and each model's historical agreement rate (the share of its past
+     * research ideas that landed in a cluster with another model's ideas).
+     * @private
+     */
+    async buildConfidenceContext(rawOutputs, clusteringMethod) {
+        const models = [...new Set(rawOutputs.map((output) => output.model))];
+
+        let stats = {};
+        try {
+            stats = await repo.getModelAgreementStats(models);
+        } catch (err) {
+            logger.warn(`Model agreement history unavailable, using the prior: ${err.message}`);
+        }
+        const agreementRates = Object.fromEntries(
+            models.map((model) => {
+                const { ideas = 0, agreed = 0 } = stats[model] || {};
+                return [model, (agreed + AGREEMENT_PRIOR * AGREEMENT_PRIOR_IDEAS) / (ideas + AGREEMENT_PRIOR_IDEAS)];
             })
-            .sort((a, b) => b.supportCount - a.supportCount)
-            .slice(0, 10); // Top 10
+        );
+
+        return {
+            modelCount: models.length,
+            vendorCount: new Set(models.map(modelVendor)).size,
+            agreementRates,
+            clusteringMethod,
+        };
+    }
+
+    /**
+     * Confidence of one idea with the scores behind it:
+     * support (share of the run's models behind it), diversity (share of the run's vendors),
+     * cohesion (mean pairwise similarity of its fragments) and agreement (mean historical
+     * agreement rate of its models)
+     * @private
+     * @returns {Object} { score, support, diversity, cohesion, agreement }
+     */
+    scoreConfidence(cluster, derivedModels, { modelCount, vendorCount, agreementRates, clusteringMethod }) {
+        const vendors = [...new Set(derivedModels.map(modelVendor))];
+        const modelRates = Object.fromEntries(
+            derivedModels.map((model) => [model, round2(agreementRates[model] ?? AGREEMENT_PRIOR)])
+        );
+
+        const components = {
+            support: {
+                score: derivedModels.length / Math.max(modelCount, 1),
+                supportingModels: derivedModels.length,
+                totalModels: modelCount,
+            },
+            diversity: {
+                score: vendors.length / Math.max(vendorCount, 1),
+                vendors,
+            },
+            cohesion: {
+                score: this.clusterCohesion(cluster),
+                method: clusteringMethod,
+                fragments: cluster.length,
+            },
+            agreement: {
+                score: Object.values(modelRates).reduce((sum, rate) => sum + rate, 0) / derivedModels.length,
+                models: modelRates,
+            },
+        };
+
+        let score = 0;
+        for (const [name, component] of Object.entries(components)) {
+            component.score = round2(component.score);
+            component.weight = CONFIDENCE_WEIGHTS[name];
+            score += component.score * component.weight;
+        }
+        return { score: round2(score), ...components };
+    }
+
+    /**
+     * Mean pairwise similarity of a cluster's fragments: cosine when they were embedded, word overlap otherwise
+     * @private
+     */
+    clusterCohesion(cluster) {
+        if (cluster.length < 2) return 1;
+        let total = 0;
+        let pairs = 0;
+        for (let i = 0; i < cluster.length; i++) {
+            for (let j = i + 1; j < cluster.length; j++) {
+                const [a, b] = [cluster[i], cluster[j]];
+                total += a.embedding && b.embedding
+                    ? Math.max(cosineSimilarity(a.embedding, b.embedding), 0)
+                    : this.lexicalSimilarity(a.text, b.text);
+                pairs++;
+            }
+        }
+        return total / pairs;
+    }
+
+    /**
+     * Where each fragment of a cluster came from: the raw_model_outputs row, the model
+     * and the fragment's character span in that output (raw_output.slice(start, end))
+     * @private
+     */
+    buildProvenance(cluster) {
+        return cluster.map((idea) => ({
+            outputId: idea.outputId ?? null,
+            model: idea.source,
+            start: idea.start,
+            end: idea.end,
+        }));
+    }
+
+    /**
+     * Have the synthesis model rewrite each selected cluster as one developed idea.
+     * A cluster whose call fails keeps its extractive idea.
+     * @private
+     * @returns {Promise<{ ideas: Array, failures: number, costUsd: number }>}
+     */
+    async writeAbstractiveIdeas(ideaClusters, extractiveIdeas, problemStatement) {
+        const { concurrency, maxTokens } = config.synthesis;
+        const ideas = [...extractiveIdeas];
+        let failures = 0;
+        let costUsd = 0;
+
+        for (let i = 0; i < ideaClusters.length; i += concurrency) {
+            const batch = ideaClusters.slice(i, i + concurrency);
+            const outcomes = await Promise.allSettled(
+                batch.map((cluster) => {
+                    const { system, user } = buildSynthesisPrompt(cluster, problemStatement);
+                    return executeSynthesisProvider(this.model, system, user, { maxTokens });
+                })
+            );
+
+            outcomes.forEach((outcome, offset) => {
+                const idx = i + offset;
+                if (outcome.status === 'rejected') {
+                    failures++;
+                    costUsd += outcome.reason.costUsd || 0;
+                    logger.warn(`Abstractive synthesis failed for a cluster: ${outcome.reason.message}`, {
+                        model: this.model,
+                    });
+                    return;
+                }
+
+                const { synthesis } = outcome.value;
+                costUsd += outcome.value.costUsd || 0;
+                ideas[idx] = {
+                    ...extractiveIdeas[idx],
+                    title: synthesis.title,
+                    description: synthesis.summary,
+                    strategicThesis: synthesis.strategic_thesis,
+                    mechanism: synthesis.mechanism,
+                    implementationFramework: synthesis.implementation_framework,
+                    synthesisModel: outcome.value.model,
+                };
+            });
+        }
+
+        return { ideas, failures, costUsd: Math.round(costUsd * 1e6) / 1e6 };
     }
 
     /**
@@ -225,11 +571,15 @@ class SynthesisEngine {
      * @private
      */
     synthesizeCluster(cluster) {
-        // Return the longest/most detailed idea as representative
-        const longest = cluster.reduce((max, idea) =>
-            idea.text.length > max.text.length ? idea : max
-        );
-        return longest.text;
+        return this.representativeIdea(cluster).text;
+    }
+
+    /**
+     * The longest/most detailed idea of a cluster
+     * @private
+     */
+    representativeIdea(cluster) {
+        return cluster.reduce((max, idea) => (idea.text.length > max.text.length ? idea : max));
     }
 
     /**
@@ -245,13 +595,13 @@ class SynthesisEngine {
      * Identify ideas that are discarded (generic, redundant, low-leverage)
      * @private
      */
-    identifyDiscardedIdeas(allIdeas, uniqueIdeas) {
-        const keepTexts = new Set(uniqueIdeas.map((u) => u.description));
+    identifyDiscardedIdeas(allIdeas, keptIdeas) {
+        const kept = new Set(keptIdeas);
 
         const generic = ['build', 'improve', 'better', 'increase', 'communication', 'team'];
 
         return allIdeas
-            .filter((idea) => !keepTexts.has(idea.text))
+            .filter((idea) => !kept.has(idea))
             .filter((idea) => {
                 const lowerText = idea.text.toLowerCase();
                 return (
@@ -262,9 +612,10 @@ class SynthesisEngine {
             .slice(0, 5)
             .map((idea) => ({
                 reason: 'generic | redundant | low leverage',
-                originalTitle: idea.text.substring(0, 100),
+                originalTitle: (idea.title || idea.text).substring(0, 100),
             }));
     }
 }
 
+export { ENGINE_VERSION };
 export default SynthesisEngine;
@@ -0,0 +1,181 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { query, withTransaction } from '../db/pool.js';
+import { DatabaseError, NotFoundError } from '../utils/errors.js';
+
+// ─────────────────────────────────────────────
+// Stored synthesis runs (session_syntheses)
+// Each run of a session is numbered 1, 2, ... and keeps its parameters,
+// the engine version and the full synthesis result. Its unique ideas are
+// also stored one per row in synthesized_ideas under server-generated UUIDs.
+// ─────────────────────────────────────────────
+
+const SUMMARY_COLUMNS = 'id, session_id, run_number, engine_version, parameters, unique_idea_count, created_at';
+
+const IDEA_COLUMNS = `id, synthesis_id, session_id, position, title, description, strategic_thesis, mechanism,
+           implementation_framework, idea_type, section, derived_from_models, support_count, confidence, created_at`;
+
+function toSynthesis(row) {
+    return {
+        id: row.id,
+        sessionId: row.session_id,
+        runNumber: row.run_number,
+        engineVersion: row.engine_version,
+        parameters: row.parameters,
+        uniqueIdeaCount: row.unique_idea_count,
+        ...(row.result !== undefined && { result: row.result }),
+        createdAt: row.created_at,
+    };
+}
+
+function toSynthesizedIdea(row) {
+    return {
+        id: row.id,
+        synthesisId: row.synthesis_id,
+        sessionId: row.session_id,
+        position: row.position,
+        title: row.title,
+        description: row.description,
+        strategicThesis: row.strategic_thesis,
+        mechanism: row.mechanism,
+        implementationFramework: row.implementation_framework,
+        ideaType: row.idea_type,
+        section: row.section,
+        derivedFromModels: row.derived_from_models,
+        supportCount: row.support_count,
+        confidence: row.confidence === null ? null : Number(row.confidence),
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Store a synthesis run as the session's next run, giving each unique idea an `id`
+ * that is stored both in the run's result and as its synthesized_ideas row.
+ * @param {string} sessionId
+ * @param {{ engineVersion: string, parameters: Object, result: Object }} synthesis
+ * @returns {Promise<Object>} The stored run, with its result
+ */
+async function saveSynthesis(sessionId, { engineVersion, parameters, result }) {
+    const uniqueIdeas = (result.uniqueIdeas || []).map((idea) => ({ id: uuidv4(), ...idea }));
+    const stored = { ...result, uniqueIdeas };
+
+    try {
+        return await withTransaction(async (client) => {
+            // Serialize runs of the same session so concurrent saves cannot take the same run_number
+            await client.query('SELECT id FROM research_sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+
+            const { rows } = await client.query(
+                `INSERT INTO session_syntheses (session_id, run_number, engine_version, parameters, unique_idea_count, result)
+         SELECT $1, COALESCE(MAX(run_number), 0) + 1, $2, $3, $4, $5
+         FROM session_syntheses
+         WHERE session_id = $1
+         RETURNING ${SUMMARY_COLUMNS}, result`,
+                [
+                    sessionId,
+                    engineVersion,
+                    JSON.stringify(parameters || {}),
+                    uniqueIdeas.length,
+                    JSON.stringify(stored),
+                ]
+            );
+            const synthesis = toSynthesis(rows[0]);
+
+            for (const [position, idea] of uniqueIdeas.entries()) {
+                await client.query(
+                    `INSERT INTO synthesized_ideas
+             (id, synthesis_id, session_id, position, title, description, strategic_thesis, mechanism,
+              implementation_framework, idea_type, section, derived_from_models, support_count, confidence)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+                    [
+                        idea.id,
+                        synthesis.id,
+                        sessionId,
+                        position,
+                        idea.title,
+                        idea.description || '',
+                        idea.strategicThesis || null,
+                        idea.mechanism || null,
+                        idea.implementationFramework ? JSON.stringify(idea.implementationFramework) : null,
+                        idea.ideaType || null,
+                        idea.section || null,
+                        JSON.stringify(idea.derivedFromModels || []),
+                        idea.supportCount || 1,
+                        idea.confidence ?? null,
+                    ]
+                );
+            }
+            return synthesis;
+        });
+    } catch (err) {
+        throw new DatabaseError(`Failed to save synthesis: ${err.message}`);
+    }
+}
+
+/**
+ * A session's synthesis runs, newest first, without their results.
+ * @param {string} sessionId
+ * @param {{ limit: number, offset: number }} opts
+ * @returns {Promise<{ syntheses: Array, total: number }>}
+ */
+async function listSyntheses(sessionId, { limit = 20, offset = 0 } = {}) {
+    try {
+        const [dataResult, countResult] = await Promise.all([
+            query(
+                `SELECT ${SUMMARY_COLUMNS}
+       FROM session_syntheses
+       WHERE session_id = $1
+       ORDER BY run_number DESC
+       LIMIT $2 OFFSET $3`,
+                [sessionId, limit, offset]
+            ),
+            query('SELECT COUNT(*) AS total FROM session_syntheses WHERE session_id = $1', [sessionId]),
+        ]);
+        return {
+            syntheses: dataResult.rows.map(toSynthesis),
+            total: parseInt(countResult.rows[0].total, 10),
+        };
+    } catch (err) {
+        throw new DatabaseError(`Failed to list syntheses: ${err.message}`);
+    }
+}
+
+/**
+ * Get one synthesis run of a session, with its result.
+ * @param {string} sessionId
+ * @param {string} synthesisId
+ * @returns {Promise<Object>}
+ */
+async function getSynthesis(sessionId, synthesisId) {
+    try {
+        const { rows } = await query(
+            `SELECT ${SUMMARY_COLUMNS}, result FROM session_syntheses WHERE id = $1 AND session_id = $2`,
+            [synthesisId, sessionId]
+        );
+        if (rows.length === 0) throw new NotFoundError(`Synthesis ${synthesisId} of session ${sessionId} not found`);
+        return toSynthesis(rows[0]);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to get synthesis: ${err.message}`);
+    }
+}
+
+/**
+ * Get a synthesized idea by its ID.
+ * @param {string} ideaId
+ * @returns {Promise<Object>}
+ */
+async function getSynthesizedIdea(ideaId) {
+    try {
+        const { rows } = await query(`SELECT ${IDEA_COLUMNS} FROM synthesized_ideas WHERE id = $1`, [ideaId]);
+        if (rows.length === 0) throw new NotFoundError(`Synthesized idea ${ideaId} not found`);
+        return toSynthesizedIdea(rows[0]);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to get synthesized idea: ${err.message}`);
+    }
+}
+
+export { saveSynthesis, listSyntheses, getSynthesis, getSynthesizedIdea };
+
+export default { saveSynthesis, listSyntheses, getSynthesis, getSynthesizedIdea };
@@ -0,0 +1,246 @@
+'use strict';
+
+import { v4 as uuidv4 } from 'uuid';
+import { query, withTransaction } from '../db/pool.js';
+import { DatabaseError, NotFoundError } from '../utils/errors.js';
+import { DEFAULT_RESEARCH_TEMPLATE, applyTemplateVariables } from '../utils/promptBuilder.js';
+
+// ─────────────────────────────────────────────
+// Prompt templates
+// Template rows hold identity (name, description, current version); the prompt
+// settings live in prompt_template_versions, one immutable row per edit.
+// ─────────────────────────────────────────────
+
+// Prompt settings stored per version
+const VERSION_FIELDS = ['ideaCount', 'persona', 'tone', 'categories', 'extraInstructions', 'variables'];
+
+const TEMPLATE_SELECT = `
+    SELECT t.id, t.name, t.description, v.version, v.idea_count, v.persona, v.tone,
+           v.categories, v.extra_instructions, v.variables, t.created_at, t.updated_at,
+           v.created_at AS version_created_at
+    FROM prompt_templates t
+    JOIN prompt_template_versions v ON v.template_id = t.id`;
+
+function toTemplate(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        version: row.version,
+        ideaCount: row.idea_count,
+        persona: row.persona,
+        tone: row.tone,
+        categories: row.categories,
+        extraInstructions: row.extra_instructions,
+        variables: row.variables,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        versionCreatedAt: row.version_created_at,
+    };
+}
+
+async function insertVersion(client, templateId, version, settings) {
+    await client.query(
+        `INSERT INTO prompt_template_versions
+       (template_id, version, idea_count, persona, tone, categories, extra_instructions, variables)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+            templateId,
+            version,
+            settings.ideaCount ?? DEFAULT_RESEARCH_TEMPLATE.ideaCount,
+            settings.persona ?? null,
+            settings.tone ?? null,
+            JSON.stringify(settings.categories ?? DEFAULT_RESEARCH_TEMPLATE.categories),
+            settings.extraInstructions ?? null,
+            JSON.stringify(settings.variables ?? []),
+        ]
+    );
+}
+
+/**
+ * Create a template (version 1).
+ * @param {Object} data - { name, description?, ideaCount?, persona?, tone?, categories?, extraInstructions?, variables? }
+ * @returns {Promise<Object>}
+ */
+async function createTemplate(data) {
+    const id = uuidv4();
+    try {
+        await withTransaction(async (client) => {
+            await client.query(
+                `INSERT INTO prompt_templates (id, name, description, current_version)
+       VALUES ($1, $2, $3, 1)`,
+                [id, data.name, data.description ?? null]
+            );
+            await insertVersion(client, id, 1, data);
+        });
+    } catch (err) {
+        throw new DatabaseError(`Failed to create template: ${err.message}`);
+    }
+    return getTemplate(id);
+}
+
+/**
+ * Get a template at its current version, or at a specific version.
+ * @param {string} templateId
+ * @param {number} [version]
+ * @returns {Promise<Object>}
+ */
+async function getTemplate(templateId, version = null) {
+    try {
+        const { rows } = version
+            ? await query(`${TEMPLATE_SELECT} WHERE t.id = $1 AND v.version = $2`, [templateId, version])
+            : await query(`${TEMPLATE_SELECT} WHERE t.id = $1 AND v.version = t.current_version`, [templateId]);
+        if (rows.length === 0) {
+            throw new NotFoundError(
+                version ? `Template ${templateId} version ${version} not found` : `Template ${templateId} not found`
+            );
+        }
+        return toTemplate(rows[0]);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to get template: ${err.message}`);
+    }
+}
+
+/**
+ * List templates (current versions) with pagination.
+ * @param {{ limit: number, offset: number }} opts
+ * @returns {Promise<{ templates: Array, total: number }>}
+ */
+async function listTemplates({ limit = 20, offset = 0 } = {}) {
+    try {
+        const [dataResult, countResult] = await Promise.all([
+            query(
+                `${TEMPLATE_SELECT}
+       WHERE v.version = t.current_version
+       ORDER BY t.updated_at DESC
+       LIMIT $1 OFFSET $2`,
+                [limit, offset]
+            ),
+            query('SELECT COUNT(*) AS total FROM prompt_templates'),
+        ]);
+        return {
+            templates: dataResult.rows.map(toTemplate),
+            total: parseInt(countResult.rows[0].total, 10),
+        };
+    } catch (err) {
+        throw new DatabaseError(`Failed to list templates: ${err.message}`);
+    }
+}
+
+/**
+ * List all versions of a template (newest first).
+ * @param {string} templateId
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTemplateVersions(templateId) {
+    try {
+        const { rows } = await query(
+            `${TEMPLATE_SELECT} WHERE t.id = $1 ORDER BY v.version DESC`,
+            [templateId]
+        );
+        if (rows.length === 0) throw new NotFoundError(`Template ${templateId} not found`);
+        return rows.map(toTemplate);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to list template versions: ${err.message}`);
+    }
+}
+
+/**
+ * Update a template. Changes to prompt settings create a new version; name and
+ * description edits alone do not.
+ * @param {string} templateId
+ * @param {Object} patch - Any subset of the createTemplate fields
+ * @returns {Promise<Object>} The template at its (possibly new) current version
+ */
+async function updateTemplate(templateId, patch) {
+    const settingsChanged = VERSION_FIELDS.some((field) => patch[field] !== undefined);
+
+    try {
+        await withTransaction(async (client) => {
+            // Lock the template first so concurrent edits build on each other's version
+            const locked = await client.query('SELECT id FROM prompt_templates WHERE id = $1 FOR UPDATE', [templateId]);
+            if (locked.rows.length === 0) throw new NotFoundError(`Template ${templateId} not found`);
+
+            const { rows } = await client.query(
+                `${TEMPLATE_SELECT} WHERE t.id = $1 AND v.version = t.current_version`,
+                [templateId]
+            );
+            const current = toTemplate(rows[0]);
+
+            const version = settingsChanged ? current.version + 1 : current.version;
+            if (settingsChanged) {
+                const settings = Object.fromEntries(
+                    VERSION_FIELDS.map((field) => [field, patch[field] !== undefined ? patch[field] : current[field]])
+                );
+                await insertVersion(client, templateId, version, settings);
+            }
+            await client.query(
+                `UPDATE prompt_templates
+       SET name = $1, description = $2, current_version = $3, updated_at = NOW()
+       WHERE id = $4`,
+                [
+                    patch.name ?? current.name,
+                    patch.description !== undefined ? patch.description : current.description,
+                    version,
+                    templateId,
+                ]
+            );
+        });
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to update template: ${err.message}`);
+    }
+    return getTemplate(templateId);
+}
+
+/**
+ * Load a template version and substitute request variables, ready for the prompt builders.
+ * Without a version, the current version is used — callers should record the
+ * returned `version` so the exact prompt can be reproduced.
+ *
+ * @param {{ id: string, version?: number }} ref
+ * @param {Object} [variables] - Variable name → value
+ * @returns {Promise<Object>} Rendered template (includes id, name, version)
+ * @throws {NotFoundError|ValidationError}
+ */
+async function loadRenderedTemplate(ref, variables = {}) {
+    const template = await getTemplate(ref.id, ref.version || null);
+    return applyTemplateVariables(template, variables);
+}
+
+/**
+ * Delete a template and all of its versions.
+ * Sessions keep the template id/version recorded in their metadata.
+ * @param {string} templateId
+ */
+async function deleteTemplate(templateId) {
+    try {
+        const { rowCount } = await query('DELETE FROM prompt_templates WHERE id = $1', [templateId]);
+        if (rowCount === 0) throw new NotFoundError(`Template ${templateId} not found`);
+    } catch (err) {
+        if (err instanceof NotFoundError) throw err;
+        throw new DatabaseError(`Failed to delete template: ${err.message}`);
+    }
+}
+
+export {
+    createTemplate,
+    getTemplate,
+    listTemplates,
+    listTemplateVersions,
+    updateTemplate,
+    deleteTemplate,
+    loadRenderedTemplate,
+};
+
+export default {
+    createTemplate,
+    getTemplate,
+    listTemplates,
+    listTemplateVersions,
+    updateTemplate,
+    deleteTemplate,
+    loadRenderedTemplate,
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+import { getModelMetadata } from '../config/models.js';
+
+// ─────────────────────────────────────────────
+// Token cost estimation and per-request budgets
+// Prices come from `costPer1kTokens` in config/models.js. Models without a
+// price (raw OpenRouter IDs, deepening-only models) are counted as free and
+// flagged `priced: false`.
+// ─────────────────────────────────────────────
+
+// Rough English average; good enough for a pre-flight estimate
+const CHARS_PER_TOKEN = 4;
+
+// Float slack when comparing running totals against the budget
+const BUDGET_EPSILON = 1e-9;
+
+const roundUsd = (usd) => Math.round(usd * 1e6) / 1e6;
+
+/**
+ * Estimate the token count of a piece of text.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cost of a call from its token counts.
+ * @param {string} modelId - Catalog model ID
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {number} USD (0 for unpriced models)
+ */
+function calculateCost(modelId, promptTokens = 0, completionTokens = 0) {
+    const pricing = getModelMetadata(modelId)?.costPer1kTokens;
+    if (!pricing) return 0;
+    return roundUsd((promptTokens * pricing.input + completionTokens * pricing.output) / 1000);
+}
+
+/**
+ * Pre-flight cost range for one model call. The minimum assumes an empty
+ * completion; the maximum assumes the model uses all of `maxTokens`.
+ *
+ * @param {string} modelId
+ * @param {{ systemPrompt: string, userPrompt: string, history?: Array<{ content: string }>, maxTokens: number }} request
+ * @returns {{ model: string, priced: boolean, promptTokens: number, maxCompletionTokens: number, minCostUsd: number, maxCostUsd: number }}
+ */
+function estimateCallCost(modelId, request) {
+    const promptText = [request.systemPrompt, request.userPrompt, ...(request.history || []).map((m) => m.content)].join('\n');
+    const promptTokens = estimateTokens(promptText);
+    return {
+        model: modelId,
+        priced: Boolean(getModelMetadata(modelId)?.costPer1kTokens),
+        promptTokens,
+        maxCompletionTokens: request.maxTokens,
+        minCostUsd: calculateCost(modelId, promptTokens, 0),
+        maxCostUsd: calculateCost(modelId, promptTokens, request.maxTokens),
+    };
+}
+
+/**
+ * Per-model cost record for a session, from provider results.
+ * Entries for calls after generation (e.g. the critique round) carry a `stage`.
+ * @param {Array<{ model: string, status: string, stage?: string, promptTokens?: number, completionTokens?: number, costUsd?: number }>} entries
+ * @param {number|null} [maxCostUsd] - Budget the request ran with
+ * @returns {{ totalCostUsd: number, maxCostUsd: number|null, perModel: Array<Object> }}
+ */
+function summarizeCosts(entries, maxCostUsd = null) {
+    const perModel = entries.map((e) => ({
+        model: e.model,
+        status: e.status,
+        ...(e.stage && { stage: e.stage }),
+        promptTokens: e.promptTokens || 0,
+        completionTokens: e.completionTokens || 0,
+        costUsd: e.costUsd || 0,
+    }));
+    return {
+        totalCostUsd: roundUsd(perModel.reduce((sum, e) => sum + e.costUsd, 0)),
+        maxCostUsd: maxCostUsd ?? null,
+        perModel,
+    };
+}
+
+/**
+ * Spending cap shared by the model calls of one request.
+ *
+ * Before a call starts it reserves its worst-case cost; when it settles the
+ * reservation is swapped for the actual cost from the returned token counts.
+ * A call that does not fit waits for running calls to settle, and is skipped
+ * once nothing is running and it still does not fit — so the running cost
+ * stays within the cap, up to the accuracy of the prompt token estimate.
+ */
+class CostBudget {
+    /**
+     * @param {number} maxCostUsd
+     */
+    constructor(maxCostUsd) {
+        this.maxCostUsd = maxCostUsd;
+        this.spentUsd = 0;
+        this.reservedUsd = 0;
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    /** @private */
+    _fits(amountUsd) {
+        return this.spentUsd + this.reservedUsd + amountUsd <= this.maxCostUsd + BUDGET_EPSILON;
+    }
+
+    /**
+     * Reserve budget for a call, waiting for running calls if needed.
+     * @param {number} amountUsd - Worst-case cost of the call
+     * @returns {Promise<{ amountUsd: number }|null>} Reservation, or null when the call cannot fit
+     */
+    async reserve(amountUsd) {
+        while (!this._fits(amountUsd)) {
+            if (this.active === 0) return null;
+            await new Promise((resolve) => this.waiting.push(resolve));
+        }
+        this.reservedUsd = roundUsd(this.reservedUsd + amountUsd);
+        this.active += 1;
+        return { amountUsd };
+    }
+
+    /**
+     * Grow an existing reservation (e.g. for a repair re-ask) if it fits right now.
+     * @param {{ amountUsd: number }} reservation
+     * @param {number} amountUsd
+     * @returns {boolean}
+     */
+    extend(reservation, amountUsd) {
+        if (!this._fits(amountUsd)) return false;
+        reservation.amountUsd = roundUsd(reservation.amountUsd + amountUsd);
+        this.reservedUsd = roundUsd(this.reservedUsd + amountUsd);
+        return true;
+    }
+
+    /**
+     * Release a reservation and record what the call actually cost.
+     * @param {{ amountUsd: number }} reservation
+     * @param {number} actualUsd
+     */
+    settle(reservation, actualUsd) {
+        this.reservedUsd = roundUsd(this.reservedUsd - reservation.amountUsd);
+        this.spentUsd = roundUsd(this.spentUsd + actualUsd);
+        this.active -= 1;
+        this.waiting.splice(0).forEach((resolve) => resolve());
+    }
+
+    /** @returns {number} */
+    get remainingUsd() {
+        return roundUsd(Math.max(this.maxCostUsd - this.spentUsd, 0));
+    }
+}
+
+export { estimateTokens, calculateCost, estimateCallCost, summarizeCosts, CostBudget };
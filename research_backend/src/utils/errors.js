@@ -53,6 +53,31 @@ class ProviderTimeoutError extends ProviderError {
     }
 }
 
+class FixtureNotFoundError extends ProviderError {
+    constructor(provider, key, dir) {
+        super(
+            provider,
+            `No recorded LLM fixture for this request (key ${key}) in ${dir}. ` +
+            'Re-run with LLM_FIXTURE_MODE=record to capture it.',
+            { key, dir }
+        );
+        this.code = 'FIXTURE_NOT_FOUND';
+    }
+}
+
+class BudgetExceededError extends AppError {
+    constructor(provider, details = null) {
+        super(`[${provider}] Skipped: the call could exceed the request's maxCostUsd budget`, 402, 'BUDGET_EXCEEDED', details);
+        this.provider = provider;
+    }
+}
+
+class CancelledError extends AppError {
+    constructor(message = 'Research run was cancelled') {
+        super(message, 409, 'CANCELLED');
+    }
+}
+
 class EmbeddingError extends AppError {
     constructor(message, details = null) {
         super(message, 502, 'EMBEDDING_ERROR', details);
@@ -67,6 +92,12 @@ class ParseError extends AppError {
     }
 }
 
+class StorageError extends AppError {
+    constructor(message, details = null) {
+        super(message, 502, 'STORAGE_ERROR', details);
+    }
+}
+
 class DatabaseError extends AppError {
     constructor(message, details = null) {
         super(message, 500, 'DATABASE_ERROR', details);
@@ -81,7 +112,11 @@ export {
     RateLimitError,
     ProviderError,
     ProviderTimeoutError,
+    FixtureNotFoundError,
+    BudgetExceededError,
+    CancelledError,
     EmbeddingError,
     ParseError,
+    StorageError,
     DatabaseError,
 };
@@ -0,0 +1,335 @@
+'use strict';
+
+// ─────────────────────────────────────────────
+// Structured idea extraction from raw model answers
+// Models answer in markdown (headings, nested lists, bold lead-ins, tables)
+// or JSON, often inside a code fence. Each extracted idea keeps a title (when
+// the answer gives one), its body, the section it appeared under and the
+// character span [start, end) of the answer it was read from.
+// ─────────────────────────────────────────────
+
+// Shorter ideas (title + body) are dropped
+const MIN_IDEA_CHARS = 10;
+
+// Keys read from JSON idea objects, in order of preference
+const TITLE_KEYS = ['title', 'name', 'idea', 'heading', 'headline'];
+const BODY_KEYS = ['description', 'summary', 'details', 'detail', 'body', 'explanation', 'rationale', 'text', 'content'];
+const SECTION_KEYS = ['category', 'section', 'theme', 'type'];
+// Container keys that say nothing about the section of their items
+const GENERIC_KEYS = new Set(['ideas', 'items', 'results', 'data', 'output', 'response']);
+
+const FENCE = /^\s*(```|~~~)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const BOLD_LINE = /^\s*(?:\*\*|__)([^*_]+?)(?:\*\*|__)\s*:?\s*$/;
+const LIST_ITEM = /^(\s*)(?:[-*+•]|\d+[.)])\s+(.*)$/;
+const HORIZONTAL_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|?(\s*:?-{3,}:?\s*\|)*\s*:?-{3,}:?\s*\|?\s*$/;
+
+/** Strip inline markdown (links, bold, emphasis, code) and collapse whitespace */
+function cleanInline(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_]([^*_\s][^*_]*?)[*_](?=[^\w*]|$)/g, '$1$2')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/** A heading or lead-in as a title: no numbering ("1.", "2)") or trailing separator */
+function cleanTitle(text) {
+    return cleanInline(text)
+        .replace(/^\d+[.)]\s*/, '')
+        .replace(/[\s.:–—-]+$/, '');
+}
+
+/**
+ * Split "**Title**: body", "**Title.** body" or "Short title: body" into title and body.
+ * @param {string} raw - Markdown text of one item or paragraph
+ * @returns {{ title: string|null, body: string }}
+ */
+function splitLeadIn(raw) {
+    const bold = raw.match(/^\s*(?:\*\*|__)(.+?)(?:\*\*|__)(.*)$/s);
+    if (bold && (/[:.]\s*$/.test(bold[1]) || /^[ \t]*([:.–—-]|\n|$)/.test(bold[2]))) {
+        return { title: cleanTitle(bold[1]), body: cleanInline(bold[2].replace(/^\s*[:.–—-]/, '')) };
+    }
+
+    const text = cleanInline(raw);
+    const colon = text.match(/^([^:.!?]{3,80}):\s+(.+)$/s);
+    if (colon) return { title: cleanTitle(colon[1]), body: colon[2] };
+    return { title: null, body: text };
+}
+
+const ideaLength = (idea) => (idea.title || '').length + idea.body.length;
+
+// ─────────────────────────────────────────────
+// JSON answers
+// ─────────────────────────────────────────────
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function humanizeKey(key) {
+    if (!key || GENERIC_KEYS.has(key.toLowerCase())) return null;
+    return key
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .trim();
+}
+
+/** JSON texts worth trying: fenced blocks, the whole answer, and the span from the first bracket to the last */
+function jsonCandidates(text) {
+    const candidates = [...text.matchAll(/```(?:json)?[^\n]*\n([\s\S]*?)```/gi)].map((m) => m[1]);
+    const trimmed = text.trim();
+    if (/^[[{]/.test(trimmed)) candidates.push(trimmed);
+
+    const start = trimmed.search(/[[{]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start > 0 && end > start) candidates.push(trimmed.slice(start, end + 1));
+    return candidates;
+}
+
+function ideaFromObject(obj, section) {
+    const title = TITLE_KEYS.map((k) => obj[k]).find((v) => typeof v === 'string' && v.trim());
+    const bodyParts = BODY_KEYS.map((k) => obj[k]).filter((v) => typeof v === 'string' && v.trim());
+    if (!title && bodyParts.length === 0) return null;
+
+    const ownSection = SECTION_KEYS.map((k) => obj[k]).find((v) => typeof v === 'string' && v.trim());
+    return {
+        title: title ? cleanTitle(title) : null,
+        body: cleanInline(bodyParts.join(' ')),
+        section: ownSection || section,
+        sourceStrings: [title, ...bodyParts].filter(Boolean),
+    };
+}
+
+/** Collect idea objects (and lists of idea strings) anywhere in a parsed JSON value */
+function collectJsonIdeas(value, key, out) {
+    if (Array.isArray(value)) {
+        const section = humanizeKey(key);
+        const strings = value.every((item) => typeof item === 'string');
+        for (const item of value) {
+            if (strings && value.length >= 2) {
+                out.push({ ...splitLeadIn(item), section, sourceStrings: [item] });
+            } else if (isPlainObject(item)) {
+                const idea = ideaFromObject(item, section);
+                if (idea) out.push(idea);
+                else collectJsonIdeas(item, key, out);
+            }
+        }
+    } else if (isPlainObject(value)) {
+        for (const [childKey, child] of Object.entries(value)) collectJsonIdeas(child, childKey, out);
+    }
+}
+
+function extractJsonIdeas(text) {
+    for (const candidate of jsonCandidates(text)) {
+        let value;
+        try {
+            value = JSON.parse(candidate);
+        } catch {
+            continue;
+        }
+        const ideas = [];
+        collectJsonIdeas(value, null, ideas);
+        if (ideas.length > 0) return locateJsonIdeas(text, ideas);
+    }
+    return [];
+}
+
+/**
+ * Span of each JSON idea in the answer: from the first to the last of its string
+ * values, found as JSON-escaped text after the previous idea. Null when not found.
+ */
+function locateJsonIdeas(text, ideas) {
+    let cursor = 0;
+    return ideas.map(({ sourceStrings, ...idea }) => {
+        const found = sourceStrings
+            .map((value) => {
+                const escaped = JSON.stringify(value).slice(1, -1);
+                const start = text.indexOf(escaped, cursor);
+                return start < 0 ? null : { start, end: start + escaped.length };
+            })
+            .filter(Boolean);
+        if (found.length === 0) return { ...idea, start: null, end: null };
+
+        const start = Math.min(...found.map((f) => f.start));
+        const end = Math.max(...found.map((f) => f.end));
+        cursor = start;
+        return { ...idea, start, end };
+    });
+}
+
+// ─────────────────────────────────────────────
+// Markdown answers
+// ─────────────────────────────────────────────
+
+/**
+ * Group lines into sections (one per heading or bold-only line) holding list items,
+ * paragraphs and tables. Nested list items and continuation lines stay with their item.
+ */
+function parseMarkdownSections(text) {
+    const sections = [];
+    const headingStack = [];
+    let section = { heading: null, path: [], entries: [] };
+    sections.push(section);
+    let entry = null;
+    let afterBlank = false;
+    let inFence = false;
+
+    const startSection = (level, title, start) => {
+        while (headingStack.length && headingStack[headingStack.length - 1].level >= level) headingStack.pop();
+        section = { heading: title, headingStart: start, path: headingStack.map((h) => h.title), entries: [] };
+        headingStack.push({ level, title });
+        sections.push(section);
+        entry = null;
+    };
+
+    let lineStart = 0;
+    for (const rawLine of text.split('\n')) {
+        const line = rawLine.replace(/\r$/, '');
+        // Span of the line's text, without indentation or trailing whitespace
+        const start = lineStart + (line.length - line.trimStart().length);
+        const end = lineStart + line.trimEnd().length;
+        lineStart += rawLine.length + 1;
+
+        if (FENCE.test(line)) {
+            inFence = !inFence;
+            entry = null;
+            continue;
+        }
+        if (inFence) continue;
+
+        const heading = line.match(HEADING);
+        const boldLine = !heading && line.match(BOLD_LINE);
+        if (heading || boldLine) {
+            // Bold-only lines act as headings below every real heading level
+            startSection(heading ? heading[1].length : 7, cleanTitle(heading ? heading[2] : boldLine[1]), start);
+            continue;
+        }
+
+        if (!line.trim() || HORIZONTAL_RULE.test(line)) {
+            afterBlank = true;
+            if (entry?.type === 'paragraph' || entry?.type === 'table') entry = null;
+            continue;
+        }
+
+        if (TABLE_ROW.test(line)) {
+            if (entry?.type !== 'table') {
+                entry = { type: 'table', rows: [] };
+                section.entries.push(entry);
+            }
+            if (!TABLE_SEPARATOR.test(line)) {
+                const cells = line.trim().replace(/^\||\|$/g, '').split('|').map((cell) => cleanInline(cell));
+                entry.rows.push({ cells, start, end });
+            }
+            afterBlank = false;
+            continue;
+        }
+
+        const indent = line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            if (entry?.type === 'item' && indent > entry.indent) {
+                // Nested items read as a list within the body
+                const last = entry.lines.length - 1;
+                if (last > 0 && !/[.!?;:]$/.test(entry.lines[last])) entry.lines[last] += ';';
+                entry.lines.push(item[2]);
+                entry.end = end;
+            } else {
+                entry = { type: 'item', indent, lines: [item[2]], start, end };
+                section.entries.push(entry);
+            }
+        } else if (entry?.type === 'item' && (!afterBlank || indent > entry.indent)) {
+            entry.lines.push(line.trim());
+            entry.end = end;
+        } else if (entry?.type === 'paragraph' && !/[.!?)]\s*$/.test(entry.lines[entry.lines.length - 1])) {
+            // Hard-wrapped prose; a line ending a sentence ends the paragraph
+            entry.lines.push(line.trim());
+            entry.end = end;
+        } else {
+            entry = { type: 'paragraph', lines: [line.trim()], start, end };
+            section.entries.push(entry);
+        }
+        afterBlank = false;
+    }
+
+    return sections;
+}
+
+/** One idea per table row: the first cell as title, the others as "Header: value" */
+function tableIdeas(rows, section) {
+    if (rows.length < 2) return [];
+    const [{ cells: header }, ...data] = rows;
+    return data.map(({ cells, start, end }) => {
+        if (cells.length === 1) return { title: null, body: cells[0], section, start, end };
+        const details = cells
+            .slice(1)
+            .map((cell, idx) => (header[idx + 1] ? `${header[idx + 1]}: ${cell}` : cell))
+            .filter((part) => part && !/:\s*$/.test(part));
+        return { title: cleanTitle(cells[0]), body: details.join('; '), section, start, end };
+    });
+}
+
+function extractMarkdownIdeas(text) {
+    const ideas = [];
+
+    for (const section of parseMarkdownSections(text)) {
+        const label = (path) => (path.length ? path.join(' > ') : null);
+        const fullPath = section.heading ? [...section.path, section.heading] : section.path;
+        // Paragraphs ending with a colon introduce what follows
+        const paragraphs = section.entries.filter(
+            (e) => e.type === 'paragraph' && !/:\s*$/.test(e.lines[e.lines.length - 1])
+        );
+        const hasItems = section.entries.some((e) => e.type === 'item');
+        const leadIns = paragraphs.filter((p) => splitLeadIn(p.lines.join('\n')).title && /^\s*(\*\*|__)/.test(p.lines[0]));
+
+        // A heading over plain paragraphs is one idea: the heading is its title
+        if (section.heading && !hasItems && paragraphs.length > 0 && leadIns.length < 2) {
+            ideas.push({
+                title: section.heading,
+                body: paragraphs.map((p) => cleanInline(p.lines.join('\n'))).join(' '),
+                section: label(section.path),
+                start: section.headingStart,
+                end: paragraphs[paragraphs.length - 1].end,
+            });
+            for (const table of section.entries.filter((e) => e.type === 'table')) {
+                ideas.push(...tableIdeas(table.rows, label(fullPath)));
+            }
+            continue;
+        }
+
+        for (const entry of section.entries) {
+            if (entry.type === 'table') {
+                ideas.push(...tableIdeas(entry.rows, label(fullPath)));
+            } else if (entry.type === 'item' || paragraphs.includes(entry)) {
+                ideas.push({
+                    ...splitLeadIn(entry.lines.join('\n')),
+                    section: label(fullPath),
+                    start: entry.start,
+                    end: entry.end,
+                });
+            }
+        }
+    }
+
+    return ideas;
+}
+
+/**
+ * Extract ideas from one raw model answer. JSON idea arrays (bare or in a code fence)
+ * are used when the answer has them; otherwise the answer is read as markdown.
+ *
+ * @param {string} rawText
+ * @returns {Array<{ title: string|null, body: string, section: string|null, start: number|null, end: number|null }>}
+ *   `section` is the heading path ("Quick wins > Tooling") or JSON category the idea appeared under;
+ *   `rawText.slice(start, end)` is the text the idea was read from (null when a JSON value cannot be located)
+ */
+function extractIdeas(rawText) {
+    if (!rawText || !rawText.trim()) return [];
+    const jsonIdeas = extractJsonIdeas(rawText);
+    const ideas = jsonIdeas.length > 0 ? jsonIdeas : extractMarkdownIdeas(rawText);
+    return ideas.filter((idea) => ideaLength(idea) > MIN_IDEA_CHARS);
+}
+
+export { extractIdeas };
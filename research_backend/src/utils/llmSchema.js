@@ -115,19 +115,229 @@ const deepeningResponseSchema = {
     },
 };
 
+// ─────────────────────────────────────────────
+// Schema: Critique Response (cross-model critique round)
+// ─────────────────────────────────────────────
+const critiqueSchema = {
+    type: 'object',
+    required: ['idea_id', 'strengths', 'flaws', 'score'],
+    properties: {
+        idea_id: { type: 'string', minLength: 1 },
+        strengths: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1 } },
+        flaws: { type: 'array', maxItems: 5, items: { type: 'string', minLength: 1 } },
+        score: { type: 'number', minimum: 0, maximum: 1 },
+    },
+};
+
+const critiqueResponseSchema = {
+    type: 'object',
+    required: ['critiques'],
+    properties: {
+        critiques: {
+            type: 'array',
+            minItems: 1,
+            items: critiqueSchema,
+        },
+    },
+};
+
+// ─────────────────────────────────────────────
+// Schema: Judgment Response (pairwise ranking tournament)
+// ─────────────────────────────────────────────
+const judgmentResponseSchema = {
+    type: 'object',
+    required: ['winner', 'reasoning'],
+    properties: {
+        winner: { type: 'string', enum: ['A', 'B', 'tie'] },
+        reasoning: { type: 'string', minLength: 10 },
+    },
+};
+
+// ─────────────────────────────────────────────
+// Schema: Abstractive Synthesis Response (one idea cluster)
+// ─────────────────────────────────────────────
+const implementationPhaseSchema = {
+    type: 'object',
+    required: ['phase', 'objective', 'actions'],
+    properties: {
+        phase: { type: 'string', minLength: 1 },
+        objective: { type: 'string', minLength: 10 },
+        actions: { type: 'array', minItems: 1, maxItems: 6, items: { type: 'string', minLength: 1 } },
+        duration: { type: 'string' },
+    },
+};
+
+const synthesisResponseSchema = {
+    type: 'object',
+    required: ['title', 'summary', 'strategic_thesis', 'mechanism', 'implementation_framework'],
+    properties: {
+        title: { type: 'string', minLength: 5, maxLength: 200 },
+        summary: { type: 'string', minLength: 30 },
+        strategic_thesis: { type: 'string', minLength: 30 },
+        mechanism: { type: 'string', minLength: 30 },
+        implementation_framework: {
+            type: 'object',
+            required: ['phases'],
+            properties: {
+                phases: { type: 'array', minItems: 2, maxItems: 5, items: implementationPhaseSchema },
+            },
+        },
+    },
+};
+
 // Compile validators
 const validateLlmResponse = ajv.compile(llmResponseSchema);
 const validateDeepeningResponse = ajv.compile(deepeningResponseSchema);
+const validateCritiqueResponse = ajv.compile(critiqueResponseSchema);
+const validateJudgmentResponse = ajv.compile(judgmentResponseSchema);
+const validateSynthesisResponse = ajv.compile(synthesisResponseSchema);
+
+// Validators for task types whose schema does not depend on request options
+const fixedValidators = {
+    deepening: validateDeepeningResponse,
+    critique: validateCritiqueResponse,
+    judgment: validateJudgmentResponse,
+    synthesis: validateSynthesisResponse,
+};
+
+// Research validators for prompt templates with custom categories, keyed by category list
+const customCategoryValidators = new Map();
+
+function getResearchValidator(categories) {
+    if (!categories) return validateLlmResponse;
+
+    const key = categories.join('|');
+    if (!customCategoryValidators.has(key)) {
+        customCategoryValidators.set(key, ajv.compile({
+            ...llmResponseSchema,
+            properties: {
+                ideas: {
+                    ...llmResponseSchema.properties.ideas,
+                    items: {
+                        ...ideaSchema,
+                        properties: {
+                            ...ideaSchema.properties,
+                            category: { type: 'string', enum: categories },
+                        },
+                    },
+                },
+            },
+        }));
+    }
+    return customCategoryValidators.get(key);
+}
+
+/**
+ * Close a JSON document that was cut off mid-way (e.g. by max_tokens).
+ * Drops the trailing incomplete element and closes every open array/object
+ * after the last complete array element. Trailing commas before a closing
+ * bracket/brace are dropped on the way; commas inside strings are kept.
+ *
+ * @param {string} text
+ * @returns {string|null} Balanced text, or null when nothing complete can be salvaged
+ */
+function closeTruncatedJson(text) {
+    const stack = [];
+    let out = '';
+    let inString = false;
+    let escaped = false;
+    let lastSafe = null; // { index, stack } after the last complete array element
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            out += ch;
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '}' || ch === ']') {
+            out = dropTrailingComma(out);
+            out += ch;
+            stack.pop();
+            if (stack[stack.length - 1] === '[') {
+                lastSafe = { index: out.length, stack: [...stack] };
+            }
+            continue;
+        }
+        out += ch;
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch);
+        }
+    }
+
+    if (stack.length === 0 && !inString) return out;
+    if (!lastSafe) return null;
+
+    const closers = lastSafe.stack
+        .reverse()
+        .map((open) => (open === '{' ? '}' : ']'))
+        .join('');
+    return out.slice(0, lastSafe.index) + closers;
+}
+
+/**
+ * Remove a comma (and the whitespace after it) from the end of the JSON text
+ * scanned so far. Only called outside strings, so a final comma is structural.
+ * @private
+ */
+function dropTrailingComma(out) {
+    let end = out.length;
+    while (end > 0 && /\s/.test(out[end - 1])) end--;
+    return out[end - 1] === ',' ? out.slice(0, end - 1) : out;
+}
+
+/**
+ * Tolerant JSON fixer for common LLM output mistakes: code fences or prose
+ * around the object, trailing commas and truncated arrays.
+ *
+ * @param {string} rawText
+ * @returns {string|null} Repaired JSON text, or null when it cannot be repaired
+ */
+function repairJsonText(rawText) {
+    let text = rawText.trim();
+
+    // Prefer the content of a fenced block anywhere in the output
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fenced) text = fenced[1].trim();
+
+    // Drop any preamble/epilogue around the top-level object
+    const start = text.indexOf('{');
+    if (start === -1) return null;
+    const end = text.lastIndexOf('}');
+    text = end > start ? text.slice(start, end + 1) : text.slice(start);
+
+    // Also drops trailing commas before a closing bracket/brace
+    return closeTruncatedJson(text);
+}
+
+/**
+ * Format validation errors as short human/LLM-readable lines.
+ * @param {Array<Object>} errors - AJV errors or { message } parse errors
+ * @returns {string[]}
+ */
+function formatValidationErrors(errors = []) {
+    return errors.map((e) => {
+        const location = e.instancePath || (e.keyword ? '(root)' : '');
+        const allowed = e.params?.allowedValues ? ` (allowed: ${e.params.allowedValues.join(', ')})` : '';
+        return `${location ? `${location}: ` : ''}${e.message}${allowed}`;
+    });
+}
 
 /**
  * Parses raw LLM text output and validates against schema.
  * Strips markdown code fences if present (models sometimes wrap JSON in ```json).
  *
  * @param {string} rawText - Raw text from LLM
- * @param {'research' | 'deepening'} type - Which schema to validate against
+ * @param {'research' | 'deepening' | 'critique' | 'judgment' | 'synthesis'} type - Which schema to validate against
+ * @param {Object} [options]
+ * @param {string[]} [options.categories] - Allowed idea categories (prompt template override)
  * @returns {{ valid: boolean, data: Object|null, errors: Array|null }}
  */
-function parseAndValidateLlmOutput(rawText, type = 'research') {
+function parseAndValidateLlmOutput(rawText, type = 'research', options = {}) {
     // Strip markdown code fences
     let cleaned = rawText.trim();
     cleaned = cleaned.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
@@ -144,7 +354,7 @@ function parseAndValidateLlmOutput(rawText, type = 'research') {
         };
     }
 
-    const validator = type === 'deepening' ? validateDeepeningResponse : validateLlmResponse;
+    const validator = fixedValidators[type] || getResearchValidator(options.categories);
     const valid = validator(parsed);
 
     if (!valid) {
@@ -160,7 +370,12 @@ function parseAndValidateLlmOutput(rawText, type = 'research') {
 
 export {
     parseAndValidateLlmOutput,
+    repairJsonText,
+    formatValidationErrors,
     llmResponseSchema,
     deepeningResponseSchema,
+    critiqueResponseSchema,
+    judgmentResponseSchema,
+    synthesisResponseSchema,
     ideaSchema,
 };
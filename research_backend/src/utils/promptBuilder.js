@@ -5,27 +5,132 @@
  * The prompt enforces strict JSON output to ensure consistent parsing.
  */
 
-const SYSTEM_PROMPT = `You are an expert research analyst and creative strategist.
+import { ValidationError } from './errors.js';
+
+// Defaults used when a request does not reference a prompt template
+const DEFAULT_RESEARCH_TEMPLATE = {
+    ideaCount: 5,
+    persona: 'You are an expert research analyst and creative strategist.',
+    tone: null,
+    categories: ['technical', 'business', 'research', 'design', 'policy', 'other'],
+    extraInstructions: null,
+};
+
+// {{variable}} placeholders in template text fields
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+const TEMPLATED_FIELDS = ['persona', 'tone', 'extraInstructions'];
+
+/**
+ * Names of all {{variables}} referenced by a template's text fields.
+ * @param {Object} template
+ * @returns {string[]}
+ */
+function getTemplateVariableRefs(template) {
+    const refs = new Set();
+    for (const field of TEMPLATED_FIELDS) {
+        for (const match of (template[field] || '').matchAll(VARIABLE_PATTERN)) {
+            refs.add(match[1]);
+        }
+    }
+    return [...refs];
+}
+
+/**
+ * Substitute request-supplied variable values into a template.
+ * Declared variables without a default are required.
+ *
+ * @param {Object} template - Template with `variables: [{ name, description?, default? }]`
+ * @param {Object} [values] - Variable name → value
+ * @returns {Object} Template with persona/tone/extraInstructions rendered
+ * @throws {ValidationError} On missing required or undeclared variables
+ */
+function applyTemplateVariables(template, values = {}) {
+    const declared = new Map((template.variables || []).map((v) => [v.name, v]));
+
+    const unknown = Object.keys(values).filter((name) => !declared.has(name));
+    if (unknown.length > 0) {
+        throw new ValidationError(`Unknown template variables: ${unknown.join(', ')}`, {
+            declared: [...declared.keys()],
+        });
+    }
+
+    const resolved = {};
+    for (const [name, def] of declared) {
+        const value = values[name] ?? def.default;
+        if (value === undefined || value === null) {
+            throw new ValidationError(`Template variable "${name}" is required`);
+        }
+        resolved[name] = String(value);
+    }
+
+    const render = (text) => (text ? text.replace(VARIABLE_PATTERN, (_, name) => resolved[name] ?? '') : text);
+    return {
+        ...template,
+        persona: render(template.persona),
+        tone: render(template.tone),
+        extraInstructions: render(template.extraInstructions),
+    };
+}
+
+/**
+ * Fill fields a template leaves unset with the built-in defaults.
+ * @param {Object} [template]
+ * @returns {Object}
+ */
+function withTemplateDefaults(template) {
+    const set = Object.entries(template || {}).filter(([, v]) => v !== null && v !== undefined);
+    return { ...DEFAULT_RESEARCH_TEMPLATE, ...Object.fromEntries(set) };
+}
+
+/**
+ * Reference material block built from ranked project file passages.
+ * @param {Array<{ fileName: string, text: string }>} passages
+ * @returns {string}
+ */
+function formatGroundingPassages(passages) {
+    const excerpts = passages.map((p, idx) => `[${idx + 1}] From "${p.fileName}":\n${p.text}`).join('\n\n');
+    return `
+REFERENCE MATERIAL (excerpts from the project's files, most relevant first):
+${excerpts}
+
+Ground your ideas in this material where it is relevant, but do not limit yourself to it.
+`;
+}
+
+/**
+ * @param {string} problemStatement - The user's problem statement
+ * @param {Object} [template] - Rendered prompt template (see applyTemplateVariables)
+ * @param {Array<{ fileName: string, text: string }>} [passages] - Project file excerpts to ground
+ *   the ideas in (see groundingService.buildGroundingContext)
+ * @returns {{ system: string, user: string }}
+ */
+function buildResearchPrompt(problemStatement, template = null, passages = null) {
+    const { ideaCount, persona, tone, categories, extraInstructions } = withTemplateDefaults(template);
+
+    let system = `${persona}
 Your task is to generate high-quality, actionable ideas in response to a problem statement.
 
 STRICT RULES:
 1. You MUST respond with ONLY valid JSON — no markdown, no explanation, no preamble.
-2. Generate exactly 5 distinct, non-overlapping ideas.
+2. Generate exactly ${ideaCount} distinct, non-overlapping ideas.
 3. Every field is required — do not omit any field.
 4. confidence_score and novelty_score must be floats between 0.0 and 1.0.
-5. category must be one of: technical, business, research, design, policy, other.
+5. category must be one of: ${categories.join(', ')}.
 6. tags must be an array of 3–6 lowercase keyword strings.
 7. Do NOT repeat ideas — each must explore a genuinely different angle.
 8. Ideas must be specific, not generic platitudes.`;
+    if (tone) {
+        system += `\n9. Write every idea in a ${tone} tone.`;
+    }
 
-const OUTPUT_SCHEMA_DESCRIPTION = `
+    const outputSchemaDescription = `
 {
   "ideas": [
     {
       "title": "string (max 120 chars, clear and specific)",
       "description": "string (150–400 words, detailed explanation of the idea)",
       "rationale": "string (50–150 words, why this idea is promising and worth pursuing)",
-      "category": "technical | business | research | design | policy | other",
+      "category": "${categories.join(' | ')}",
       "confidence_score": 0.0-1.0,
       "novelty_score": 0.0-1.0,
       "tags": ["tag1", "tag2", "tag3"]
@@ -33,21 +138,47 @@ const OUTPUT_SCHEMA_DESCRIPTION = `
   ]
 }`;
 
+    const additional = extraInstructions ? `\nADDITIONAL INSTRUCTIONS:\n${extraInstructions}\n` : '';
+    const grounding = passages?.length ? formatGroundingPassages(passages) : '';
+
+    const user = `PROBLEM STATEMENT:
+${problemStatement}
+${grounding}
+Generate ${ideaCount} creative, high-quality, and actionable research ideas to address this problem.
+Each idea should explore a fundamentally different angle or approach.
+${additional}
+Respond ONLY with valid JSON matching this exact structure:
+${outputSchemaDescription}`;
+
+    return { system, user };
+}
+
 /**
- * @param {string} problemStatement - The user's problem statement
+ * Builds the free-text prompt used by the multi-model (raw output) endpoint.
+ * @param {string} input - Research input/question
+ * @param {Object} [template] - Rendered prompt template (see applyTemplateVariables)
  * @returns {{ system: string, user: string }}
  */
-function buildResearchPrompt(problemStatement) {
-    const user = `PROBLEM STATEMENT:
-${problemStatement}
+function buildMultiModelPrompt(input, template = null) {
+    if (!template) {
+        return {
+            system: 'You are a helpful research assistant. Provide clear, detailed responses.',
+            user: input,
+        };
+    }
 
-Generate 5 creative, high-quality, and actionable research ideas to address this problem.
-Each idea should explore a fundamentally different angle or approach.
+    const { ideaCount, persona, tone, categories, extraInstructions } = withTemplateDefaults(template);
 
-Respond ONLY with valid JSON matching this exact structure:
-${OUTPUT_SCHEMA_DESCRIPTION}`;
+    const system = [persona, tone ? `Write in a ${tone} tone.` : null, 'Provide clear, detailed responses.']
+        .filter(Boolean)
+        .join(' ');
+    const user = [
+        input,
+        `Propose ${ideaCount} distinct ideas, each labelled with one of these categories: ${categories.join(', ')}.`,
+        extraInstructions,
+    ].filter(Boolean).join('\n\n');
 
-    return { system: SYSTEM_PROMPT, user };
+    return { system, user };
 }
 
 /**
@@ -119,4 +250,158 @@ ${deepeningSchema}`;
     return { system, user };
 }
 
-export { buildResearchPrompt, buildDeepeningPrompt };
+/**
+ * Builds the cross-model critique prompt: a model reviews ideas that other
+ * models generated for the same problem.
+ * @param {string} problemStatement - Original problem statement
+ * @param {Array<{ ref: string, title: string, description: string, rationale: string }>} ideas -
+ *   Ideas to critique; `ref` is the short label the model must echo back as idea_id
+ * @returns {{ system: string, user: string }}
+ */
+function buildCritiquePrompt(problemStatement, ideas) {
+    const listing = ideas
+        .map((idea) => `[${idea.ref}] ${idea.title}
+Description: ${idea.description}
+Rationale: ${idea.rationale}`)
+        .join('\n\n');
+
+    const critiqueSchema = `{
+  "critiques": [
+    {
+      "idea_id": "string (the label in square brackets, e.g. ${ideas[0]?.ref || 'I1'})",
+      "strengths": ["strength1", "strength2"],
+      "flaws": ["flaw1", "flaw2"],
+      "score": 0.0-1.0
+    }
+  ]
+}`;
+
+    const system = `You are a rigorous, impartial reviewer of research ideas written by other analysts.
+Judge each idea on how well it addresses the problem, its feasibility and its originality.
+Respond ONLY with valid JSON. No markdown, no explanation outside the JSON structure.`;
+
+    const user = `PROBLEM STATEMENT:
+${problemStatement}
+
+IDEAS TO REVIEW:
+${listing}
+
+TASK: Critique every idea above. For each one give 1–3 specific strengths, 1–3 specific flaws
+or risks, and an overall score between 0.0 (unusable) and 1.0 (excellent). Be critical — do not
+give every idea a similar score.
+
+Respond ONLY with valid JSON matching this exact structure, with one entry per idea:
+${critiqueSchema}`;
+
+    return { system, user };
+}
+
+/**
+ * Builds the pairwise judging prompt used by the ranking tournament.
+ * @param {string} problemStatement - Original problem statement
+ * @param {Object} ideaA
+ * @param {Object} ideaB
+ * @returns {{ system: string, user: string }}
+ */
+function buildJudgmentPrompt(problemStatement, ideaA, ideaB) {
+    const describe = (idea) => `Title: ${idea.title}
+Description: ${idea.description}
+Rationale: ${idea.rationale}`;
+
+    const system = `You are an impartial judge comparing two research ideas.
+Decide which idea better addresses the problem, weighing impact, feasibility and originality.
+The order in which the ideas are shown carries no meaning.
+Respond ONLY with valid JSON. No markdown, no explanation outside the JSON structure.`;
+
+    const user = `PROBLEM STATEMENT:
+${problemStatement}
+
+IDEA A:
+${describe(ideaA)}
+
+IDEA B:
+${describe(ideaB)}
+
+TASK: Pick the stronger idea. Answer "tie" only if neither is meaningfully better.
+
+Respond ONLY with valid JSON matching this exact structure:
+{
+  "winner": "A | B | tie",
+  "reasoning": "string (2–4 sentences explaining the decision)"
+}`;
+
+    return { system, user };
+}
+
+/**
+ * Builds the abstractive synthesis prompt: turn one cluster of related idea
+ * fragments (from several models) into a single developed strategic idea.
+ * @param {Array<{ text: string, source: string }>} fragments - The cluster's fragments
+ * @param {string} [problemStatement] - Original question, when known
+ * @returns {{ system: string, user: string }}
+ */
+function buildSynthesisPrompt(fragments, problemStatement = null) {
+    const listing = fragments.map((f) => `- (${f.source}) ${f.text}`).join('\n');
+
+    const synthesisSchema = `{
+  "title": "string (concise, specific idea name, 3–10 words)",
+  "summary": "string (1–2 sentences: what the idea is)",
+  "strategic_thesis": "string (why this is the right bet: the insight and the advantage it creates)",
+  "mechanism": "string (the causal chain: how doing this produces the intended outcome)",
+  "implementation_framework": {
+    "phases": [
+      {
+        "phase": "string (e.g. Pilot)",
+        "objective": "string",
+        "actions": ["action1", "action2"],
+        "duration": "string (e.g. 4–6 weeks)"
+      }
+    ]
+  }
+}`;
+
+    const system = `You are a senior research strategist synthesizing findings from several AI analysts.
+Merge overlapping points into one coherent, well-argued idea; do not simply repeat the longest fragment.
+Respond ONLY with valid JSON. No markdown, no explanation outside the JSON structure.`;
+
+    const user = `${problemStatement ? `PROBLEM STATEMENT:\n${problemStatement}\n\n` : ''}RELATED IDEA FRAGMENTS (model in brackets):
+${listing}
+
+TASK: Synthesize these fragments into ONE strategic idea. Give it a real title, state the strategic
+thesis, explain the causal mechanism, and lay out a phased implementation framework (2–5 phases,
+in order). Stay faithful to the fragments — do not introduce unrelated ideas.
+
+Respond ONLY with valid JSON matching this exact structure:
+${synthesisSchema}`;
+
+    return { system, user };
+}
+
+/**
+ * Builds the follow-up message asking a model to fix output that failed schema validation.
+ * Sent after the model's own previous reply, so it only needs to describe the errors.
+ * @param {string[]} errorLines - From formatValidationErrors
+ * @returns {string}
+ */
+function buildRepairPrompt(errorLines) {
+    return `Your previous response could not be used: it is not valid JSON matching the required structure.
+
+VALIDATION ERRORS:
+${errorLines.slice(0, 20).map((line) => `- ${line}`).join('\n')}
+
+Respond again with ONLY the corrected JSON object — same structure and content, fixed so every
+error above is resolved. No markdown, no explanation.`;
+}
+
+export {
+    DEFAULT_RESEARCH_TEMPLATE,
+    getTemplateVariableRefs,
+    applyTemplateVariables,
+    buildResearchPrompt,
+    buildMultiModelPrompt,
+    buildDeepeningPrompt,
+    buildCritiquePrompt,
+    buildJudgmentPrompt,
+    buildSynthesisPrompt,
+    buildRepairPrompt,
+};
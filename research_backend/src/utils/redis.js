@@ -0,0 +1,29 @@
+'use strict';
+
+import Redis from 'ioredis';
+import config from '../config/index.js';
+import logger from './logger.js';
+
+/**
+ * Create an ioredis client for pub/sub and small bookkeeping keys.
+ * Errors are logged rather than thrown so a Redis outage degrades features
+ * (progress events, cancellation) instead of crashing the process.
+ *
+ * @param {string} name - Used in log messages (e.g. 'progress publisher')
+ * @returns {Redis}
+ */
+function createRedisClient(name) {
+    const client = new Redis({
+        host: config.redis.host,
+        port: config.redis.port,
+        password: config.redis.password,
+        tls: config.redis.tls,
+        maxRetriesPerRequest: 2,
+    });
+    client.on('error', (err) => {
+        logger.warn(`Redis error (${name})`, { error: err.message });
+    });
+    return client;
+}
+
+export { createRedisClient };
@@ -0,0 +1,132 @@
+'use strict';
+
+import path from 'path';
+import { ValidationError } from './errors.js';
+
+// ─────────────────────────────────────────────
+// Plain-text extraction for project files (PDF, DOCX, Markdown, TXT, CSV)
+// The PDF and DOCX parsers are loaded on first use so the API starts without them.
+// ─────────────────────────────────────────────
+
+const FORMATS_BY_EXTENSION = {
+    '.pdf': 'pdf',
+    '.docx': 'docx',
+    '.md': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.csv': 'csv',
+};
+
+const FORMATS_BY_MIME_TYPE = {
+    'application/pdf': 'pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+    'text/markdown': 'markdown',
+    'text/x-markdown': 'markdown',
+    'text/plain': 'text',
+    'text/csv': 'csv',
+    'application/csv': 'csv',
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(FORMATS_BY_EXTENSION);
+
+/**
+ * Work out a file's format from its name, falling back to the MIME type
+ * (storage often serves files as application/octet-stream).
+ * @param {{ fileName?: string, mimeType?: string }} file
+ * @returns {string|null} 'pdf' | 'docx' | 'markdown' | 'text' | 'csv', or null when unsupported
+ */
+function detectFormat({ fileName, mimeType }) {
+    const ext = path.extname(fileName || '').toLowerCase();
+    if (FORMATS_BY_EXTENSION[ext]) return FORMATS_BY_EXTENSION[ext];
+    const mime = (mimeType || '').split(';')[0].trim().toLowerCase();
+    return FORMATS_BY_MIME_TYPE[mime] || null;
+}
+
+/** UTF-8 text without a byte order mark */
+const decodeUtf8 = (buffer) => buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+/**
+ * Split one CSV line into fields (RFC 4180 quoting).
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields.map((f) => f.trim());
+}
+
+/**
+ * Render CSV rows as "column: value" lines so passages keep their headers.
+ * Quoted fields spanning several lines are not supported.
+ * @param {string} csv
+ * @returns {string}
+ */
+function csvToText(csv) {
+    const lines = csv.split(/\r?\n/).filter((l) => l.trim());
+    if (lines.length === 0) return '';
+    const headers = splitCsvLine(lines[0]);
+    return lines.slice(1)
+        .map((line) => splitCsvLine(line)
+            .map((value, idx) => `${headers[idx] || `column ${idx + 1}`}: ${value}`)
+            .join('; '))
+        .join('\n');
+}
+
+/**
+ * Extract plain text from a file.
+ *
+ * @param {Buffer} buffer - File contents
+ * @param {{ fileName?: string, mimeType?: string }} file
+ * @returns {Promise<string>}
+ * @throws {ValidationError} When the format is not supported
+ */
+async function extractText(buffer, file) {
+    const format = detectFormat(file);
+    switch (format) {
+        case 'pdf': {
+            // Import the library entry directly: the package index runs a self-test when loaded as ESM
+            const { default: pdfParse } = await import('pdf-parse/lib/pdf-parse.js');
+            const { text } = await pdfParse(buffer);
+            return text;
+        }
+        case 'docx': {
+            const { default: mammoth } = await import('mammoth');
+            const { value } = await mammoth.extractRawText({ buffer });
+            return value;
+        }
+        case 'csv':
+            return csvToText(decodeUtf8(buffer));
+        case 'markdown':
+        case 'text':
+            return decodeUtf8(buffer);
+        default:
+            throw new ValidationError(
+                `Unsupported file type for "${file.fileName}" (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`
+            );
+    }
+}
+
+export { detectFormat, extractText, csvToText, SUPPORTED_EXTENSIONS };
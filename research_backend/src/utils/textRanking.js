@@ -0,0 +1,143 @@
+'use strict';
+
+// ─────────────────────────────────────────────
+// Lexical text ranking helpers (tokenizing, chunking, BM25, TF-IDF)
+// ─────────────────────────────────────────────
+
+const STOPWORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by',
+    'can', 'could', 'did', 'do', 'does', 'each', 'for', 'from', 'had', 'has', 'have', 'how', 'if', 'in',
+    'into', 'is', 'it', 'its', 'more', 'most', 'not', 'of', 'on', 'or', 'other', 'our', 'should', 'so',
+    'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+    'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with',
+    'would', 'you', 'your',
+]);
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Lowercase word tokens without stopwords or one-letter words.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Word n-grams (1 to maxN words) of a text, in order. Windows that contain a stopword,
+ * a one-letter word or a bare number are skipped, so phrases stay meaningful
+ * ("knowledge management", not "of knowledge").
+ * @param {string} text
+ * @param {number} [maxN=2]
+ * @returns {string[]}
+ */
+function ngrams(text, maxN = 2) {
+    const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    const usable = words.map((w) => w.length > 1 && !STOPWORDS.has(w) && !/^\d+$/.test(w));
+    const grams = [];
+    for (let n = 1; n <= maxN; n++) {
+        for (let i = 0; i + n <= words.length; i++) {
+            if (usable.slice(i, i + n).every(Boolean)) grams.push(words.slice(i, i + n).join(' '));
+        }
+    }
+    return grams;
+}
+
+/**
+ * Split text into overlapping chunks, preferring to break at paragraph,
+ * sentence or word boundaries.
+ *
+ * @param {string} text
+ * @param {{ chunkChars: number, overlap: number }} options
+ * @returns {Array<{ text: string, start: number, end: number }>} Offsets into `text`
+ */
+function chunkText(text, { chunkChars, overlap }) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+        let end = Math.min(start + chunkChars, text.length);
+        if (end < text.length) {
+            const window = text.slice(start, end);
+            const minBreak = Math.floor(chunkChars / 2);
+            const breakAt = [/\n\s*\n/g, /[.!?]\s/g, /\s/g]
+                .map((re) => Math.max(...[...window.matchAll(re)].map((m) => m.index + m[0].length), -1))
+                .find((idx) => idx >= minBreak);
+            if (breakAt !== undefined) end = start + breakAt;
+        }
+
+        const chunk = text.slice(start, end).trim();
+        if (chunk) chunks.push({ text: chunk, start, end });
+        if (end >= text.length) break;
+        start = Math.max(end - overlap, start + 1);
+        // Start the overlap on a word boundary
+        const nextSpace = text.slice(start, end).search(/\s/);
+        if (nextSpace >= 0) start += nextSpace;
+    }
+    return chunks;
+}
+
+/**
+ * Score documents against a query with Okapi BM25.
+ *
+ * @param {string} queryText
+ * @param {string[]} documents
+ * @returns {number[]} One score per document (0 when no query term matches)
+ */
+function bm25Scores(queryText, documents) {
+    const queryTerms = [...new Set(tokenize(queryText))];
+    const docTokens = documents.map(tokenize);
+    const avgLength = docTokens.reduce((sum, t) => sum + t.length, 0) / Math.max(docTokens.length, 1) || 1;
+
+    const docFreq = new Map();
+    for (const tokens of docTokens) {
+        for (const term of new Set(tokens)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+
+    return docTokens.map((tokens) => {
+        const termFreq = new Map();
+        for (const term of tokens) termFreq.set(term, (termFreq.get(term) || 0) + 1);
+
+        return queryTerms.reduce((score, term) => {
+            const tf = termFreq.get(term) || 0;
+            if (tf === 0) return score;
+            const df = docFreq.get(term);
+            const idf = Math.log(1 + (docTokens.length - df + 0.5) / (df + 0.5));
+            const norm = tf + BM25_K1 * (1 - BM25_B + (BM25_B * tokens.length) / avgLength);
+            return score + (idf * tf * (BM25_K1 + 1)) / norm;
+        }, 0);
+    });
+}
+
+/**
+ * TF-IDF weight of every term of every document. The idf is smoothed
+ * (ln((1 + N) / (1 + df)) + 1), so a term found in every document keeps a weight.
+ *
+ * @param {string[][]} documents - Terms of each document (e.g. from ngrams)
+ * @returns {Array<Map<string, number>>} term → weight, one map per document
+ */
+function tfidfWeights(documents) {
+    const docFreq = new Map();
+    for (const terms of documents) {
+        for (const term of new Set(terms)) docFreq.set(term, (docFreq.get(term) || 0) + 1);
+    }
+
+    return documents.map((terms) => {
+        const termFreq = new Map();
+        for (const term of terms) termFreq.set(term, (termFreq.get(term) || 0) + 1);
+
+        const weights = new Map();
+        for (const [term, count] of termFreq) {
+            const idf = Math.log((1 + documents.length) / (1 + docFreq.get(term))) + 1;
+            weights.set(term, (count / terms.length) * idf);
+        }
+        return weights;
+    });
+}
+
+export { tokenize, ngrams, chunkText, bm25Scores, tfidfWeights, STOPWORDS };
@@ -0,0 +1,115 @@
+/**
+ * Offline pipeline check: replays the committed fixtures in fixtures/offline-pipeline
+ * through research → synthesis → deepening, with no network, API keys or database.
+ *
+ *   npm run test:replay
+ *
+ * The fixtures were recorded with LLM_FIXTURE_MODE=record for PROBLEM below. If you
+ * change a prompt builder, the keys change too: re-record them and update RESEARCH_KEY.
+ */
+import assert from 'assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+process.env.LLM_FIXTURE_MODE = 'replay';
+process.env.LLM_FIXTURE_DIR = path.join(here, 'fixtures', 'offline-pipeline');
+process.env.EMBEDDING_BACKEND = 'hashed';
+process.env.EMBEDDING_CACHE = 'false';
+// Required by config; nothing here connects to them
+for (const key of ['DB_HOST', 'DB_NAME', 'DB_USER', 'DB_PASSWORD', 'API_KEY']) {
+  process.env[key] ??= 'offline';
+}
+
+const { default: logger } = await import('./src/utils/logger.js');
+// The miss checks log provider errors on purpose; set LOG_LEVEL to see the pipeline logs
+logger.silent = !process.env.LOG_LEVEL;
+
+const { fixtureKey } = await import('./src/providers/fixtureStore.js');
+const { executeAllProviders, executeDeepeningProvider } = await import('./src/providers/index.js');
+const { buildResearchPrompt, buildDeepeningPrompt } = await import('./src/utils/promptBuilder.js');
+const { default: SynthesisEngine } = await import('./src/services/synthesisEngine.js');
+const { FixtureNotFoundError } = await import('./src/utils/errors.js');
+
+const PROBLEM = 'How can smallholder farmers in East Africa reduce post-harvest losses and get better prices for their crops?';
+const MODELS = [{ id: 'deepseek/deepseek-chat' }, { id: 'mistralai/mistral-large' }];
+const RESEARCH_KEY = 'ff5fb49866e67ca811367bf6e7b76a45df4b83a76c91876d7e8dd2ec1d1e3ec6';
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (err) {
+    failures++;
+    console.error(`❌ ${name}\n   ${err.message}`);
+  }
+}
+
+const research = buildResearchPrompt(PROBLEM);
+const researchRequest = {
+  model: MODELS[0].id,
+  systemPrompt: research.system,
+  userPrompt: research.user,
+  jsonMode: true,
+};
+
+console.log('\n🔁 Offline pipeline (LLM fixture replay)\n');
+
+await check('fixtureKey is stable for the recorded research request', () => {
+  assert.equal(fixtureKey('openrouter', researchRequest), RESEARCH_KEY);
+});
+
+await check('fixtureKey ignores sampling parameters', () => {
+  assert.equal(fixtureKey('openrouter', { ...researchRequest, maxTokens: 512, temperature: 0.1 }), RESEARCH_KEY);
+});
+
+await check('fixtureKey changes with the adapter, JSON mode and follow-up turns', () => {
+  assert.notEqual(fixtureKey('local', researchRequest), RESEARCH_KEY);
+  assert.notEqual(fixtureKey('openrouter', { ...researchRequest, jsonMode: false }), RESEARCH_KEY);
+  assert.notEqual(fixtureKey('openrouter', { ...researchRequest, history: [{ role: 'user', content: 'More' }] }), RESEARCH_KEY);
+  assert.equal(fixtureKey('openrouter', { ...researchRequest, history: [] }), RESEARCH_KEY);
+});
+
+let successes = [];
+await check('research replays for every model', async () => {
+  const settled = await executeAllProviders(research.system, research.user, { models: MODELS });
+  assert.deepEqual(settled.map((item) => item.status), ['fulfilled', 'fulfilled']);
+  successes = settled.map((item) => item.result);
+  for (const result of successes) assert.equal(result.ideas.length, 3);
+});
+
+await check('synthesis merges the replayed outputs offline', async () => {
+  const rawOutputs = successes.map((result) => ({ model: result.model, raw_output: result.rawResponse }));
+  const synthesized = await new SynthesisEngine({ mode: 'extractive' }).synthesize(rawOutputs, { problemStatement: PROBLEM });
+  assert.equal(synthesized.metadata.totalIdeasExtracted, 6);
+  assert.equal(synthesized.metadata.embeddingModel, 'hashed-tfidf');
+  // Only the cold storage ideas are proposed by both models
+  assert.equal(synthesized.uniqueIdeas.length, 1);
+  assert.deepEqual([...synthesized.uniqueIdeas[0].derivedFromModels].sort(), MODELS.map((model) => model.id));
+});
+
+await check('deepening replays for a research idea', async () => {
+  const deepening = buildDeepeningPrompt(successes[0].ideas[0], PROBLEM, 1);
+  const result = await executeDeepeningProvider(MODELS[0].id, deepening.system, deepening.user);
+  assert.equal(result.result.idea_title, successes[0].ideas[0].title);
+});
+
+await check('a request without a fixture fails with FixtureNotFoundError', async () => {
+  const deepening = buildDeepeningPrompt(successes[0].ideas[0], PROBLEM, 2);
+  await assert.rejects(
+    executeDeepeningProvider(MODELS[0].id, deepening.system, deepening.user),
+    (err) => err instanceof FixtureNotFoundError && err.code === 'FIXTURE_NOT_FOUND'
+  );
+});
+
+await check('research misses fail each model with FIXTURE_NOT_FOUND', async () => {
+  const other = buildResearchPrompt(`${PROBLEM} Focus on coffee.`);
+  const settled = await executeAllProviders(other.system, other.user, { models: MODELS });
+  assert.deepEqual(settled.map((item) => item.error?.code), ['FIXTURE_NOT_FOUND', 'FIXTURE_NOT_FOUND']);
+});
+
+console.log(failures ? `\n${failures} check(s) failed\n` : '\nAll checks passed\n');
+process.exit(failures ? 1 : 0);
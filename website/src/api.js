@@ -52,11 +52,42 @@ function extractApiErrorMessage(data, status) {
 }
 
 // Research
-export const runMultiModel  = (input)    => request('POST', '/multimodel', { input })
+export const runMultiModel  = (input, sessionId) => request('POST', '/multimodel', { input, sessionId })
 export const runResearch    = (problem)  => request('POST', '/research', { problemStatement: problem })
 export const runResearchAsync = (problem)=> request('POST', '/research/async', { problemStatement: problem })
 export const pollJobStatus  = (jobId)    => request('GET', `/research/job/${jobId}`)
 
+// Progress stream (SSE). Uses fetch instead of EventSource so auth headers can be sent.
+// Retries while the session does not exist yet (the stream may open before the POST creates it).
+export async function streamResearchEvents(sessionId, onEvent, { signal, retries = 10 } = {}) {
+  let res
+  for (let attempt = 0; ; attempt++) {
+    res = await fetch(`${BASE_URL}/research/${sessionId}/events`, { headers: headers(), signal })
+    if (res.status !== 404 || attempt >= retries) break
+    await new Promise(r => setTimeout(r, 500))
+  }
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}))
+    throw new Error(extractApiErrorMessage(data, res.status))
+  }
+
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    let boundary
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const chunk = buffer.slice(0, boundary)
+      buffer = buffer.slice(boundary + 2)
+      const data = chunk.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('\n')
+      if (data) onEvent(JSON.parse(data))
+    }
+  }
+}
+
 // Sessions
 export const listSessions   = (params = {}) => {
   const q = new URLSearchParams({ limit: 20, offset: 0, ...params }).toString()
@@ -64,8 +95,12 @@ export const listSessions   = (params = {}) => {
 }
 export const getSession     = (id)       => request('GET', `/sessions/${id}`)
 export const deleteSession  = (id)       => request('DELETE', `/sessions/${id}`)
-export const synthesize     = (id)       => request('POST', `/sessions/${id}/synthesize`, {})
+export const synthesize     = (id, body = {}) => request('POST', `/sessions/${id}/synthesize`, body)
+export const listSyntheses  = (id)       => request('GET', `/sessions/${id}/syntheses`)
+export const getSynthesis   = (id, synthesisId) => request('GET', `/sessions/${id}/syntheses/${synthesisId}`)
 export const getSessionIdeas= (id)       => request('GET', `/sessions/${id}/ideas?unique=true`)
+export const forkSession    = (id, body) => request('POST', `/sessions/${id}/fork`, body)
+export const getSessionLineage = (id)    => request('GET', `/sessions/${id}/lineage`)
 
 // Ideas
 export const listSavedIdeas = (params = {}) => {
@@ -80,6 +115,12 @@ export const getRelatedIdeas= (id)       => request('GET', `/ideas/${id}/related
 export const deepenIdea     = (sessionId,ideaId,opts={}) =>
   request('POST', `/research/${sessionId}/deepen/${ideaId}`, opts)
 
+// Semantic search (research-session ideas + your library)
+export const searchIdeas    = (q, params = {}) => {
+  const query = new URLSearchParams({ q, ...params }).toString()
+  return request('GET', `/search/ideas?${query}`)
+}
+
 // Health
 export const healthCheck    = ()         => request('GET', '/health')
 
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { listSessions, deleteSession } from '../api'
+import { listSessions, deleteSession, forkSession } from '../api'
 import './PageShared.css'
 import './HistoryPage.css'
 
@@ -18,11 +18,42 @@ function fmtDate(iso) {
   })
 }
 
+// Order sessions as a fork tree: each session is followed by its forks (oldest first).
+// A fork whose parent is not in the list is shown at the top level.
+function buildSessionTree(sessions) {
+  const ids = new Set(sessions.map(s => s.id))
+  const children = new Map()
+  const roots = []
+  for (const session of sessions) {
+    const parentId = session.parent_session_id
+    if (parentId && ids.has(parentId)) {
+      if (!children.has(parentId)) children.set(parentId, [])
+      children.get(parentId).push(session)
+    } else {
+      roots.push(session)
+    }
+  }
+
+  const rows = []
+  const visit = (session, depth) => {
+    const forks = [...(children.get(session.id) || [])]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    rows.push({ session, depth, forkCount: forks.length })
+    forks.forEach(fork => visit(fork, depth + 1))
+  }
+  roots.forEach(session => visit(session, 0))
+  return rows
+}
+
 export default function HistoryPage() {
   const [sessions, setSessions] = useState([])
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [deleting, setDeleting] = useState(null)
+  const [forkingId, setForkingId] = useState(null)
+  const [forkText, setForkText] = useState('')
+  const [forkError, setForkError] = useState(null)
+  const [submittingFork, setSubmittingFork] = useState(false)
   const navigate = useNavigate()
 
   async function load() {
@@ -49,6 +80,27 @@ export default function HistoryPage() {
     setDeleting(null)
   }
 
+  function openFork(session) {
+    setForkingId(session.id)
+    setForkText(session.problemStatement || session.problem_statement || '')
+    setForkError(null)
+  }
+
+  async function handleFork(e) {
+    e.preventDefault()
+    setSubmittingFork(true)
+    setForkError(null)
+    try {
+      await forkSession(forkingId, { problemStatement: forkText.trim() })
+      setForkingId(null)
+      await load()
+    } catch (err) {
+      setForkError(err.message)
+    } finally {
+      setSubmittingFork(false)
+    }
+  }
+
   return (
     <div className="page history-page">
       <div className="page-header animate-fadeUp">
@@ -77,30 +129,68 @@ export default function HistoryPage() {
         </div>
       ) : (
         <div className="history-list animate-fadeIn">
-          {sessions.map(session => (
-            <div key={session.id} className="card card--glow history-row">
-              <div className="history-row__main">
-                <span className={`badge ${STATUS_BADGE[session.status] || 'badge--neutral'}`}>
-                  {session.status}
-                </span>
-                <p className="history-row__problem">{session.problemStatement || session.problem_statement}</p>
-              </div>
-              <div className="history-row__meta">
-                {session.uniqueIdeasCount > 0 && (
-                  <span className="history-row__stat">💡 {session.uniqueIdeasCount} ideas</span>
-                )}
-                <span className="history-row__date">{fmtDate(session.createdAt || session.created_at)}</span>
-              </div>
-              <div className="history-row__actions">
-                <span className="history-row__id mono">{session.id?.slice(0,8)}…</span>
-                <button
-                  className="btn btn--danger btn--sm"
-                  onClick={() => handleDelete(session.id)}
-                  disabled={deleting === session.id}
-                >
-                  {deleting === session.id ? '…' : '🗑'}
-                </button>
+          {buildSessionTree(sessions).map(({ session, depth, forkCount }) => (
+            <div key={session.id} className="history-node" style={{ marginLeft: depth * 28 }}>
+              <div className={`card card--glow history-row ${depth > 0 ? 'history-row--fork' : ''}`}>
+                <div className="history-row__main">
+                  {depth > 0 && <span className="history-row__branch">↳</span>}
+                  <span className={`badge ${STATUS_BADGE[session.status] || 'badge--neutral'}`}>
+                    {session.status}
+                  </span>
+                  <p className="history-row__problem">{session.problemStatement || session.problem_statement}</p>
+                </div>
+                <div className="history-row__meta">
+                  {session.uniqueIdeasCount > 0 && (
+                    <span className="history-row__stat">💡 {session.uniqueIdeasCount} ideas</span>
+                  )}
+                  {forkCount > 0 && (
+                    <span className="history-row__forks">⑂ {forkCount} {forkCount === 1 ? 'fork' : 'forks'}</span>
+                  )}
+                  <span className="history-row__date">{fmtDate(session.createdAt || session.created_at)}</span>
+                </div>
+                <div className="history-row__actions">
+                  <span className="history-row__id mono">{session.id?.slice(0,8)}…</span>
+                  <button
+                    className="btn btn--ghost btn--sm"
+                    onClick={() => (forkingId === session.id ? setForkingId(null) : openFork(session))}
+                    title="Rerun with an edited problem statement"
+                  >
+                    ⑂ Fork
+                  </button>
+                  <button
+                    className="btn btn--danger btn--sm"
+                    onClick={() => handleDelete(session.id)}
+                    disabled={deleting === session.id}
+                  >
+                    {deleting === session.id ? '…' : '🗑'}
+                  </button>
+                </div>
               </div>
+
+              {forkingId === session.id && (
+                <form className="card history-fork" onSubmit={handleFork}>
+                  <label className="history-fork__label">Problem statement for the fork</label>
+                  <textarea
+                    className="input"
+                    rows={4}
+                    value={forkText}
+                    onChange={e => setForkText(e.target.value)}
+                  />
+                  {forkError && <div className="research-error"><span>⚠</span> {forkError}</div>}
+                  <div className="history-fork__actions">
+                    <button type="button" className="btn btn--ghost btn--sm" onClick={() => setForkingId(null)}>
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      className="btn btn--primary btn--sm"
+                      disabled={submittingFork || forkText.trim().length < 20}
+                    >
+                      {submittingFork ? 'Forking…' : 'Run Fork'}
+                    </button>
+                  </div>
+                </form>
+              )}
             </div>
           ))}
         </div>
@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback } from 'react'
-import { listSavedIdeas, rateIdea, updateIdea, deleteIdea, getRelatedIdeas } from '../api'
+import { listSavedIdeas, rateIdea, updateIdea, deleteIdea, getRelatedIdeas, searchIdeas } from '../api'
 import './PageShared.css'
 import './LibraryPage.css'
 
@@ -13,6 +13,8 @@ export default function LibraryPage() {
   const [relatedIdeas, setRelatedIdeas] = useState([])
   const [editNotes, setEditNotes] = useState('')
   const [saving, setSaving] = useState(false)
+  const [semantic, setSemantic] = useState(null)
+  const [searching, setSearching] = useState(false)
 
   const load = useCallback(async () => {
     setLoading(true)
@@ -39,6 +41,21 @@ export default function LibraryPage() {
     !searchQ || (idea.title || idea.description)?.toLowerCase().includes(searchQ.toLowerCase())
   )
 
+  async function handleSemanticSearch() {
+    const q = searchQ.trim()
+    if (q.length < 2) return
+    setSearching(true)
+    setError(null)
+    try {
+      const res = await searchIdeas(q, { limit: 20 })
+      setSemantic(res.data)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setSearching(false)
+    }
+  }
+
   async function handleRate(idea, rating) {
     try {
       await rateIdea(idea.id, rating)
@@ -88,7 +105,16 @@ export default function LibraryPage() {
             placeholder="🔍  Search ideas…"
             value={searchQ}
             onChange={e => setSearchQ(e.target.value)}
+            onKeyDown={e => { if (e.key === 'Enter') handleSemanticSearch() }}
           />
+          <button
+            className="btn btn--primary btn--sm"
+            onClick={handleSemanticSearch}
+            disabled={searching || searchQ.trim().length < 2}
+            title="Find ideas with a similar meaning across all research sessions and your library"
+          >
+            {searching ? 'Searching…' : '✨ Search by meaning'}
+          </button>
           <button className="btn btn--ghost btn--sm" onClick={load}>↺ Refresh</button>
         </div>
 
@@ -111,6 +137,34 @@ export default function LibraryPage() {
 
       {error && <div className="research-error"><span>⚠</span> {error}</div>}
 
+      {semantic && (
+        <div className="library-semantic animate-fadeIn">
+          <div className="library-semantic__header">
+            <p className="section-label">
+              {semantic.results.length} ideas similar to “{semantic.query}”
+            </p>
+            <button className="btn btn--ghost btn--sm" onClick={() => setSemantic(null)}>✕ Clear</button>
+          </div>
+          {semantic.results.length === 0 ? (
+            <div className="library-related-item">No embedded ideas match yet</div>
+          ) : semantic.results.map(r => (
+            <div key={`${r.source}-${r.id}`} className="library-semantic__item">
+              <div className="library-semantic__top">
+                <span className={`badge ${r.source === 'library' ? 'badge--accent' : ''}`}>
+                  {r.source === 'library' ? 'Library' : 'Session'}
+                </span>
+                <span className="library-semantic__score">{Math.round(r.score * 100)}% match</span>
+              </div>
+              <div className="library-semantic__title">{r.title}</div>
+              {r.description && <p className="library-card__text">{r.description}</p>}
+              {r.session?.problemStatement && (
+                <div className="library-semantic__session">From: {r.session.problemStatement}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {loading ? (
         <div className="library-grid animate-fadeIn">
           {[...Array(6)].map((_, i) => (
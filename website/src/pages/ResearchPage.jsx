@@ -1,6 +1,6 @@
-import { useState, useRef } from 'react'
+import { useState, useRef, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { runMultiModel } from '../api'
+import { runMultiModel, streamResearchEvents } from '../api'
 import './PageShared.css'
 import './ResearchPage.css'
 
@@ -20,13 +20,23 @@ const MODEL_LABELS = {
   gemma:      'Gemma 3',
 }
 
+function getModelKey(modelId = '') {
+  const m = modelId.toLowerCase()
+  return MODELS.find(key => m.includes(key)) || null
+}
+
 export default function ResearchPage() {
   const [input, setInput] = useState('')
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
-  const [activeModel, setActiveModel] = useState(null)
+  const [modelStatus, setModelStatus] = useState({})
+  const [progress, setProgress] = useState(0)
+  const streamRef = useRef(null)
   const navigate = useNavigate()
 
+  // Stop listening for progress if the user leaves mid-run
+  useEffect(() => () => streamRef.current?.abort(), [])
+
   const charCount = input.length
   const isValid = charCount >= 10 && charCount <= 5000
 
@@ -35,31 +45,46 @@ export default function ResearchPage() {
     if (!isValid || loading) return
     setError(null)
     setLoading(true)
+    setModelStatus({})
+    setProgress(0)
 
-    // Animate model dots
-    let i = 0
-    const ticker = setInterval(() => {
-      setActiveModel(MODELS[i % MODELS.length])
-      i++
-    }, 400)
+    // Live per-model progress over SSE while the request runs.
+    // Without the stream the button keeps its plain "Querying models…" spinner.
+    const sessionId = crypto.randomUUID()
+    const stream = new AbortController()
+    streamRef.current = stream
+    streamResearchEvents(sessionId, handleProgressEvent, { signal: stream.signal })
+      .catch(() => {})
 
     try {
-      const data = await runMultiModel(input)
-      clearInterval(ticker)
-      setActiveModel(null)
+      const data = await runMultiModel(input, sessionId)
       // Store results for ResultsPage
       sessionStorage.setItem('pf_results', JSON.stringify(data))
       sessionStorage.setItem('pf_input', input)
       navigate('/results')
     } catch (err) {
-      clearInterval(ticker)
-      setActiveModel(null)
       setError(err.message)
     } finally {
+      stream.abort()
+      streamRef.current = null
       setLoading(false)
     }
   }
 
+  function handleProgressEvent(event) {
+    if (typeof event.progress === 'number') setProgress(event.progress)
+    const key = getModelKey(event.model)
+    if (!key) return
+    if (event.stage === 'provider_started') {
+      setModelStatus(prev => ({ ...prev, [key]: 'running' }))
+    } else if (event.stage === 'provider_finished') {
+      setModelStatus(prev => ({ ...prev, [key]: event.status === 'success' ? 'done' : 'failed' }))
+    }
+  }
+
+  const runningModel = MODELS.find(m => modelStatus[m] === 'running')
+  const doneCount = MODELS.filter(m => modelStatus[m] === 'done' || modelStatus[m] === 'failed').length
+
   return (
     <div className="page research-page">
       {/* Header */}
@@ -82,15 +107,23 @@ export default function ResearchPage() {
         {MODELS.map(m => (
           <div
             key={m}
-            className={`model-dot ${activeModel === m ? 'model-dot--active' : ''}`}
+            className={`model-dot ${modelStatus[m] ? `model-dot--${modelStatus[m]}` : ''}`}
             style={{ '--mc': MODEL_COLORS[m] }}
           >
             <div className="model-dot__pulse" />
             <span className="model-dot__label">{MODEL_LABELS[m]}</span>
+            {modelStatus[m] === 'done' && <span className="model-dot__mark">✓</span>}
+            {modelStatus[m] === 'failed' && <span className="model-dot__mark">✗</span>}
           </div>
         ))}
       </div>
 
+      {loading && (
+        <div className="research-progress animate-fadeIn">
+          <div className="research-progress__bar" style={{ width: `${progress}%` }} />
+        </div>
+      )}
+
       {/* Input form */}
       <form className="research-form animate-fadeUp" style={{ animationDelay: '0.2s' }} onSubmit={handleSubmit}>
         <div className="research-form__field">
@@ -127,7 +160,9 @@ export default function ResearchPage() {
           {loading ? (
             <>
               <div className="spinner" style={{ width: 18, height: 18 }} />
-              Querying {MODEL_LABELS[activeModel] || 'models'}…
+              {doneCount > 0
+                ? `${doneCount} / ${MODELS.length} models answered…`
+                : `Querying ${MODEL_LABELS[runningModel] || 'models'}…`}
             </>
           ) : (
             <>⚡ Execute Multi-Model Research</>
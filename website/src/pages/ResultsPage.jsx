@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
-import { synthesize, saveIdea } from '../api'
+import { synthesize, listSyntheses, getSynthesis, saveIdea } from '../api'
 import './PageShared.css'
 import './ResultsPage.css'
 
@@ -25,6 +25,30 @@ function getModelKey(modelId = '') {
   return 'deepseek'
 }
 
+// Rows of an idea's confidence breakdown, with what each score is based on
+const CONFIDENCE_PARTS = [
+  ['support', 'Support', c => `${c.supportingModels} of ${c.totalModels} models`],
+  ['diversity', 'Diversity', c => c.vendors.join(', ')],
+  ['cohesion', 'Cohesion', c => `${c.fragments} fragments (${c.method})`],
+  ['agreement', 'Track record', c => Object.entries(c.models).map(([m, r]) => `${m.split('/').pop()} ${Math.round(r * 100)}%`).join(', ')],
+]
+
+// Mark the provenance spans of the selected idea in a model's raw output
+function highlightSpans(text, spans) {
+  if (!text || spans.length === 0) return text
+  const parts = []
+  let pos = 0
+  ;[...spans].sort((a, b) => a.start - b.start).forEach(({ start, end }, i) => {
+    if (end <= pos) return
+    const from = Math.max(start, pos)
+    if (from > pos) parts.push(text.slice(pos, from))
+    parts.push(<mark key={i} className="results-model-card__highlight">{text.slice(from, end)}</mark>)
+    pos = end
+  })
+  parts.push(text.slice(pos))
+  return parts
+}
+
 export default function ResultsPage() {
   const navigate = useNavigate()
   const [results, setResults] = useState(null)
@@ -32,6 +56,9 @@ export default function ResultsPage() {
   const [sessionId, setSessionId] = useState(null)
   const [synthesis, setSynthesis] = useState(null)
   const [synthesizing, setSynthesizing] = useState(false)
+  const [synthMode, setSynthMode] = useState('extractive')
+  const [pastRuns, setPastRuns] = useState([])
+  const [selectedIdea, setSelectedIdea] = useState(null)
   const [synthError, setSynthError] = useState(null)
   const [expandedModel, setExpandedModel] = useState(null)
   const [savedIds, setSavedIds] = useState(new Set())
@@ -47,13 +74,42 @@ export default function ResultsPage() {
     if (inp) setInput(inp)
   }, [])
 
+  useEffect(() => {
+    if (sessionId) loadPastRuns()
+  }, [sessionId])
+
+  async function loadPastRuns() {
+    try {
+      const res = await listSyntheses(sessionId)
+      setPastRuns(res.data?.syntheses || [])
+    } catch {
+      // Past runs are optional: without them the run list stays empty
+      setPastRuns([])
+    }
+  }
+
+  async function handleLoadRun(run) {
+    if (synthesizing) return
+    setSynthError(null)
+    try {
+      const res = await getSynthesis(sessionId, run.id)
+      const stored = res.data.synthesis
+      setSynthesis({ sessionId, synthesisId: stored.id, runNumber: stored.runNumber, ...stored.result })
+      setSelectedIdea(null)
+    } catch (e) {
+      setSynthError(e.message)
+    }
+  }
+
   async function handleSynthesize() {
     if (!sessionId || synthesizing) return
     setSynthesizing(true)
     setSynthError(null)
     try {
-      const res = await synthesize(sessionId)
+      const res = await synthesize(sessionId, { mode: synthMode })
       setSynthesis(res.data)
+      setSelectedIdea(null)
+      loadPastRuns()
     } catch (e) {
       setSynthError(e.message)
     } finally {
@@ -61,20 +117,10 @@ export default function ResultsPage() {
     }
   }
 
-  async function handleSaveIdea(idea, ideaIdFallback) {
-    const ideaId = idea.id || ideaIdFallback || `idea-${Date.now()}`
-    if (savedIds.has(ideaId)) return
+  async function handleSaveIdea(ideaId) {
+    if (!ideaId || savedIds.has(ideaId)) return
     try {
-      await saveIdea({
-        sessionId,
-        ideaId: ideaId,
-        title: (idea.title || idea.description || idea.text || '').substring(0, 250),
-        description: idea.description || idea.text || '',
-        ideaType: idea.ideaType || 'synthesis_idea',
-        confidence: idea.confidence || 0.8,
-        supportCount: idea.supportCount || 1,
-        derivedFromModels: idea.derivedFromModels || [],
-      })
+      await saveIdea({ sessionId, ideaId })
       setSavedIds(prev => new Set([...prev, ideaId]))
     } catch (err) {
       if (err.message && err.message.toLowerCase().includes("already saved")) { setSavedIds(prev => new Set([...prev, ideaId])); } else { console.error("Save Idea failed:", err); alert("Failed to save idea: " + err.message); }
@@ -94,6 +140,10 @@ export default function ResultsPage() {
     )
   }
 
+  const selectedSpans = (synthesis?.uniqueIdeas?.[selectedIdea]?.provenance || [])
+    .filter(p => p.start != null && p.end != null)
+  const spansFor = (model) => selectedSpans.filter(p => p.model === model)
+
   return (
     <div className="page results-page">
       {/* Header */}
@@ -116,7 +166,8 @@ export default function ResultsPage() {
       <div className="results-grid animate-fadeUp" style={{ animationDelay: '0.1s' }}>
         {results.map((r, i) => {
           const key = getModelKey(r.model)
-          const isExpanded = expandedModel === i
+          const spans = spansFor(r.model)
+          const isExpanded = expandedModel === i || spans.length > 0
           return (
             <div
               key={i}
@@ -129,6 +180,9 @@ export default function ResultsPage() {
                   <span>{r.model?.split('/').pop() || r.model}</span>
                 </div>
                 <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                  {spans.length > 0 && (
+                    <span className="badge badge--accent">{spans.length} source{spans.length > 1 ? 's' : ''}</span>
+                  )}
                   {r.latencyMs && (
                     <span className="results-model-card__latency">{(r.latencyMs / 1000).toFixed(1)}s</span>
                   )}
@@ -145,7 +199,7 @@ export default function ResultsPage() {
                 <div className="results-model-card__error">{r.error}</div>
               ) : (
                 <div className={`results-model-card__output ${isExpanded ? 'expanded' : ''}`}>
-                  {r.output}
+                  {highlightSpans(r.output, spans)}
                 </div>
               )}
               {r.promptTokens && (
@@ -160,6 +214,27 @@ export default function ResultsPage() {
 
       {/* Synthesize section */}
       <div className="results-synthesis animate-fadeUp" style={{ animationDelay: '0.2s' }}>
+        {pastRuns.length > 0 && (
+          <div className="results-synthesis__runs">
+            <span className="section-label">Synthesis runs</span>
+            {pastRuns.map(run => (
+              <button
+                key={run.id}
+                className={`btn btn--sm ${synthesis?.synthesisId === run.id ? 'btn--primary' : 'btn--ghost'}`}
+                onClick={() => handleLoadRun(run)}
+                title={`Engine ${run.engineVersion} · ${run.uniqueIdeaCount} ideas`}
+              >
+                #{run.runNumber} · {run.parameters?.mode || 'extractive'} · {new Date(run.createdAt).toLocaleString()}
+              </button>
+            ))}
+            {synthesis && (
+              <button className="btn btn--sm btn--ghost" onClick={() => setSynthesis(null)}>
+                + New run
+              </button>
+            )}
+          </div>
+        )}
+
         {!synthesis && (
           <div className="results-synthesis__cta card">
             <div className="results-synthesis__cta-content">
@@ -169,6 +244,23 @@ export default function ResultsPage() {
                 <p>Deduplicate all {results.length} model outputs, cluster semantically similar ideas, and extract unique strategic insights.</p>
               </div>
             </div>
+            <div className="results-synthesis__modes">
+              {[['extractive', 'Extractive'], ['abstractive', 'Abstractive']].map(([mode, label]) => (
+                <button
+                  key={mode}
+                  className={`btn btn--sm ${synthMode === mode ? 'btn--primary' : 'btn--ghost'}`}
+                  onClick={() => setSynthMode(mode)}
+                  disabled={synthesizing}
+                >
+                  {label}
+                </button>
+              ))}
+              <span className="results-synthesis__mode-hint">
+                {synthMode === 'abstractive'
+                  ? 'A model writes each idea with a thesis, mechanism and phased plan'
+                  : 'Keeps the most detailed model fragment of each idea'}
+              </span>
+            </div>
             {synthError && <div className="research-error"><span>⚠</span> {synthError}</div>}
             <button
               className="btn btn--primary btn--lg"
@@ -219,30 +311,82 @@ export default function ResultsPage() {
             </p>
             <div className="synthesis-ideas-grid">
               {synthesis.uniqueIdeas?.map((idea, i) => {
-                const ideaId = idea.id || `${sessionId}-idea-${i}`;
+                const ideaId = idea.id;
                 return (
-                <div key={ideaId} className="card synthesis-idea-card card--glow">
+                <div
+                  key={ideaId || i}
+                  className={`card synthesis-idea-card card--glow ${selectedIdea === i ? 'synthesis-idea-card--selected' : ''}`}
+                  onClick={() => setSelectedIdea(selectedIdea === i ? null : i)}
+                  title={idea.provenance?.length ? 'Show where the models said this' : undefined}
+                >
                   <div className="synthesis-idea-card__top">
                     <span className="badge badge--accent">#{i + 1}</span>
-                    <span className="synthesis-idea-card__conf">
-                      {Math.round((idea.confidence || 0.8) * 100)}% confidence
-                    </span>
+                    {idea.confidence != null && (
+                      <span className="synthesis-idea-card__conf">
+                        {Math.round(idea.confidence * 100)}% confidence
+                      </span>
+                    )}
                   </div>
                   {idea.title && <h4 style={{ margin: '12px 0 8px', fontSize: '16px', color: 'var(--text-primary)' }}>{idea.title}</h4>}
+                  {idea.section && <span className="synthesis-idea-card__section-path">{idea.section}</span>}
                   <p className="synthesis-idea-card__text">{idea.description || idea.text}</p>
+                  {selectedIdea === i && idea.confidenceBreakdown && (
+                    <table className="synthesis-confidence">
+                      <tbody>
+                        {CONFIDENCE_PARTS.map(([key, label, detail]) => {
+                          const part = idea.confidenceBreakdown[key]
+                          return (
+                            <tr key={key}>
+                              <td>{label}</td>
+                              <td className="mono">{Math.round(part.score * 100)}% × {part.weight}</td>
+                              <td>{detail(part)}</td>
+                            </tr>
+                          )
+                        })}
+                      </tbody>
+                    </table>
+                  )}
+                  {idea.strategicThesis && (
+                    <div className="synthesis-idea-card__section">
+                      <p className="section-label">Strategic Thesis</p>
+                      <p className="synthesis-idea-card__text">{idea.strategicThesis}</p>
+                    </div>
+                  )}
+                  {idea.mechanism && (
+                    <div className="synthesis-idea-card__section">
+                      <p className="section-label">Mechanism</p>
+                      <p className="synthesis-idea-card__text">{idea.mechanism}</p>
+                    </div>
+                  )}
+                  {idea.implementationFramework?.phases?.length > 0 && (
+                    <div className="synthesis-idea-card__section">
+                      <p className="section-label">Implementation</p>
+                      <ol className="synthesis-phases">
+                        {idea.implementationFramework.phases.map((ph, j) => (
+                          <li key={j}>
+                            <strong>{ph.phase}</strong>{ph.duration && <span className="synthesis-phases__duration"> · {ph.duration}</span>}
+                            <div className="synthesis-idea-card__text">{ph.objective}</div>
+                            <ul>{ph.actions.map((a, k) => <li key={k}>{a}</li>)}</ul>
+                          </li>
+                        ))}
+                      </ol>
+                    </div>
+                  )}
                   {idea.tags?.length > 0 && (
                     <div className="synthesis-tags" style={{ marginTop: 10 }}>
                       {idea.tags.map(t => <span key={t} className="tag">{t}</span>)}
                     </div>
                   )}
-                  <button
-                    className={`btn btn--sm ${savedIds.has(ideaId) ? 'btn--ghost' : 'btn--primary'}`}
-                    style={{ marginTop: 12, alignSelf: 'flex-start' }}
-                    onClick={() => handleSaveIdea(idea, ideaId)}
-                    disabled={savedIds.has(ideaId)}
-                  >
-                    {savedIds.has(ideaId) ? '✓ Saved' : '💾 Save to Library'}
-                  </button>
+                  {ideaId && (
+                    <button
+                      className={`btn btn--sm ${savedIds.has(ideaId) ? 'btn--ghost' : 'btn--primary'}`}
+                      style={{ marginTop: 12, alignSelf: 'flex-start' }}
+                      onClick={(e) => { e.stopPropagation(); handleSaveIdea(ideaId) }}
+                      disabled={savedIds.has(ideaId)}
+                    >
+                      {savedIds.has(ideaId) ? '✓ Saved' : '💾 Save to Library'}
+                    </button>
+                  )}
                 </div>
               )})}
             </div>